@@ -0,0 +1,130 @@
+// Passwords and login tokens
+//
+// Passwords are hashed with scrypt and a random salt per user. Logging in
+// returns a signed token (JWT, HS256) that calendar.html sends as
+// `Authorization: Bearer <token>`. The token carries the user's id, role and
+// calendar. server.js still checks each token against the account list, so
+// deleting an account ends its logins, and the token's `ver` must equal the
+// account's `tokenVersion`, which a password change increases.
+//
+// Tokens are signed with AUTH_SECRET, which every instance must share; the
+// server refuses to start without it. Only with NODE_ENV=development is a
+// random key made instead, and every login ends when the server restarts.
+// Changing AUTH_SECRET logs everybody out.
+//
+// Calendar apps can't send headers, so each user also has a random
+// `feedToken` for subscribing to GET /api/calendar.ics?token=...
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+if (!process.env.AUTH_SECRET && process.env.NODE_ENV !== 'development') {
+    throw new Error('AUTH_SECRET is not set. Set it to a long random string (NODE_ENV=development runs without it)');
+}
+const SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.AUTH_SECRET) {
+    console.warn('AUTH_SECRET is not set: logins will not survive a restart');
+}
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+// "scrypt$<salt>$<hash>"
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('base64url');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('base64url')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, expected] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) return false;
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    const expectedHash = Buffer.from(expected, 'base64url');
+    return expectedHash.length === hash.length && crypto.timingSafeEqual(hash, expectedHash);
+}
+
+function sign(data) {
+    return crypto.createHmac('sha256', SECRET).update(data).digest('base64url');
+}
+
+function signToken(claims, ttlSeconds = TOKEN_TTL_SECONDS) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({ ...claims, iat: now, exp: now + ttlSeconds }));
+    return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+// Claims of a valid, unexpired token, otherwise null
+function verifyToken(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) return null;
+
+    const [header, payload, signature] = parts;
+    const expected = Buffer.from(sign(`${header}.${payload}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+    } catch (error) {
+        return null;
+    }
+    if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) return null;
+    return claims;
+}
+
+function newFeedToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+// Compare secrets without leaking their content through timing
+function safeEqual(a, b) {
+    const left = crypto.createHash('sha256').update(String(a)).digest();
+    const right = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(left, right);
+}
+
+// Claims put in a user's login token
+function tokenClaims(user) {
+    return {
+        sub: user.id,
+        username: user.username,
+        role: user.role,
+        calendar: user.calendar,
+        binId: user.binId || undefined,
+        ver: user.tokenVersion || 0
+    };
+}
+
+// Whether a token's claims still stand for `user`: tokens issued before the
+// last password change are refused
+function isCurrentToken(claims, user) {
+    return (claims.ver || 0) === (user.tokenVersion || 0);
+}
+
+// A user record without its secrets
+function publicUser(user) {
+    const { passwordHash, feedToken, binId, pushSubscriptions, ...rest } = user;
+    return rest;
+}
+
+module.exports = {
+    TOKEN_TTL_SECONDS,
+    hashPassword,
+    verifyPassword,
+    signToken,
+    verifyToken,
+    newFeedToken,
+    safeEqual,
+    tokenClaims,
+    isCurrentToken,
+    publicUser
+};
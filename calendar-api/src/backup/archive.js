@@ -0,0 +1,280 @@
+// Backup archives: a whole calendar as one versioned JSON document
+//
+//   { format: 'calendar-backup', version: 1, exportedAt, calendar, revision,
+//     settings: { tags, routines }, days: { 'YYYY-MM-DD': record } }
+//
+// Records are kept as the API returns them, without their `revision`.
+// readArchive() checks an uploaded archive before anything is written; an
+// import then either merges it or replaces the calendar with it:
+//   merge   -> everything in the calendar stays. Schedules whose id the
+//              calendar doesn't have are added, and a date's exercise, memo,
+//              nutrition and body logs where the date has none. Tags and
+//              routines are added by name the same way.
+//   replace -> the calendar becomes exactly the archive
+// Archives from a newer version than VERSION are refused.
+
+const recurrence = require('../lib/recurrence');
+const times = require('../lib/times');
+const health = require('../lib/health');
+const calendarTags = require('../lib/tags');
+const routines = require('../lib/routines');
+const { stripRevision } = require('../storage/records');
+const schemas = require('../schemas');
+const { validate } = require('../schemas/validate');
+
+const FORMAT = 'calendar-backup';
+const VERSION = 1;
+const LOGS = ['nutrition', 'body'];
+
+// `field` is the path in the archive at fault, `problem` what is wrong there
+class BackupError extends Error {
+    constructor(field, problem) {
+        super(`${field} ${problem}`);
+        this.name = 'BackupError';
+        this.field = field;
+        this.problem = problem;
+    }
+}
+
+function isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hasExercise(record) {
+    const exercise = record && record.exercise;
+    return !!exercise && ((exercise.weight || []).length > 0 || (exercise.nonWeight || []).length > 0);
+}
+
+function createArchive({ days, settings, calendar, revision, now = new Date().toISOString() }) {
+    const records = {};
+    Object.keys(days).sort().forEach(date => {
+        records[date] = stripRevision(days[date]);
+    });
+    return {
+        format: FORMAT,
+        version: VERSION,
+        exportedAt: now,
+        calendar,
+        revision,
+        settings: {
+            tags: calendarTags.tagsOf(settings),
+            routines: routines.routinesOf(settings)
+        },
+        days: records
+    };
+}
+
+// Run a lib validator, reporting its error at `path` (or at the field under
+// `path` it names)
+function check(path, read) {
+    try {
+        return read();
+    } catch (error) {
+        if (error instanceof times.TimeError) throw new BackupError(`${path}.${error.field}`, error.problem);
+        throw new BackupError(path, error.message);
+    }
+}
+
+function readSchedule(schedule, path, date, ids) {
+    if (!isObject(schedule)) {
+        throw new BackupError(path, 'must be an object');
+    }
+    if (typeof schedule.id !== 'string' || !schedule.id) {
+        throw new BackupError(`${path}.id`, 'is required');
+    }
+    if (ids.has(schedule.id)) {
+        throw new BackupError(`${path}.id`, `${schedule.id} is used twice`);
+    }
+    ids.add(schedule.id);
+    ['content', 'tag'].forEach(field => {
+        if (typeof schedule[field] !== 'string') {
+            throw new BackupError(`${path}.${field}`, 'is required');
+        }
+    });
+    if (schedule.rrule) {
+        check(path, () => recurrence.resolveRecurrence({ rrule: schedule.rrule }, date));
+    }
+    if (schedule.exdates !== undefined && !(Array.isArray(schedule.exdates) && schedule.exdates.every(recurrence.isDateString))) {
+        throw new BackupError(`${path}.exdates`, 'must be a list of YYYY-MM-DD dates');
+    }
+    if (schedule.startTime) {
+        check(path, () => times.readTimes(schedule));
+    }
+}
+
+function readRecord(record, date, ids) {
+    const path = `days.${date}`;
+    if (!recurrence.isDateString(date)) {
+        throw new BackupError(path, 'is not a YYYY-MM-DD date');
+    }
+    if (!isObject(record)) {
+        throw new BackupError(path, 'must be an object');
+    }
+    if (record.schedules !== undefined && !Array.isArray(record.schedules)) {
+        throw new BackupError(`${path}.schedules`, 'must be a list');
+    }
+    (record.schedules || []).forEach((schedule, index) => readSchedule(schedule, `${path}.schedules[${index}]`, date, ids));
+
+    const { exercise } = record;
+    if (exercise !== undefined && exercise !== null) {
+        // The same rows POST /api/calendar/:date/exercise takes
+        const [problem] = validate(schemas.components.Exercise, exercise, { field: `${path}.exercise`, components: schemas.components });
+        if (problem) {
+            throw new BackupError(problem.field, problem.message);
+        }
+    }
+    if (record.memo !== undefined && typeof record.memo !== 'string') {
+        throw new BackupError(`${path}.memo`, 'must be text');
+    }
+    if (record.nutrition) {
+        check(`${path}.nutrition`, () => health.readNutrition(record.nutrition));
+    }
+    if (record.body) {
+        check(`${path}.body`, () => health.readBody(record.body));
+    }
+    return stripRevision(record);
+}
+
+// Check the tags or routines of an archive one by one, like adding them
+function readList(list, path, read) {
+    if (!Array.isArray(list)) {
+        throw new BackupError(path, 'must be a list');
+    }
+    const ids = new Set();
+    return list.reduce((checked, item, index) => {
+        if (!isObject(item) || typeof item.id !== 'string' || !item.id || ids.has(item.id)) {
+            throw new BackupError(`${path}[${index}].id`, 'is required and must not be used twice');
+        }
+        ids.add(item.id);
+        return [...checked, { ...item, ...check(`${path}[${index}]`, () => read(item, checked)) }];
+    }, []);
+}
+
+// Validate an uploaded archive. Returns { days, settings, version, exportedAt }.
+function readArchive(input) {
+    if (!isObject(input) || input.format !== FORMAT) {
+        throw new BackupError('format', `must be "${FORMAT}"; this is not a calendar backup`);
+    }
+    if (!Number.isInteger(input.version) || input.version < 1) {
+        throw new BackupError('version', 'must be a whole number');
+    }
+    if (input.version > VERSION) {
+        throw new BackupError('version', `is ${input.version}; this server reads backups up to version ${VERSION}`);
+    }
+    if (!isObject(input.days)) {
+        throw new BackupError('days', 'must be an object keyed by YYYY-MM-DD');
+    }
+
+    const ids = new Set();
+    const days = {};
+    Object.keys(input.days).sort().forEach(date => {
+        days[date] = readRecord(input.days[date], date, ids);
+    });
+
+    const settings = isObject(input.settings) ? input.settings : {};
+    const tags = settings.tags !== undefined
+        ? readList(settings.tags, 'settings.tags', (tag, list) => calendarTags.readTag(tag, list))
+        : calendarTags.DEFAULT_TAGS;
+    if (tags.length === 0) {
+        throw new BackupError('settings.tags', 'needs at least one tag');
+    }
+    const routineList = settings.routines !== undefined
+        ? readList(settings.routines, 'settings.routines', (routine, list) => routines.readRoutine(routine, list))
+        : [];
+
+    return {
+        days,
+        settings: { tags, routines: routineList },
+        version: input.version,
+        exportedAt: input.exportedAt || null
+    };
+}
+
+// How many of each kind of entry `days` holds
+function countsOf(days) {
+    const counts = { schedules: 0, exercise: 0, memos: 0, nutrition: 0, body: 0 };
+    Object.values(days).forEach(record => {
+        counts.schedules += (record.schedules || []).length;
+        if (hasExercise(record)) counts.exercise++;
+        if (record.memo) counts.memos++;
+        LOGS.forEach(field => {
+            if (record[field]) counts[field]++;
+        });
+    });
+    return counts;
+}
+
+// Merge the archive's `days` into `current` (date -> record or null, for the
+// archive's dates), in place. `knownIds` are the ids of every schedule in the
+// calendar. Returns the counts of what was added.
+function mergeDays(current, days, knownIds) {
+    const added = { schedules: 0, exercise: 0, memos: 0, nutrition: 0, body: 0 };
+    Object.keys(days).forEach(date => {
+        const incoming = days[date];
+        const record = current[date] || { schedules: [], exercise: null };
+        const add = kind => {
+            added[kind]++;
+            current[date] = record;
+        };
+
+        (incoming.schedules || []).filter(s => !knownIds.has(s.id)).forEach(schedule => {
+            record.schedules = [...(record.schedules || []), schedule];
+            add('schedules');
+        });
+        if (hasExercise(incoming) && !hasExercise(record)) {
+            record.exercise = incoming.exercise;
+            add('exercise');
+        }
+        if (incoming.memo && !record.memo) {
+            record.memo = incoming.memo;
+            if (incoming.memoUpdatedAt) record.memoUpdatedAt = incoming.memoUpdatedAt;
+            add('memos');
+        }
+        LOGS.forEach(field => {
+            if (incoming[field] && !record[field]) {
+                record[field] = incoming[field];
+                add(field);
+            }
+        });
+    });
+    return added;
+}
+
+// `settings` with the archive's tags and routines the calendar lacks by name.
+// Ids already taken get a new one from `newId`. Returns { settings, added }.
+function mergeSettings(settings, incoming, newId) {
+    const merge = (list, items, find, read) => {
+        const fresh = items.filter(item => !find(list, item.name));
+        const ids = new Set(list.map(item => item.id));
+        const merged = fresh.reduce((result, item) => [
+            ...result,
+            { id: ids.has(item.id) ? newId() : item.id, ...read(item, result) }
+        ], list);
+        return { merged, added: fresh.length };
+    };
+
+    const tags = check('settings.tags', () => merge(
+        calendarTags.tagsOf(settings), incoming.tags, calendarTags.findTag, (tag, list) => calendarTags.readTag(tag, list)
+    ));
+    const routineList = check('settings.routines', () => merge(
+        routines.routinesOf(settings), incoming.routines, routines.findRoutine, (routine, list) => routines.readRoutine(routine, list)
+    ));
+    const merged = { ...settings };
+    if (tags.added > 0) merged.tags = tags.merged;
+    if (routineList.added > 0) merged.routines = routineList.merged;
+    return {
+        settings: merged,
+        added: { tags: tags.added, routines: routineList.added }
+    };
+}
+
+module.exports = {
+    FORMAT,
+    VERSION,
+    BackupError,
+    createArchive,
+    readArchive,
+    countsOf,
+    mergeDays,
+    mergeSettings
+};
@@ -0,0 +1,93 @@
+// CSV exports of a calendar for spreadsheets
+//
+// One file per kind of entry, one row per entry, sorted by date:
+//   schedules.csv -> the stored schedules (a repeating one is one row with
+//                    its rule, not a row per occurrence)
+//   exercise.csv  -> every exercise set line of the exercise logs
+//   memos.csv     -> the memos
+// RFC 4180 with CRLF line ends, in UTF-8 with a byte order mark so Excel
+// reads the Korean text. Text that starts like a formula (= + - @) gets a
+// leading ' so a spreadsheet shows it instead of running it.
+
+const reminders = require('../lib/reminders');
+
+const BOM = '\uFEFF';
+
+function cell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+    return BOM + [header, ...rows].map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+function sortedDates(days) {
+    return Object.keys(days).sort();
+}
+
+function schedulesCsv(days) {
+    const rows = [];
+    sortedDates(days).forEach(date => {
+        (days[date].schedules || []).forEach(s => {
+            rows.push([
+                date,
+                s.id,
+                s.content,
+                s.tag,
+                !s.startTime,
+                s.startTime || null,
+                s.endTime || null,
+                s.timeZone || null,
+                s.startDate || null,
+                s.endDate || null,
+                s.repeat || 'none',
+                s.rrule || null,
+                (s.exdates || []).join(' '),
+                (s.reminders || []).map(reminders.formatReminder).join(', '),
+                s.createdAt || null,
+                s.updatedAt || null
+            ]);
+        });
+    });
+    return toCsv([
+        'date', 'id', 'content', 'tag', 'allDay', 'startTime', 'endTime', 'timeZone', 'startDate', 'endDate',
+        'repeat', 'rrule', 'exdates', 'reminders', 'createdAt', 'updatedAt'
+    ], rows);
+}
+
+function exerciseCsv(days) {
+    const rows = [];
+    sortedDates(days).forEach(date => {
+        const exercise = days[date].exercise;
+        if (!exercise) return;
+        (exercise.weight || []).forEach(entry => {
+            const volume = [entry.kg, entry.sets, entry.reps].every(Number.isFinite) ? entry.kg * entry.sets * entry.reps : null;
+            rows.push([date, 'weight', entry.type, entry.kg, entry.sets, entry.reps, null, volume]);
+        });
+        (exercise.nonWeight || []).forEach(entry => {
+            rows.push([date, 'nonWeight', entry.type, null, null, null, entry.duration, null]);
+        });
+    });
+    return toCsv(['date', 'kind', 'type', 'kg', 'sets', 'reps', 'durationMinutes', 'volumeKg'], rows);
+}
+
+function memosCsv(days) {
+    const rows = sortedDates(days)
+        .filter(date => days[date].memo)
+        .map(date => [date, days[date].memo, days[date].memoUpdatedAt || null]);
+    return toCsv(['date', 'memo', 'updatedAt'], rows);
+}
+
+// File name (without .csv) -> builder
+const CSV_FILES = {
+    schedules: schedulesCsv,
+    exercise: exerciseCsv,
+    memos: memosCsv
+};
+
+module.exports = { CSV_FILES, toCsv, schedulesCsv, exerciseCsv, memosCsv };
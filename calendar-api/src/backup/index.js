@@ -0,0 +1,184 @@
+// Automatic backups to a local directory
+//
+// With BACKUP_DIR set, every account's calendar is written there once every
+// BACKUP_INTERVAL_HOURS (24 by default):
+//   BACKUP_DIR/<calendar>/<time>/backup.json     the archive (see archive.js)
+//                               /schedules.csv   and the CSV files (csv.js)
+//                               /exercise.csv
+//                               /memos.csv
+// A backup is written to a temporary directory first and renamed when it is
+// complete. Calendars that haven't changed since their last backup are
+// skipped, and only the newest BACKUP_KEEP (14 by default) backups of each
+// calendar are kept.
+//
+// server.js checks hourly (or every interval, if that is shorter) which
+// calendars are due, so restarts don't put backups off. Where the disk isn't
+// kept between requests (Vercel), download GET /api/backup instead.
+
+const fs = require('fs/promises');
+const path = require('path');
+const auth = require('../auth');
+const archive = require('./archive');
+const { CSV_FILES } = require('./csv');
+
+const DEFAULT_INTERVAL_HOURS = 24;
+const DEFAULT_KEEP = 14;
+const CHECK_MS = 60 * 60 * 1000;
+const ARCHIVE_FILE = 'backup.json';
+const NAME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/;
+
+// Directory name of a backup taken at `now`: its ISO time, safe on every disk
+function backupName(now) {
+    return new Date(now).toISOString().replace(/[:.]/g, '-');
+}
+
+function timeOfName(name) {
+    const [, date, hours, minutes, seconds, ms] = /^(.{10})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/.exec(name);
+    return Date.parse(`${date}T${hours}:${minutes}:${seconds}.${ms}Z`);
+}
+
+// Write one backup of `days`/`settings` into `dir` (archive and CSV files)
+async function writeBackup(dir, { days, settings, calendar, revision, now }) {
+    const temp = `${dir}.tmp`;
+    await fs.rm(temp, { recursive: true, force: true });
+    await fs.mkdir(temp, { recursive: true });
+
+    const data = archive.createArchive({ days, settings, calendar, revision, now: new Date(now).toISOString() });
+    await fs.writeFile(path.join(temp, ARCHIVE_FILE), JSON.stringify(data, null, 2));
+    for (const [name, build] of Object.entries(CSV_FILES)) {
+        await fs.writeFile(path.join(temp, `${name}.csv`), build(data.days));
+    }
+    await fs.rename(temp, dir);
+}
+
+class BackupScheduler {
+    constructor({ users, storeFor, dir = process.env.BACKUP_DIR, intervalHours, keep } = {}) {
+        this.users = users;
+        this.storeFor = storeFor;
+        this.dir = dir ? path.resolve(dir) : null;
+        const hours = intervalHours !== undefined
+            ? intervalHours
+            : Number(process.env.BACKUP_INTERVAL_HOURS || DEFAULT_INTERVAL_HOURS);
+        this.intervalMs = Math.max(0, hours) * 60 * 60 * 1000;
+        this.keep = Math.max(1, keep !== undefined ? keep : Number(process.env.BACKUP_KEEP || DEFAULT_KEEP));
+        this.timer = null;
+        this.running = null;
+    }
+
+    enabled() {
+        return !!this.dir;
+    }
+
+    // Backups of a calendar, oldest first
+    async list(calendar) {
+        try {
+            const names = await fs.readdir(path.join(this.dir, calendar));
+            return names.filter(name => NAME_PATTERN.test(name)).sort();
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async lastRevision(calendar, name) {
+        try {
+            const data = JSON.parse(await fs.readFile(path.join(this.dir, calendar, name, ARCHIVE_FILE), 'utf8'));
+            return data.revision;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Back up one account's calendar if it is due (or `force`). Returns
+    // { calendar, written, name? }.
+    async backupUser(user, now, force) {
+        const { calendar } = user;
+        const names = await this.list(calendar);
+        const last = names[names.length - 1];
+        if (!force && last && now - timeOfName(last) < this.intervalMs) {
+            return { calendar, written: false };
+        }
+
+        const store = this.storeFor(auth.tokenClaims(user));
+        const revision = await store.getRevision();
+        if (!force && last && await this.lastRevision(calendar, last) === revision) {
+            return { calendar, written: false };
+        }
+
+        const name = backupName(now);
+        await writeBackup(path.join(this.dir, calendar, name), {
+            days: await store.getAll(),
+            settings: await store.getSettings(),
+            calendar,
+            revision,
+            now
+        });
+        await this.prune(calendar);
+        return { calendar, written: true, name };
+    }
+
+    // Remove all but the newest `keep` backups of a calendar
+    async prune(calendar) {
+        const names = await this.list(calendar);
+        for (const name of names.slice(0, Math.max(0, names.length - this.keep))) {
+            await fs.rm(path.join(this.dir, calendar, name), { recursive: true, force: true });
+        }
+    }
+
+    // One pass over every account. Returns { checkedAt, calendars, written }.
+    // Overlapping calls share the pass that is already running.
+    runOnce({ now = Date.now(), force = false } = {}) {
+        if (!this.enabled()) {
+            return Promise.resolve({ checkedAt: new Date(now).toISOString(), calendars: 0, written: 0 });
+        }
+        if (!this.running) {
+            this.running = this.runAll(now, force).finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    async runAll(now, force) {
+        const summary = { checkedAt: new Date(now).toISOString(), calendars: 0, written: 0 };
+        const seen = new Set();
+        for (const user of await this.users.list()) {
+            if (seen.has(user.calendar)) continue;
+            seen.add(user.calendar);
+            try {
+                const { written } = await this.backupUser(user, now, force);
+                summary.calendars++;
+                if (written) summary.written++;
+            } catch (error) {
+                console.error(`Backup of ${user.username}'s calendar failed:`, error.message);
+            }
+        }
+        return summary;
+    }
+
+    start() {
+        if (!this.enabled() || this.intervalMs === 0 || this.timer) return;
+        const run = () => {
+            this.runOnce().catch(error => console.error('Backup run failed:', error.message));
+        };
+        this.timer = setInterval(run, Math.min(this.intervalMs, CHECK_MS));
+        this.timer.unref();
+        run();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    describe() {
+        return {
+            enabled: this.enabled(),
+            dir: this.dir,
+            intervalHours: this.intervalMs / (60 * 60 * 1000),
+            keep: this.keep
+        };
+    }
+}
+
+module.exports = { BackupScheduler, writeBackup, backupName };
@@ -0,0 +1,428 @@
+// CalDAV (RFC 4791) protocol helpers
+//
+// Lets phone and desktop calendar apps read and write the schedules two ways.
+// server.js answers the requests under /api/caldav; this module reads their
+// XML bodies and writes the XML answers. The layout every client discovers
+// from /.well-known/caldav or /api/caldav/:
+//
+//   /api/caldav/                                    root
+//   /api/caldav/principals/<username>/              the logged-in user
+//   /api/caldav/calendars/<username>/               calendar home
+//   /api/caldav/calendars/<username>/calendar/      the user's calendar
+//   /api/caldav/calendars/<username>/calendar/<name>.ics
+//
+// Each stored schedule is one calendar object resource, written with the
+// same VEVENTs as the .ics feed (see src/ics.js). Its name is `<id>.ics`, or
+// the name a client first PUT it under (`caldavName`). The ETag is a hash of
+// the stored schedule, so it changes with every edit from any side; the
+// collection's getctag is the calendar revision.
+//
+// Only the XML these requests need is understood: no DTDs or entities beyond
+// the predefined five.
+
+const crypto = require('crypto');
+const recurrence = require('./lib/recurrence');
+const times = require('./lib/times');
+
+const BASE = '/api/caldav';
+const NS = {
+    DAV: 'DAV:',
+    CALDAV: 'urn:ietf:params:xml:ns:caldav',
+    CS: 'http://calendarserver.org/ns/',
+    ICAL: 'http://apple.com/ns/ical/'
+};
+const PREFIXES = { [NS.DAV]: 'd', [NS.CALDAV]: 'c', [NS.CS]: 'cs', [NS.ICAL]: 'ical' };
+const CALENDAR_NAME = 'calendar';
+const CALENDAR_COLOR = '#7A8450FF';
+const RESOURCE_NAME = /^[A-Za-z0-9@._-]{1,200}\.ics$/;
+
+class DavError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'DavError';
+        this.status = status;
+    }
+}
+
+// ----- XML in -----
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, name) => {
+        if (name[0] === '#') {
+            return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+        }
+        if (ENTITIES[name] === undefined) throw new DavError(400, `Unknown XML entity &${name};`);
+        return ENTITIES[name];
+    });
+}
+
+function readAttributes(text) {
+    const attrs = {};
+    const re = /([\w.:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = re.exec(text))) {
+        attrs[match[1]] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+    }
+    return attrs;
+}
+
+// XML text -> root element { ns, name, attrs, children, text } with
+// namespaces resolved (`ns` is the URI, `name` the local name)
+function parseXml(text) {
+    const root = { children: [], scope: { xml: 'http://www.w3.org/XML/1998/namespace' } };
+    const stack = [root];
+    const re = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w.:-]+)((?:\s+[\w.:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/gy;
+    let match;
+    while (re.lastIndex < text.length && (match = re.exec(text))) {
+        const [, cdata, closing, tag, rawAttrs, selfClosing, chars] = match;
+        const parent = stack[stack.length - 1];
+        if (cdata !== undefined) {
+            parent.text = (parent.text || '') + cdata;
+        } else if (chars !== undefined) {
+            parent.text = (parent.text || '') + decodeEntities(chars);
+        } else if (tag && closing) {
+            if (stack.length === 1 || parent.tag !== tag) throw new DavError(400, `Unexpected </${tag}>`);
+            stack.pop();
+        } else if (tag) {
+            const attrs = readAttributes(rawAttrs || '');
+            const scope = { ...parent.scope };
+            Object.keys(attrs).forEach(key => {
+                if (key === 'xmlns') scope[''] = attrs[key];
+                if (key.startsWith('xmlns:')) scope[key.slice(6)] = attrs[key];
+            });
+            const [prefix, name] = tag.includes(':') ? tag.split(':') : ['', tag];
+            if (prefix && scope[prefix] === undefined) throw new DavError(400, `Unknown XML prefix ${prefix}`);
+            const element = { tag, ns: scope[prefix] || '', name, attrs, children: [], text: '', scope };
+            parent.children.push(element);
+            if (!selfClosing) stack.push(element);
+        }
+    }
+    if (re.lastIndex < text.length && text.slice(re.lastIndex).trim()) {
+        throw new DavError(400, 'Malformed XML');
+    }
+    if (stack.length !== 1 || root.children.length !== 1) {
+        throw new DavError(400, 'Malformed XML');
+    }
+    return root.children[0];
+}
+
+function childrenOf(element, ns, name) {
+    return (element ? element.children : []).filter(child => child.ns === ns && (!name || child.name === name));
+}
+
+function childOf(element, ns, name) {
+    return childrenOf(element, ns, name)[0] || null;
+}
+
+// Requested properties as [{ ns, name }], or 'allprop' / 'propname'
+function readPropRequest(element) {
+    if (!element || childOf(element, NS.DAV, 'allprop')) return 'allprop';
+    if (childOf(element, NS.DAV, 'propname')) return 'propname';
+    const prop = childOf(element, NS.DAV, 'prop');
+    if (!prop) throw new DavError(400, 'prop, allprop or propname is required');
+    return prop.children.map(({ ns, name }) => ({ ns, name }));
+}
+
+// PROPFIND body -> requested properties (an empty body means allprop)
+function readPropfind(body) {
+    if (!body || !body.trim()) return 'allprop';
+    const root = parseXml(body);
+    if (root.ns !== NS.DAV || root.name !== 'propfind') throw new DavError(400, 'Expected a DAV:propfind body');
+    return readPropRequest(root);
+}
+
+// iCalendar UTC time (20260301T000000Z) -> ms
+function readUtcTime(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(String(value || ''));
+    if (!match) throw new DavError(400, `Invalid time-range value "${value}"`);
+    const [, y, m, d, hh, mm, ss] = match.map(Number);
+    return Date.UTC(y, m - 1, d, hh, mm, ss);
+}
+
+// REPORT body -> { type: 'multiget', props, hrefs } or
+// { type: 'query', props, range: { start, end } | null } (ms, either may be null)
+function readReport(body) {
+    const root = parseXml(body || '');
+    const props = readPropRequest(root);
+    if (root.ns === NS.CALDAV && root.name === 'calendar-multiget') {
+        return { type: 'multiget', props, hrefs: childrenOf(root, NS.DAV, 'href').map(href => href.text.trim()) };
+    }
+    if (root.ns === NS.CALDAV && root.name === 'calendar-query') {
+        const calendar = childOf(childOf(root, NS.CALDAV, 'filter'), NS.CALDAV, 'comp-filter');
+        const event = childOf(calendar, NS.CALDAV, 'comp-filter');
+        if (event && event.attrs.name && event.attrs.name.toUpperCase() !== 'VEVENT') {
+            return { type: 'query', props, range: null, empty: true };
+        }
+        const timeRange = childOf(event, NS.CALDAV, 'time-range');
+        const range = timeRange
+            ? {
+                start: timeRange.attrs.start ? readUtcTime(timeRange.attrs.start) : null,
+                end: timeRange.attrs.end ? readUtcTime(timeRange.attrs.end) : null
+            }
+            : null;
+        return { type: 'query', props, range };
+    }
+    throw new DavError(403, `REPORT ${root.name} is not supported`);
+}
+
+// ----- Resources -----
+
+function pathsOf(username) {
+    const user = encodeURIComponent(username);
+    return {
+        principal: `${BASE}/principals/${user}/`,
+        home: `${BASE}/calendars/${user}/`,
+        calendar: `${BASE}/calendars/${user}/${CALENDAR_NAME}/`
+    };
+}
+
+// Request path -> { kind: 'root' | 'principal' | 'home' | 'calendar' | 'event', username, name }
+// or null when nothing lives there (or the path isn't valid percent-encoding)
+function resolvePath(path) {
+    let relative;
+    try {
+        relative = decodeURIComponent(path.startsWith(BASE) ? path.slice(BASE.length) : path);
+    } catch (error) {
+        if (error instanceof URIError) return null;
+        throw error;
+    }
+    const parts = relative.split('/').filter(Boolean);
+    if (parts.length === 0) return { kind: 'root' };
+    if (parts[0] === 'principals' && parts.length === 2) return { kind: 'principal', username: parts[1] };
+    if (parts[0] !== 'calendars' || parts.length < 2) return null;
+    if (parts.length === 2) return { kind: 'home', username: parts[1] };
+    if (parts[2] !== CALENDAR_NAME || parts.length > 4) return null;
+    if (parts.length === 3) return { kind: 'calendar', username: parts[1] };
+    return { kind: 'event', username: parts[1], name: parts[3] };
+}
+
+function isResourceName(name) {
+    return RESOURCE_NAME.test(name);
+}
+
+function resourceNameOf(schedule) {
+    return schedule.caldavName || `${schedule.id}.ics`;
+}
+
+function etagOf(date, schedule) {
+    const hash = crypto.createHash('sha1').update(JSON.stringify([date, schedule])).digest('base64url');
+    return `"${hash}"`;
+}
+
+// Every stored schedule as [{ date, schedule, name, etag }]
+function eventsOf(allData) {
+    const events = [];
+    Object.keys(allData).sort().forEach(date => {
+        (allData[date].schedules || []).forEach(schedule => {
+            events.push({ date, schedule, name: resourceNameOf(schedule), etag: etagOf(date, schedule) });
+        });
+    });
+    return events;
+}
+
+// Whether an event may fall in a calendar-query time range (ms, either end
+// open). Compared by date with a day to spare on each side for time zones;
+// clients check the times themselves.
+function inRange({ date, schedule }, range, birthdayTag) {
+    if (!range) return true;
+    const from = range.start === null ? '0000-01-01' : recurrence.addDays(times.wallClock(range.start, times.DEFAULT_TIME_ZONE).date, -1);
+    const to = range.end === null ? '9999-12-31' : recurrence.addDays(times.wallClock(range.end, times.DEFAULT_TIME_ZONE).date, 1);
+    const start = schedule.startDate && schedule.endDate ? schedule.startDate : date;
+    const end = schedule.startDate && schedule.endDate ? schedule.endDate : date;
+    const length = recurrence.daysBetween(start, end);
+
+    let rule = null;
+    try {
+        rule = recurrence.ruleOf(schedule);
+    } catch (error) {
+        rule = null;
+    }
+    if (!rule) {
+        // Birthdays repeat yearly in the feed
+        return schedule.tag === birthdayTag ? start <= to : start <= to && end >= from;
+    }
+    return recurrence.occurrences(rule, date, recurrence.addDays(from, -length), to, schedule.exdates || []).length > 0;
+}
+
+// `existing` changed to the event a client PUT (`incoming`, from
+// readCalendarObject() in src/ics.js). What iCalendar can't carry is kept:
+// the id, reminders, where it was made, and lunar rules, which the feed
+// lists as RDATEs and clients send back that way.
+function mergeSchedule(existing, incoming, { birthdayTag, now }) {
+    let existingRule = null;
+    try {
+        existingRule = recurrence.ruleOf(existing);
+    } catch (error) {
+        existingRule = null;
+    }
+    const keepLunar = existingRule && existingRule.rscale && !incoming.rrule;
+    // Non-repeating birthdays go out as FREQ=YEARLY and come back that way
+    const keepBirthday = !existingRule && incoming.rrule === 'FREQ=YEARLY' && existing.tag === birthdayTag;
+    const keepRule = keepLunar || keepBirthday;
+
+    const overrides = {};
+    Object.keys(incoming.overrides || {}).forEach(occurrence => {
+        const before = (existing.overrides || {})[occurrence] || {};
+        overrides[occurrence] = before.reminders ? { ...incoming.overrides[occurrence], reminders: before.reminders } : incoming.overrides[occurrence];
+    });
+
+    return {
+        ...existing,
+        content: incoming.content,
+        tag: incoming.tag,
+        repeat: keepRule ? existing.repeat : incoming.repeat,
+        rrule: keepRule ? existing.rrule : incoming.rrule,
+        exdates: keepRule ? existing.exdates || [] : incoming.exdates,
+        overrides: keepRule ? existing.overrides || {} : overrides,
+        startDate: incoming.startDate,
+        endDate: incoming.endDate,
+        allDay: incoming.allDay,
+        startTime: incoming.startTime,
+        endTime: incoming.endTime,
+        timeZone: incoming.timeZone,
+        updatedAt: now
+    };
+}
+
+// Whether `If-Match` / `If-None-Match` let a write go ahead on a resource
+// whose current ETag is `etag` (null when it doesn't exist)
+function checkPreconditions(headers, etag) {
+    const ifMatch = headers['if-match'];
+    const ifNoneMatch = headers['if-none-match'];
+    if (ifMatch && (!etag || (ifMatch.trim() !== '*' && !ifMatch.split(',').map(t => t.trim()).includes(etag)))) {
+        throw new DavError(412, 'The resource has changed (If-Match)');
+    }
+    if (ifNoneMatch && etag && (ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').map(t => t.trim()).includes(etag))) {
+        throw new DavError(412, 'The resource already exists (If-None-Match)');
+    }
+}
+
+// ----- XML out -----
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function tagOf({ ns, name }) {
+    return PREFIXES[ns] ? `${PREFIXES[ns]}:${name}` : null;
+}
+
+function emptyProp(prop) {
+    const tag = tagOf(prop);
+    return tag ? `<${tag}/>` : `<x:${prop.name} xmlns:x="${escapeXml(prop.ns)}"/>`;
+}
+
+function hrefXml(href) {
+    return `<d:href>${escapeXml(href)}</d:href>`;
+}
+
+const ALL_PRIVILEGES = ['read', 'write', 'write-properties', 'write-content', 'bind', 'unbind', 'read-current-user-privilege-set']
+    .map(privilege => `<d:privilege><d:${privilege}/></d:privilege>`)
+    .join('');
+
+// Properties each kind of resource has: value(resource) -> inner XML.
+// `allprop` leaves out the ones marked `explicit`.
+const PROPERTIES = [
+    { ns: NS.DAV, name: 'resourcetype', value: r => ({
+        root: '<d:collection/>',
+        principal: '<d:collection/><d:principal/>',
+        home: '<d:collection/>',
+        calendar: '<d:collection/><c:calendar/>',
+        event: ''
+    })[r.kind] },
+    { ns: NS.DAV, name: 'displayname', value: r => (r.kind === 'event' ? undefined : escapeXml(r.displayName)) },
+    { ns: NS.DAV, name: 'current-user-principal', value: r => hrefXml(r.paths.principal) },
+    { ns: NS.DAV, name: 'principal-URL', kinds: ['principal'], value: r => hrefXml(r.paths.principal) },
+    { ns: NS.DAV, name: 'principal-collection-set', kinds: ['root', 'principal'], value: () => hrefXml(`${BASE}/principals/`) },
+    { ns: NS.DAV, name: 'owner', kinds: ['home', 'calendar', 'event'], value: r => hrefXml(r.paths.principal) },
+    { ns: NS.DAV, name: 'current-user-privilege-set', value: () => ALL_PRIVILEGES },
+    { ns: NS.DAV, name: 'supported-report-set', kinds: ['calendar'], value: () => ['calendar-multiget', 'calendar-query']
+        .map(report => `<d:supported-report><d:report><c:${report}/></d:report></d:supported-report>`).join('') },
+    { ns: NS.DAV, name: 'getetag', kinds: ['calendar', 'event'], value: r => escapeXml(r.kind === 'event' ? r.event.etag : `"${r.ctag}"`) },
+    { ns: NS.DAV, name: 'getcontenttype', kinds: ['event'], value: () => 'text/calendar; charset=utf-8; component=vevent' },
+    { ns: NS.DAV, name: 'getlastmodified', kinds: ['event'], value: r => {
+        const time = new Date(r.event.schedule.updatedAt || r.event.schedule.createdAt || 0);
+        return Number.isNaN(time.getTime()) ? undefined : time.toUTCString();
+    } },
+    { ns: NS.CALDAV, name: 'calendar-home-set', kinds: ['principal'], value: r => hrefXml(r.paths.home) },
+    { ns: NS.CALDAV, name: 'calendar-user-address-set', kinds: ['principal'], value: r => hrefXml(r.paths.principal) },
+    { ns: NS.CALDAV, name: 'supported-calendar-component-set', kinds: ['calendar'], value: () => '<c:comp name="VEVENT"/>' },
+    { ns: NS.CALDAV, name: 'calendar-data', kinds: ['event'], explicit: true, value: r => escapeXml(r.event.data()) },
+    { ns: NS.CS, name: 'getctag', kinds: ['calendar'], value: r => escapeXml(r.ctag) },
+    { ns: NS.ICAL, name: 'calendar-color', kinds: ['calendar'], value: () => CALENDAR_COLOR }
+];
+
+function findProperty(resource, { ns, name }) {
+    const property = PROPERTIES.find(p => p.ns === ns && p.name === name);
+    if (!property || (property.kinds && !property.kinds.includes(resource.kind))) return null;
+    return property;
+}
+
+// <d:response> of one resource for the requested properties: found ones in a
+// 200 propstat, the others in a 404 one
+function propResponse(resource, requested) {
+    const found = [];
+    const missing = [];
+    if (requested === 'propname') {
+        PROPERTIES.filter(p => findProperty(resource, p)).forEach(p => found.push(emptyProp(p)));
+    } else {
+        const props = requested === 'allprop' ? PROPERTIES.filter(p => !p.explicit) : requested;
+        props.forEach(prop => {
+            const property = findProperty(resource, prop);
+            const value = property ? property.value(resource) : undefined;
+            if (value === undefined) {
+                if (requested !== 'allprop') missing.push(emptyProp(prop));
+                return;
+            }
+            const tag = tagOf(prop);
+            found.push(value === '' ? `<${tag}/>` : `<${tag}>${value}</${tag}>`);
+        });
+    }
+
+    const propstat = (props, status) => `<d:propstat><d:prop>${props.join('')}</d:prop><d:status>HTTP/1.1 ${status}</d:status></d:propstat>`;
+    return `<d:response>${hrefXml(resource.href)}${found.length > 0 ? propstat(found, '200 OK') : ''}${missing.length > 0 ? propstat(missing, '404 Not Found') : ''}</d:response>`;
+}
+
+function statusResponse(href, status) {
+    return `<d:response>${hrefXml(href)}<d:status>HTTP/1.1 ${status}</d:status></d:response>`;
+}
+
+function multistatus(responses) {
+    const namespaces = Object.keys(PREFIXES).map(ns => `xmlns:${PREFIXES[ns]}="${ns}"`).join(' ');
+    return `<?xml version="1.0" encoding="utf-8"?>\n<d:multistatus ${namespaces}>${responses.join('')}</d:multistatus>\n`;
+}
+
+// PROPPATCH answer: nothing can be changed, every property is refused
+function proppatchResponse(href, body) {
+    const root = parseXml(body || '');
+    const props = [...childrenOf(root, NS.DAV, 'set'), ...childrenOf(root, NS.DAV, 'remove')]
+        .flatMap(action => childrenOf(action, NS.DAV, 'prop').flatMap(prop => prop.children));
+    const refused = props.map(emptyProp).join('');
+    return multistatus([`<d:response>${hrefXml(href)}<d:propstat><d:prop>${refused}</d:prop><d:status>HTTP/1.1 403 Forbidden</d:status></d:propstat></d:response>`]);
+}
+
+module.exports = {
+    BASE,
+    DavError,
+    readPropfind,
+    readReport,
+    pathsOf,
+    resolvePath,
+    isResourceName,
+    resourceNameOf,
+    etagOf,
+    eventsOf,
+    inRange,
+    mergeSchedule,
+    checkPreconditions,
+    propResponse,
+    statusResponse,
+    multistatus,
+    proppatchResponse
+};
@@ -0,0 +1,24 @@
+// HTTP errors
+//
+// Thrown from route handlers (or from store mutations they run) and turned into
+// a JSON `{ error }` body by the error handler in server.js.
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+// A request that doesn't fit its schema (see src/schemas/). `errors` holds
+// every problem as { field, message }, and the body gets them as `errors`.
+class ValidationError extends HttpError {
+    constructor(errors) {
+        super(400, errors.map(({ field, message }) => `${field} ${message}`).join('; '));
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+}
+
+module.exports = { HttpError, ValidationError };
@@ -0,0 +1,612 @@
+// iCalendar (RFC 5545) feeds and import
+//
+// Every stored schedule becomes one VEVENT: all-day, or with TZID times for
+// timed schedules (see src/lib/times.js). Each TZID used gets a VTIMEZONE, as
+// RFC 5545 requires, built from the zone's offsets. Repeating schedules keep
+// their RRULE and EXDATEs (lunar ones are listed as RDATEs), single edited
+// occurrences (`overrides`) become extra VEVENTs with a RECURRENCE-ID, and
+// birthday items (the `birthday` tag, whatever it is called) repeat yearly.
+//
+// Imported events go the other way into the same schedule shape that
+// POST /api/calendar/:date/schedule creates, keeping the event UID as `uid`.
+
+const recurrence = require('./lib/recurrence');
+const lunar = require('./lib/lunar');
+const times = require('./lib/times');
+
+const PRODID = '-//MY Private Playground//Calendar API//KO';
+const UID_DOMAIN = 'my-private-playground';
+const TIME_ZONE = times.DEFAULT_TIME_ZONE;
+const TAGS = ['Private', 'Work', 'Birthday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// VTIMEZONEs list offset changes up to this many years past the later of
+// the last event and now; repeating events go on with the last offset
+const ZONE_YEARS_AHEAD = 10;
+
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded; never split a UTF-8 character
+function foldLine(line) {
+    const chunks = [];
+    let chunk = '';
+    let size = 0;
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        const limit = chunks.length === 0 ? 75 : 74;
+        if (size + bytes > limit) {
+            chunks.push(chunk);
+            chunk = '';
+            size = 0;
+        }
+        chunk += char;
+        size += bytes;
+    }
+    chunks.push(chunk);
+    return chunks.join('\r\n ');
+}
+
+function icsDate(date) {
+    return date.replace(/-/g, '');
+}
+
+function icsTimestamp(iso) {
+    const time = iso ? new Date(iso) : new Date();
+    const valid = Number.isNaN(time.getTime()) ? new Date() : time;
+    return valid.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Parameters and values of DTSTART-like properties: `;VALUE=DATE` and
+// `20251218` for all-day schedules, `;TZID=Asia/Seoul` and `20251218T150000`
+// for timed ones
+function dateParams(schedule) {
+    return times.isTimed(schedule) ? `;TZID=${schedule.timeZone || TIME_ZONE}` : ';VALUE=DATE';
+}
+
+function dateValue(schedule, date, time = schedule.startTime) {
+    return times.isTimed(schedule) ? `${icsDate(date)}T${time.replace(':', '')}00` : icsDate(date);
+}
+
+// DTSTART and DTEND of `schedule` shown from `start` to `end`
+function eventSpan(schedule, start, end) {
+    if (!times.isTimed(schedule)) {
+        return [`DTSTART;VALUE=DATE:${icsDate(start)}`, `DTEND;VALUE=DATE:${icsDate(recurrence.addDays(end, 1))}`];
+    }
+    const { endTime } = schedule;
+    // No end is a DEFAULT_DURATION event; an end before the start is the next day
+    const lines = [`DTSTART${dateParams(schedule)}:${dateValue(schedule, start)}`];
+    if (!endTime) {
+        lines.push(`DURATION:PT${times.DEFAULT_DURATION}M`);
+    } else {
+        const endDate = start === end && times.toMinutes(endTime) < times.toMinutes(schedule.startTime)
+            ? recurrence.addDays(end, 1)
+            : end;
+        lines.push(`DTEND${dateParams(schedule)}:${dateValue(schedule, endDate, endTime)}`);
+    }
+    return lines;
+}
+
+// UID a schedule has in feeds: the imported one, or one made from its id
+function uidOf(schedule) {
+    return schedule.uid || `${schedule.id}@${UID_DOMAIN}`;
+}
+
+// Event lines for a schedule stored under `date`
+function scheduleEvent(schedule, date, birthdayTag) {
+    const start = schedule.startDate && schedule.endDate ? schedule.startDate : date;
+    const end = schedule.startDate && schedule.endDate ? schedule.endDate : date;
+    // Exceptions are stored by occurrence of the stored date; move them with DTSTART
+    const shift = recurrence.daysBetween(date, start);
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${uidOf(schedule)}`,
+        `DTSTAMP:${icsTimestamp(schedule.updatedAt || schedule.createdAt)}`,
+        ...eventSpan(schedule, start, end),
+        `SUMMARY:${escapeText(schedule.content || '')}`
+    ];
+    if (schedule.tag) {
+        lines.push(`CATEGORIES:${escapeText(schedule.tag)}`);
+    }
+
+    let rule = null;
+    try {
+        rule = recurrence.ruleOf(schedule);
+    } catch (error) {
+        // A broken rule is shown as a single event rather than dropping it
+        rule = null;
+    }
+    if (rule && rule.rscale) {
+        // Few calendar apps read RSCALE, so lunar dates are listed one by one
+        const dates = recurrence.occurrences(rule, date, recurrence.addDays(date, 1), `${lunar.LAST_YEAR}-12-31`, schedule.exdates || []);
+        if (dates.length > 0) {
+            const values = dates.map(d => dateValue(schedule, recurrence.addDays(d, shift)));
+            lines.push(`RDATE${dateParams(schedule)}:${values.join(',')}`);
+        }
+    } else if (rule) {
+        lines.push(`RRULE:${recurrence.formatRRule(rule)}`);
+        const exdates = (schedule.exdates || []).map(d => dateValue(schedule, recurrence.addDays(d, shift)));
+        if (exdates.length > 0) {
+            lines.push(`EXDATE${dateParams(schedule)}:${exdates.join(',')}`);
+        }
+    } else if (schedule.tag === birthdayTag) {
+        lines.push('RRULE:FREQ=YEARLY');
+    }
+
+    if (schedule.tag === birthdayTag) {
+        lines.push('TRANSP:TRANSPARENT');
+    }
+    lines.push('END:VEVENT');
+
+    if (rule) {
+        Object.keys(schedule.overrides || {}).sort().forEach(occurrence => {
+            const instance = recurrence.occurrenceOf(schedule, date, occurrence);
+            const instanceStart = recurrence.addDays(occurrence, shift);
+            const instanceEnd = recurrence.addDays(end, recurrence.daysBetween(date, occurrence));
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${uidOf(schedule)}`,
+                `DTSTAMP:${icsTimestamp(schedule.updatedAt || schedule.createdAt)}`,
+                `RECURRENCE-ID${dateParams(schedule)}:${dateValue(schedule, instanceStart)}`,
+                ...eventSpan(instance, instanceStart, instanceEnd),
+                `SUMMARY:${escapeText(instance.content || '')}`,
+                ...(instance.tag ? [`CATEGORIES:${escapeText(instance.tag)}`] : []),
+                'END:VEVENT'
+            );
+        });
+    }
+
+    return lines;
+}
+
+function holidayEvent(date, name) {
+    return [
+        'BEGIN:VEVENT',
+        `UID:holiday-${icsDate(date)}@${UID_DOMAIN}`,
+        `DTSTAMP:${icsTimestamp()}`,
+        `DTSTART;VALUE=DATE:${icsDate(date)}`,
+        `DTEND;VALUE=DATE:${icsDate(recurrence.addDays(date, 1))}`,
+        `SUMMARY:${escapeText(name)}`,
+        'CATEGORIES:Holiday',
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+    ];
+}
+
+// `+0900` for 540 minutes
+function icsOffset(minutes) {
+    const abs = Math.abs(minutes);
+    return `${minutes < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+// Local `20250309T020000` of an instant at a UTC offset
+function icsLocalTime(instant, offset) {
+    return new Date(instant + offset * 60 * 1000).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, '');
+}
+
+// Instants (ms) where `timeZone` changes its UTC offset between two instants.
+// Offsets are sampled weekly, and each change found is narrowed to the minute.
+function offsetChanges(timeZone, from, to) {
+    const changes = [];
+    let offset = times.zoneOffset(from, timeZone);
+    for (let start = from; start < to; start += 7 * DAY_MS) {
+        const end = Math.min(start + 7 * DAY_MS, to);
+        const next = times.zoneOffset(end, timeZone);
+        if (next === offset) continue;
+        let [low, high] = [start, end];
+        while (high - low > 60 * 1000) {
+            const middle = low + Math.floor((high - low) / 2 / 60000) * 60000;
+            if (times.zoneOffset(middle, timeZone) === offset) low = middle; else high = middle;
+        }
+        changes.push({ at: high, from: offset, to: times.zoneOffset(high, timeZone) });
+        offset = next;
+    }
+    return changes;
+}
+
+const timeZoneCache = new Map();
+
+// VTIMEZONE lines for `timeZone` covering `firstYear` to `lastYear`: the
+// offset at the start as STANDARD, then one STANDARD or DAYLIGHT (a change to
+// a larger offset) per change
+function timeZoneLines(timeZone, firstYear, lastYear) {
+    const key = `${timeZone} ${firstYear} ${lastYear}`;
+    if (!timeZoneCache.has(key)) {
+        const from = Date.UTC(firstYear, 0, 1);
+        const initial = times.zoneOffset(from, timeZone);
+        const observance = (kind, start, offsetFrom, offsetTo) => [
+            `BEGIN:${kind}`,
+            `DTSTART:${start}`,
+            `TZOFFSETFROM:${icsOffset(offsetFrom)}`,
+            `TZOFFSETTO:${icsOffset(offsetTo)}`,
+            `END:${kind}`
+        ];
+        timeZoneCache.set(key, [
+            'BEGIN:VTIMEZONE',
+            `TZID:${timeZone}`,
+            ...observance('STANDARD', `${firstYear}0101T000000`, initial, initial),
+            ...offsetChanges(timeZone, from, Date.UTC(lastYear + 1, 0, 1)).flatMap(change => observance(
+                change.to > change.from ? 'DAYLIGHT' : 'STANDARD',
+                icsLocalTime(change.at, change.from),
+                change.from,
+                change.to
+            )),
+            'END:VTIMEZONE'
+        ]);
+    }
+    return timeZoneCache.get(key);
+}
+
+// VTIMEZONEs for every TZID in `events` (lines), spanning the years their
+// date values are in
+function timeZonesOf(events) {
+    const zones = new Map();
+    events.forEach(line => {
+        const match = /;TZID=([^;:]+)[^:]*:(.*)$/.exec(line);
+        if (!match || !times.isTimeZone(match[1])) return;
+        const years = match[2].split(',').map(value => Number(value.slice(0, 4)));
+        const [first, last] = zones.get(match[1]) || [Infinity, -Infinity];
+        zones.set(match[1], [Math.min(first, ...years), Math.max(last, ...years)]);
+    });
+    const thisYear = new Date().getUTCFullYear();
+    return [...zones.keys()].sort().flatMap(timeZone => {
+        const [first, last] = zones.get(timeZone);
+        return timeZoneLines(timeZone, Math.max(first, 1970), Math.max(last, thisYear) + ZONE_YEARS_AHEAD);
+    });
+}
+
+function wrapCalendar(name, events) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${TIME_ZONE}`,
+        ...timeZonesOf(events),
+        ...events,
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// One schedule as a CalDAV calendar object resource (no METHOD, RFC 4791)
+function calendarObject(schedule, date, { birthdayTag = 'Birthday' } = {}) {
+    const events = scheduleEvent(schedule, date, birthdayTag);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        ...timeZonesOf(events),
+        ...events,
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Feed of stored schedules; `tags` (case-insensitive) limits which are included
+function calendarFeed(allData, { tags = [], name = 'MY Private Playground', birthdayTag = 'Birthday' } = {}) {
+    const wanted = tags.map(tag => tag.toLowerCase());
+    const events = [];
+
+    Object.keys(allData).sort().forEach(date => {
+        if (!recurrence.isDateString(date)) return;
+        (allData[date].schedules || []).forEach(schedule => {
+            if (wanted.length > 0 && !wanted.includes(String(schedule.tag || '').toLowerCase())) return;
+            events.push(...scheduleEvent(schedule, date, birthdayTag));
+        });
+    });
+
+    return wrapCalendar(name, events);
+}
+
+// Feed of holidays given as { 'YYYY-MM-DD': name }
+function holidayFeed(holidays, { name = '대한민국 공휴일' } = {}) {
+    const events = [];
+    Object.keys(holidays).sort().forEach(date => {
+        events.push(...holidayEvent(date, holidays[date]));
+    });
+    return wrapCalendar(name, events);
+}
+
+// ----- Import -----
+
+class IcsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'IcsError';
+    }
+}
+
+function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Split on commas that are not escaped
+function splitValues(value) {
+    return value.split(/(?<!\\),/).map(unescapeText).map(item => item.trim()).filter(Boolean);
+}
+
+// `NAME;PARAM=a;PARAM2="b:c":value` -> { name, params, value }
+function parseLine(line) {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) {
+            colon = i;
+            break;
+        }
+    }
+    if (colon === -1) return null;
+
+    const [name, ...rawParams] = line.slice(0, colon).split(';');
+    const params = {};
+    rawParams.forEach(param => {
+        const [key, ...rest] = param.split('=');
+        params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    });
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// DATE or DATE-TIME value -> { date, time }. UTC times are moved into the
+// calendar's time zone; TZID and floating times are taken as written (the
+// event keeps its TZID as `timeZone`).
+function parseDateValue(value, timeZone) {
+    const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) {
+        throw new IcsError(`Invalid date "${value}"`);
+    }
+    const [, y, m, d, hh, mm, ss, utc] = match;
+    const date = `${y}-${m}-${d}`;
+    if (!recurrence.isDateString(date)) {
+        throw new IcsError(`Invalid date "${value}"`);
+    }
+    if (!hh) return { date, time: null };
+    if (utc) {
+        return times.wallClock(Date.UTC(+y, m - 1, +d, +hh, +mm, +ss), timeZone);
+    }
+    return { date, time: `${hh}:${mm}` };
+}
+
+// RRULE value with a UTC UNTIL (20260301T005959Z) turned into the date it
+// falls on in the calendar's time zone; recurrence.js keeps only the date
+// part of UNTIL, which for a UTC time can be the day before or after
+function localUntil(value, timeZone) {
+    return value.replace(/(^|;)UNTIL=(\d{8}T\d{6}Z)(?=;|$)/i, (match, lead, until) =>
+        `${lead}UNTIL=${icsDate(parseDateValue(until.toUpperCase(), timeZone).date)}`);
+}
+
+// Minutes in a DURATION such as P1D, P2W or PT1H30M
+function durationMinutes(value) {
+    const match = value.trim().match(/^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) {
+        throw new IcsError(`Invalid DURATION "${value}"`);
+    }
+    const [, weeks, days, hours, minutes] = match.map(part => Number(part) || 0);
+    return ((weeks * 7 + days) * 24 + hours) * 60 + minutes;
+}
+
+// Wall-clock date/time `minutes` after { date, time }
+function addMinutes({ date, time }, minutes) {
+    const [y, m, d] = date.split('-').map(Number);
+    const [hh, mm] = time.split(':').map(Number);
+    const shifted = new Date(Date.UTC(y, m - 1, d, hh, mm + minutes));
+    const iso = shifted.toISOString();
+    return { date: iso.slice(0, 10), time: iso.slice(11, 16) };
+}
+
+// Parse the VEVENTs of an .ics file. Events that cannot be read are returned
+// in `errors` instead of failing the whole file.
+function parseCalendar(text) {
+    if (typeof text !== 'string' || !/BEGIN:VCALENDAR/i.test(text)) {
+        throw new IcsError('Not an iCalendar file (BEGIN:VCALENDAR is missing)');
+    }
+
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const stack = [];
+    const raw = [];
+    let timeZone = TIME_ZONE;
+    let current = null;
+
+    lines.forEach(line => {
+        const prop = parseLine(line);
+        if (!prop) return;
+        if (prop.name === 'BEGIN') {
+            stack.push(prop.value.toUpperCase());
+            if (prop.value.toUpperCase() === 'VEVENT') {
+                current = [];
+            }
+        } else if (prop.name === 'END') {
+            if (stack.pop() === 'VEVENT' && current) {
+                raw.push(current);
+                current = null;
+            }
+        } else if (stack[stack.length - 1] === 'VEVENT' && current) {
+            current.push(prop);
+        } else if (stack.length === 1 && prop.name === 'X-WR-TIMEZONE') {
+            timeZone = times.isTimeZone(prop.value.trim()) ? prop.value.trim() : TIME_ZONE;
+        }
+    });
+
+    const events = [];
+    const errors = [];
+    raw.forEach(props => {
+        const first = name => props.find(prop => prop.name === name);
+        const uid = first('UID') ? first('UID').value.trim() : null;
+        const summary = first('SUMMARY') ? unescapeText(first('SUMMARY').value).trim() : '';
+        try {
+            if (!first('DTSTART')) {
+                throw new IcsError('DTSTART is missing');
+            }
+            const start = parseDateValue(first('DTSTART').value, timeZone);
+            const allDay = start.time === null;
+            const tzid = first('DTSTART').params.TZID;
+
+            // Without DTEND or DURATION an event ends where it starts
+            let end = { ...start };
+            if (first('DTEND')) {
+                end = parseDateValue(first('DTEND').value, timeZone);
+                // All-day DTEND is exclusive
+                if (allDay) end.date = recurrence.addDays(end.date, -1);
+            } else if (first('DURATION')) {
+                const minutes = durationMinutes(first('DURATION').value);
+                end = allDay
+                    ? { date: recurrence.addDays(start.date, Math.max(Math.floor(minutes / 1440) - 1, 0)), time: null }
+                    : addMinutes(start, minutes);
+            }
+            if (end.date < start.date) end = { ...start };
+
+            let rrule = null;
+            let ruleError = null;
+            if (first('RRULE')) {
+                try {
+                    rrule = recurrence.formatRRule(recurrence.parseRRule(localUntil(first('RRULE').value, timeZone)));
+                } catch (error) {
+                    ruleError = error.message;
+                }
+            }
+
+            const exdates = [];
+            props.filter(prop => prop.name === 'EXDATE').forEach(prop => {
+                prop.value.split(',').forEach(value => exdates.push(parseDateValue(value, timeZone).date));
+            });
+
+            events.push({
+                uid,
+                summary,
+                categories: props.filter(prop => prop.name === 'CATEGORIES').flatMap(prop => splitValues(prop.value)),
+                cancelled: first('STATUS') ? first('STATUS').value.trim().toUpperCase() === 'CANCELLED' : false,
+                start: start.date,
+                end: end.date,
+                startTime: start.time,
+                endTime: allDay ? null : end.time,
+                timeZone: allDay ? null : (times.isTimeZone(tzid) ? tzid : timeZone),
+                rrule,
+                ruleError,
+                exdates: [...new Set(exdates)].sort(),
+                recurrenceId: first('RECURRENCE-ID') ? parseDateValue(first('RECURRENCE-ID').value, timeZone).date : null
+            });
+        } catch (error) {
+            if (!(error instanceof IcsError)) throw error;
+            errors.push({ uid, summary, error: error.message });
+        }
+    });
+
+    return { events, errors };
+}
+
+function tagOf(categories, tags, defaultTag) {
+    for (const category of categories) {
+        const tag = tags.find(t => t.toLowerCase() === category.toLowerCase());
+        if (tag) return tag;
+    }
+    return defaultTag;
+}
+
+// Parsed events -> [{ date, schedule }] in the stored schedule shape.
+// Moved occurrences become schedules of their own with a `uid/date` UID.
+// CATEGORIES are matched against `tags`, the calendar's tag names.
+function toSchedules(events, { tags = TAGS, defaultTag = 'Private', newId, now }) {
+    const items = [];
+    const warnings = [];
+    const masters = {};
+
+    const build = (event, uid) => {
+        const multiDay = event.end > event.start;
+        const schedule = {
+            id: newId(),
+            uid,
+            content: event.summary || '(제목 없음)',
+            tag: tagOf(event.categories, tags, defaultTag),
+            source: 'monthly',
+            repeat: event.rrule ? recurrence.repeatOf(event.rrule) : 'none',
+            rrule: event.rrule,
+            exdates: event.rrule ? event.exdates : [],
+            startDate: multiDay ? event.start : null,
+            endDate: multiDay ? event.end : null,
+            createdAt: now
+        };
+        Object.assign(schedule, event.startTime
+            ? { allDay: false, startTime: event.startTime, endTime: event.endTime, timeZone: event.timeZone }
+            : { allDay: true, startTime: null, endTime: null, timeZone: null });
+        if (event.ruleError) {
+            warnings.push({ uid, summary: event.summary, error: `RRULE ignored: ${event.ruleError}` });
+        }
+        return schedule;
+    };
+
+    events.filter(event => !event.recurrenceId && !event.cancelled).forEach(event => {
+        const uid = event.uid || null;
+        const schedule = build(event, uid);
+        if (uid) masters[uid] = schedule;
+        items.push({ date: event.start, schedule });
+    });
+
+    events.filter(event => event.recurrenceId).forEach(event => {
+        const master = event.uid && masters[event.uid];
+        const repeating = master && master.rrule;
+        if (repeating && (event.cancelled || event.start !== event.recurrenceId)) {
+            master.exdates = [...new Set([...master.exdates, event.recurrenceId])].sort();
+        }
+        if (event.cancelled) return;
+
+        // Occurrences without CATEGORIES keep the tag of their series
+        const tagged = master && event.categories.length === 0 ? { ...event, categories: [master.tag] } : event;
+        if (repeating && event.start === event.recurrenceId) {
+            const instance = build({ ...tagged, rrule: null }, master.uid);
+            const override = {};
+            recurrence.OVERRIDE_FIELDS.forEach(field => {
+                if (instance[field] !== master[field]) override[field] = instance[field];
+            });
+            master.overrides = { ...(master.overrides || {}), [event.recurrenceId]: override };
+            return;
+        }
+        const uid = event.uid ? `${event.uid}/${event.recurrenceId}` : null;
+        items.push({ date: event.start, schedule: build({ ...tagged, rrule: null }, uid) });
+    });
+
+    return { items, warnings };
+}
+
+// A calendar object a CalDAV client PUT: one UID, its event and the
+// occurrences edited on their own. Returns { uid, date, schedule, others }
+// where `others` are occurrences moved to another date (see toSchedules()).
+function readCalendarObject(text, options) {
+    const { events, errors } = parseCalendar(text);
+    if (errors.length > 0) {
+        throw new IcsError(errors[0].error);
+    }
+    const uids = [...new Set(events.map(event => event.uid))];
+    if (uids.length !== 1 || !uids[0]) {
+        throw new IcsError('A calendar object must hold events with one UID');
+    }
+    if (!events.some(event => !event.recurrenceId && !event.cancelled)) {
+        throw new IcsError('The event itself (without RECURRENCE-ID) is missing');
+    }
+
+    const { items } = toSchedules(events, options);
+    const [main, ...others] = items;
+    return { uid: uids[0], date: main.date, schedule: main.schedule, others };
+}
+
+module.exports = {
+    TAGS,
+    IcsError,
+    calendarFeed,
+    calendarObject,
+    readCalendarObject,
+    holidayFeed,
+    parseCalendar,
+    toSchedules,
+    uidOf,
+    escapeText,
+    foldLine
+};
@@ -0,0 +1,86 @@
+// Agenda: the schedules of a date range as one list, soonest first
+//
+// Shared by the API (/api/agenda) and calendar.html like recurrence.js: Node
+// loads it with require(), the page with a <script> tag (after times.js) that
+// exposes `CalendarAgenda`.
+//
+// Repeating schedules are expanded. A schedule spanning several days is listed
+// once, on the day it starts, or on `from` when it started earlier and is
+// still going. Every item carries `daysUntil`, its D-day count from `today`.
+// Birthdays (schedules with the birthday tag) get an `age` as well when it can
+// be told: when the schedule repeats from the birth date itself, which is the
+// case when it is stored on a date before the day it was created.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./recurrence'), require('./times'));
+    } else {
+        root.CalendarAgenda = factory(root.CalendarRecurrence, root.CalendarTimes);
+    }
+})(typeof self !== 'undefined' ? self : this, function (recurrence, times) {
+    function isSpan(schedule) {
+        return !!(schedule.startDate && schedule.endDate && schedule.startDate !== schedule.endDate);
+    }
+
+    // Age on `date` for a birthday, or null when the birth year is unknown
+    function ageOf(schedule, storedDate, date) {
+        const born = schedule.originalDate || storedDate;
+        if (!schedule.createdAt || born >= schedule.createdAt.slice(0, 10)) return null;
+        return Number(date.slice(0, 4)) - Number(born.slice(0, 4));
+    }
+
+    function itemOf(schedule, storedDate, date, { today, birthdayTag }) {
+        const birthday = !!birthdayTag && schedule.tag === birthdayTag;
+        return {
+            date,
+            daysUntil: recurrence.daysBetween(today, date),
+            birthday,
+            age: birthday ? ageOf(schedule, storedDate, date) : null,
+            schedule
+        };
+    }
+
+    // All-day schedules first, then by start time, like the calendar views
+    function compareItems(a, b) {
+        if (a.date !== b.date) return a.date.localeCompare(b.date);
+        const timeOf = item => (times.isTimed(item.schedule) ? item.schedule.startTime : '');
+        return timeOf(a).localeCompare(timeOf(b)) || String(a.schedule.content || '').localeCompare(b.schedule.content || '');
+    }
+
+    // Items between `from` and `to` (YYYY-MM-DD, inclusive). `birthdayTag` is
+    // the name of the calendar's birthday tag; `series` as for expandRange().
+    function agendaItems(allData, { from, to, today = from, birthdayTag = null, series } = {}) {
+        const options = { today, birthdayTag };
+        const items = [];
+
+        // Spans stored before `from` that are still going on it
+        Object.keys(allData).forEach(date => {
+            if (date >= from) return;
+            (allData[date].schedules || []).forEach(schedule => {
+                if (isSpan(schedule) && schedule.startDate < from && schedule.endDate >= from) {
+                    items.push(itemOf(schedule, date, from, options));
+                }
+            });
+        });
+
+        const expanded = recurrence.expandRange(allData, from, to, series);
+        Object.keys(expanded).forEach(date => {
+            (expanded[date].schedules || []).forEach(schedule => {
+                items.push(itemOf(schedule, date, date, options));
+            });
+        });
+
+        return items.sort(compareItems);
+    }
+
+    // "D-DAY", "D-3", or "D+2" for a day already past
+    function formatDDay(daysUntil) {
+        if (daysUntil === 0) return 'D-DAY';
+        return daysUntil > 0 ? `D-${daysUntil}` : `D+${-daysUntil}`;
+    }
+
+    return {
+        agendaItems,
+        formatDDay
+    };
+});
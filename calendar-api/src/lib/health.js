@@ -0,0 +1,239 @@
+// Nutrition and body-metrics logs, and their trends next to workout volume
+//
+// Shared by the API (/api/calendar/:date/nutrition, /body and
+// /api/analytics/health) and calendar.html like recurrence.js: Node loads it
+// with require(), the page with a <script> tag (after workouts.js) that
+// exposes `CalendarHealth`.
+//
+// Each date can have a `nutrition` record ({ meals: [{ name, calories,
+// protein }], calories, protein } with the day totals worked out from the
+// meals) and a `body` record ({ weight, bodyFat, sleepHours, mood }). Units
+// are kcal, grams of protein, kg, percent and hours; mood is 1 (worst) to 5.
+// Any value may be left out (null). Trends average the days that have a
+// value, so a week with two weigh-ins isn't dragged down by the other five.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./workouts'));
+    } else {
+        root.CalendarHealth = factory(root.CalendarWorkouts);
+    }
+})(typeof self !== 'undefined' ? self : this, function (workouts) {
+    const MAX_MEALS = 20;
+    const MAX_MEAL_NAME = 50;
+    const MOODS = ['😫', '🙁', '😐', '🙂', '😄'];
+
+    // Accepted range of every value, for validation and the page's inputs
+    const LIMITS = {
+        calories: { min: 0, max: 10000 },
+        protein: { min: 0, max: 1000 },
+        weight: { min: 1, max: 400 },
+        bodyFat: { min: 1, max: 75 },
+        sleepHours: { min: 0, max: 24 },
+        mood: { min: 1, max: MOODS.length, integer: true }
+    };
+    const NUTRITION_METRICS = ['calories', 'protein'];
+    const BODY_METRICS = ['weight', 'bodyFat', 'sleepHours', 'mood'];
+    const METRICS = [...NUTRITION_METRICS, ...BODY_METRICS];
+
+    class HealthError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'HealthError';
+        }
+    }
+
+    function round(value, digits = 1) {
+        const factor = 10 ** digits;
+        return Math.round(value * factor) / factor;
+    }
+
+    // A number within LIMITS[field], or null when left out
+    function readValue(value, field, label = field) {
+        if (value === undefined || value === null || value === '') return null;
+        const { min, max, integer } = LIMITS[field];
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+            throw new HealthError(`${label} must be ${integer ? 'a whole number' : 'a number'} from ${min} to ${max}`);
+        }
+        return value;
+    }
+
+    function sumOf(values) {
+        const known = values.filter(value => value !== null);
+        return known.length > 0 ? round(known.reduce((sum, value) => sum + value, 0)) : null;
+    }
+
+    // Validate `meals` from a request. Returns { meals, calories, protein }.
+    function readNutrition(input) {
+        const { meals } = input || {};
+        if (!Array.isArray(meals) || meals.length === 0) {
+            throw new HealthError('meals must be a list with at least one meal');
+        }
+        if (meals.length > MAX_MEALS) {
+            throw new HealthError(`At most ${MAX_MEALS} meals a day`);
+        }
+        const read = meals.map((meal, index) => {
+            const name = String((meal && meal.name) || '').trim();
+            if (!name) {
+                throw new HealthError(`meals[${index}].name is required`);
+            }
+            if (name.length > MAX_MEAL_NAME) {
+                throw new HealthError(`meals[${index}].name must be at most ${MAX_MEAL_NAME} characters`);
+            }
+            return {
+                name,
+                calories: readValue(meal.calories, 'calories', `meals[${index}].calories`),
+                protein: readValue(meal.protein, 'protein', `meals[${index}].protein`)
+            };
+        });
+        return {
+            meals: read,
+            calories: sumOf(read.map(meal => meal.calories)),
+            protein: sumOf(read.map(meal => meal.protein))
+        };
+    }
+
+    // Validate weight/bodyFat/sleepHours/mood from a request; at least one is needed
+    function readBody(input) {
+        const body = {};
+        BODY_METRICS.forEach(field => {
+            body[field] = readValue((input || {})[field], field);
+        });
+        if (BODY_METRICS.every(field => body[field] === null)) {
+            throw new HealthError(`Enter at least one of ${BODY_METRICS.join(', ')}`);
+        }
+        return body;
+    }
+
+    // The metrics logged on a date (null for the ones that weren't)
+    function valuesOf(day) {
+        const nutrition = (day && day.nutrition) || {};
+        const body = (day && day.body) || {};
+        const values = {};
+        NUTRITION_METRICS.forEach(field => {
+            values[field] = typeof nutrition[field] === 'number' ? nutrition[field] : null;
+        });
+        BODY_METRICS.forEach(field => {
+            values[field] = typeof body[field] === 'number' ? body[field] : null;
+        });
+        return values;
+    }
+
+    function hasHealth(day) {
+        return !!(day && (day.nutrition || day.body));
+    }
+
+    function hasExercise(day) {
+        const exercise = day && day.exercise;
+        return !!(exercise && ((exercise.weight || []).length > 0 || (exercise.nonWeight || []).length > 0));
+    }
+
+    function emptySums() {
+        const sums = {};
+        METRICS.forEach(field => {
+            sums[field] = { total: 0, count: 0 };
+        });
+        return sums;
+    }
+
+    function addValues(sums, values) {
+        METRICS.forEach(field => {
+            if (values[field] === null) return;
+            sums[field].total += values[field];
+            sums[field].count++;
+        });
+    }
+
+    function averagesOf(sums) {
+        const averages = {};
+        METRICS.forEach(field => {
+            const { total, count } = sums[field];
+            averages[field] = count > 0 ? round(total / count, field === 'calories' ? 0 : 1) : null;
+        });
+        return averages;
+    }
+
+    // Per-period averages merged into the workout buckets of the same periods
+    function mergePeriods(buckets, sumsByPeriod) {
+        return buckets.map(bucket => ({
+            period: bucket.period,
+            sessions: bucket.sessions,
+            volume: bucket.volume,
+            minutes: bucket.minutes,
+            ...averagesOf(sumsByPeriod.get(bucket.period) || emptySums())
+        }));
+    }
+
+    // Nutrition and body trends in [from, to] (both optional) with the workout
+    // totals of the same weeks and months. Returns { from, to, summary, days,
+    // weekly, monthly }: `days` lists the dates with a log, `weekly`/`monthly`
+    // every period in the range with the average of each metric.
+    function trends(allData, { from, to, today } = {}) {
+        const inRange = date => (!from || date >= from) && (!to || date <= to);
+        const logged = Object.keys(allData || {})
+            .filter(date => inRange(date) && (hasHealth(allData[date]) || hasExercise(allData[date])))
+            .sort();
+        const rangeFrom = from || logged[0] || null;
+        const rangeTo = to || today || logged[logged.length - 1] || null;
+        // Same range for the workouts, so both fill in the same periods
+        const stats = workouts.analyze(allData, { from: rangeFrom || undefined, to: rangeTo || undefined, today });
+
+        const total = emptySums();
+        const weekly = new Map();
+        const monthly = new Map();
+        const days = [];
+        let nutritionDays = 0;
+        let bodyDays = 0;
+        let firstWeight = null;
+        let lastWeight = null;
+
+        logged.forEach(date => {
+            const day = allData[date];
+            if (!hasHealth(day)) return;
+            const values = valuesOf(day);
+            if (day.nutrition) nutritionDays++;
+            if (day.body) bodyDays++;
+            if (values.weight !== null) {
+                if (!firstWeight) firstWeight = { value: values.weight, date };
+                lastWeight = { value: values.weight, date };
+            }
+
+            addValues(total, values);
+            [[weekly, workouts.weekOf(date)], [monthly, workouts.monthOf(date)]].forEach(([map, period]) => {
+                if (!map.has(period)) map.set(period, emptySums());
+                addValues(map.get(period), values);
+            });
+            const volume = ((day.exercise && day.exercise.weight) || []).reduce((sum, entry) => sum + workouts.volumeOf(entry), 0);
+            days.push({ date, ...values, volume });
+        });
+
+        return {
+            from: rangeFrom,
+            to: rangeTo,
+            summary: {
+                nutritionDays,
+                bodyDays,
+                ...averagesOf(total),
+                weightChange: firstWeight
+                    ? { from: firstWeight, to: lastWeight, change: round(lastWeight.value - firstWeight.value) }
+                    : null
+            },
+            days,
+            weekly: mergePeriods(stats.weekly, weekly),
+            monthly: mergePeriods(stats.monthly, monthly)
+        };
+    }
+
+    return {
+        MAX_MEALS,
+        MAX_MEAL_NAME,
+        MOODS,
+        LIMITS,
+        METRICS,
+        HealthError,
+        readNutrition,
+        readBody,
+        valuesOf,
+        trends
+    };
+});
@@ -0,0 +1,170 @@
+// Korean public holidays (공휴일) for any year
+//
+// Shared by the API and calendar.html like recurrence.js: Node loads it with
+// require(), the page with a <script> tag (after lunar.js) that exposes
+// `CalendarHolidays`.
+//
+// Fixed-date holidays come from the solar calendar, 설날/부처님오신날/추석 from
+// lunar.js (so those are only known for 1900-2049, see hasLunarHolidays), and
+// 대체공휴일 follow the substitute rules in force for each year:
+//   - 설날/추석 연휴: a day on Sunday or on another holiday (from 2014)
+//   - 어린이날: Saturday, Sunday or another holiday (from 2014)
+//   - 삼일절/광복절/개천절/한글날: Saturday or Sunday (from 2021)
+//   - 부처님오신날/크리스마스: Saturday, Sunday or another holiday (from 2023)
+// The substitute is the first following weekday that is not a holiday.
+// One-off holidays (elections, 임시공휴일) are not included.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./lunar'));
+    } else {
+        root.CalendarHolidays = factory(root.CalendarLunar);
+    }
+})(typeof self !== 'undefined' ? self : this, function (lunar) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const SUBSTITUTE = '대체공휴일';
+
+    // substitute: first year with a substitute holiday; weekend: days that trigger it
+    const SUNDAY = [0];
+    const WEEKEND = [0, 6];
+    const FIXED = [
+        { month: 1, day: 1, name: '신정' },
+        { month: 3, day: 1, name: '삼일절', substitute: 2021, weekend: WEEKEND },
+        { month: 5, day: 5, name: '어린이날', substitute: 2014, weekend: WEEKEND, overlap: true },
+        { month: 6, day: 6, name: '현충일' },
+        { month: 8, day: 15, name: '광복절', substitute: 2021, weekend: WEEKEND },
+        { month: 10, day: 3, name: '개천절', substitute: 2021, weekend: WEEKEND },
+        { month: 10, day: 9, name: '한글날', substitute: 2021, weekend: WEEKEND, since: 2013 },
+        { month: 12, day: 25, name: '크리스마스', substitute: 2023, weekend: WEEKEND, overlap: true }
+    ];
+    const LUNAR = [
+        { month: 1, day: 1, name: '설날', around: '설날 연휴', substitute: 2014, weekend: SUNDAY, overlap: true },
+        { month: 4, day: 8, name: '부처님오신날', substitute: 2023, weekend: WEEKEND, overlap: true },
+        { month: 8, day: 15, name: '추석', around: '추석 연휴', substitute: 2014, weekend: SUNDAY, overlap: true }
+    ];
+
+    function toDayNumber(dateStr) {
+        const [y, m, d] = dateStr.split('-').map(Number);
+        return Math.round(Date.UTC(y, m - 1, d) / DAY_MS);
+    }
+
+    function fromDayNumber(dayNumber) {
+        return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    function addDays(dateStr, days) {
+        return fromDayNumber(toDayNumber(dateStr) + days);
+    }
+
+    function dayOfWeek(dateStr) {
+        // 1970-01-01 was a Thursday
+        return (((toDayNumber(dateStr) + 4) % 7) + 7) % 7;
+    }
+
+    function pad(number) {
+        return String(number).padStart(2, '0');
+    }
+
+    // Every holiday day of a year: { date, name, rule, block }. Days of one
+    // 설날/추석 연휴 share a block so a substitute is placed after the whole 연휴.
+    function holidayDays(year) {
+        const days = [];
+
+        FIXED.forEach(rule => {
+            if (rule.since && year < rule.since) return;
+            days.push({ date: `${year}-${pad(rule.month)}-${pad(rule.day)}`, name: rule.name, rule });
+        });
+
+        LUNAR.forEach(rule => {
+            const date = lunar.lunarToSolar(year, rule.month, rule.day);
+            if (!date) return;
+            if (!rule.around) {
+                days.push({ date, name: rule.name, rule });
+                return;
+            }
+            const block = [addDays(date, -1), date, addDays(date, 1)];
+            block.forEach(day => {
+                days.push({ date: day, name: day === date ? rule.name : rule.around, rule, block });
+            });
+        });
+
+        return days;
+    }
+
+    // Substitute holidays for the days of `year`
+    function substitutes(year, days) {
+        const byDate = {};
+        days.forEach(day => {
+            (byDate[day.date] = byDate[day.date] || []).push(day);
+        });
+
+        const taken = new Set(Object.keys(byDate));
+        const result = [];
+
+        Object.keys(byDate).sort().forEach(date => {
+            const here = byDate[date];
+            const eligible = here.filter(day => day.rule.substitute && year >= day.rule.substitute);
+            if (eligible.length === 0) return;
+
+            const weekday = dayOfWeek(date);
+            const onWeekend = eligible.filter(day => day.rule.weekend.includes(weekday));
+            const overlapping = eligible.filter(day => day.rule.overlap);
+            // Weekend: one per holiday on that day; otherwise one per extra holiday
+            const count = onWeekend.length > 0
+                ? eligible.length
+                : Math.min(overlapping.length, here.length - 1);
+
+            const last = eligible.reduce((end, day) => {
+                const blockEnd = day.block ? day.block[day.block.length - 1] : day.date;
+                return blockEnd > end ? blockEnd : end;
+            }, date);
+
+            let candidate = last;
+            for (let i = 0; i < count; i++) {
+                do {
+                    candidate = addDays(candidate, 1);
+                } while ([0, 6].includes(dayOfWeek(candidate)) || taken.has(candidate));
+                taken.add(candidate);
+                result.push({ date: candidate, name: SUBSTITUTE });
+            }
+        });
+
+        return result;
+    }
+
+    // { 'YYYY-MM-DD': name } for a year; names of holidays sharing a day are joined
+    function holidaysOf(year) {
+        const days = holidayDays(year);
+        const all = [...days, ...substitutes(year, days)];
+        const holidays = {};
+        all.sort((a, b) => a.date.localeCompare(b.date)).forEach(({ date, name }) => {
+            if (!date.startsWith(`${year}-`)) return;
+            holidays[date] = holidays[date] ? `${holidays[date]}, ${name}` : name;
+        });
+        return holidays;
+    }
+
+    // Whether holidaysOf(year) includes 설날/부처님오신날/추석. Outside the lunar
+    // table only the solar holidays are known.
+    function hasLunarHolidays(year) {
+        return lunar.hasYear(year);
+    }
+
+    // Holidays between two dates (inclusive), across years
+    function holidaysBetween(from, to) {
+        const holidays = {};
+        for (let year = Number(from.slice(0, 4)); year <= Number(to.slice(0, 4)); year++) {
+            Object.entries(holidaysOf(year)).forEach(([date, name]) => {
+                if (date >= from && date <= to) holidays[date] = name;
+            });
+        }
+        return holidays;
+    }
+
+    return {
+        SUBSTITUTE,
+        holidaysOf,
+        holidaysBetween,
+        hasLunarHolidays
+    };
+});
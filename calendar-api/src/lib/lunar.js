@@ -0,0 +1,158 @@
+// Korean lunar calendar (음력) <-> solar date conversion
+//
+// Shared by the API and calendar.html like recurrence.js: Node loads it with
+// require(), the page with a <script> tag that exposes `CalendarLunar`.
+//
+// Built-in table for lunar years 1900-2049, in the packed layout of the widely
+// copied Chinese calendar table but with the Korean months where the two
+// calendars differ (윤3월 in 2012 and 윤5월 in 2017, where China has a leap 4th
+// and 6th month). Every day from 1900-01-31 to 2050-01-22 was checked against
+// korean-lunar-calendar (https://github.com/usingsky/korean_lunar_calendar_js),
+// which follows the tables of the Korea Astronomy and Space Science Institute
+// (https://astro.kasi.re.kr/). Each entry packs one year:
+//   bits 15-4  months 1-12, 1 = 30 days, 0 = 29 days
+//   bits 3-0   leap month (윤달) number, 0 when there is none
+//   bit 16     leap month has 30 days
+// Lunar 1900-01-01 was solar 1900-01-31; every later new year follows from the
+// year lengths. Dates outside the table convert to null; hasYear() tells
+// callers whether a year is covered.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CalendarLunar = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const FIRST_YEAR = 1900;
+    const LAST_YEAR = 2049;
+
+    const YEARS = [
+        0x04bd8, 0x04ae0, 0x0a570, 0x054d5, 0x0d260, 0x0d950, 0x16554, 0x056a0, 0x09ad0, 0x055d2,
+        0x04ae0, 0x0a5b6, 0x0a4d0, 0x0d250, 0x0da95, 0x0b550, 0x056a0, 0x0ada2, 0x095d0, 0x04bb7,
+        0x049b0, 0x0a4b0, 0x0b4b5, 0x06a90, 0x0ad40, 0x0bb54, 0x02b60, 0x095b0, 0x05372, 0x04970,
+        0x06566, 0x0e4a0, 0x0ea50, 0x16a95, 0x05b50, 0x02b60, 0x18ae3, 0x092e0, 0x1c8d7, 0x0c950,
+        0x0d4a0, 0x1d8a6, 0x0b690, 0x056d0, 0x125b4, 0x025d0, 0x092d0, 0x0d2b2, 0x0a950, 0x0d557,
+        0x0b4a0, 0x0b550, 0x15555, 0x04db0, 0x025b0, 0x18573, 0x052b0, 0x0a9b8, 0x06950, 0x06aa0,
+        0x0aea6, 0x0ab50, 0x04b60, 0x0aae4, 0x0a570, 0x05270, 0x07263, 0x0d950, 0x06b57, 0x056a0,
+        0x09ad0, 0x04dd5, 0x04ae0, 0x0a4e0, 0x0d4d4, 0x0d250, 0x0d598, 0x0b540, 0x0d6a0, 0x195a6,
+        0x095b0, 0x049b0, 0x0a9b4, 0x0a4b0, 0x0b27a, 0x06a50, 0x06d40, 0x0b756, 0x02b60, 0x095b0,
+        0x04b75, 0x04970, 0x064b0, 0x074a3, 0x0ea50, 0x06d98, 0x05ad0, 0x02b60, 0x096e5, 0x092e0,
+        0x0c960, 0x0e954, 0x0d4a0, 0x0da50, 0x07552, 0x056c0, 0x0abb7, 0x025d0, 0x092d0, 0x0cab5,
+        0x0a950, 0x0b4a0, 0x1b4a3, 0x0b550, 0x055d9, 0x04ba0, 0x0a5b0, 0x05575, 0x052b0, 0x0a950,
+        0x0b954, 0x06aa0, 0x0ad50, 0x06b52, 0x04b60, 0x0a6e6, 0x0a570, 0x05270, 0x06a65, 0x0d930,
+        0x05aa0, 0x0b6a3, 0x096d0, 0x04afb, 0x04ae0, 0x0a4d0, 0x1d0d6, 0x0d250, 0x0d520, 0x0dd45,
+        0x0b6a0, 0x096d0, 0x055b2, 0x049b0, 0x0a577, 0x0a4b0, 0x0b250, 0x1b255, 0x06d40, 0x0ada0
+    ];
+
+    // ----- Date helpers -----
+
+    function toDayNumber(dateStr) {
+        const [y, m, d] = dateStr.split('-').map(Number);
+        return Math.round(Date.UTC(y, m - 1, d) / DAY_MS);
+    }
+
+    function fromDayNumber(dayNumber) {
+        return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    const FIRST_NEW_YEAR = toDayNumber('1900-01-31');
+
+    // ----- Table lookups -----
+
+    function inRange(year) {
+        return Number.isInteger(year) && year >= FIRST_YEAR && year <= LAST_YEAR;
+    }
+
+    // Whether lunar dates of `year` can be converted
+    function hasYear(year) {
+        return inRange(year);
+    }
+
+    function leapMonthOf(year) {
+        return inRange(year) ? YEARS[year - FIRST_YEAR] & 0xf : 0;
+    }
+
+    function daysInMonth(year, month, leap = false) {
+        if (!inRange(year) || month < 1 || month > 12) return 0;
+        const data = YEARS[year - FIRST_YEAR];
+        if (leap) {
+            if (leapMonthOf(year) !== month) return 0;
+            return data & 0x10000 ? 30 : 29;
+        }
+        return data & (0x10000 >> month) ? 30 : 29;
+    }
+
+    // Months of a year in order, with the leap month right after its month
+    function monthsOf(year) {
+        const months = [];
+        const leapMonth = leapMonthOf(year);
+        for (let month = 1; month <= 12; month++) {
+            months.push({ month, leap: false, days: daysInMonth(year, month) });
+            if (month === leapMonth) {
+                months.push({ month, leap: true, days: daysInMonth(year, month, true) });
+            }
+        }
+        return months;
+    }
+
+    let newYears = null;
+
+    // Day numbers of lunar new year for every table year (plus the one after)
+    function newYearDayNumbers() {
+        if (!newYears) {
+            newYears = [FIRST_NEW_YEAR];
+            for (let year = FIRST_YEAR; year <= LAST_YEAR; year++) {
+                const length = monthsOf(year).reduce((sum, m) => sum + m.days, 0);
+                newYears.push(newYears[newYears.length - 1] + length);
+            }
+        }
+        return newYears;
+    }
+
+    // ----- Conversion -----
+
+    // Lunar date -> 'YYYY-MM-DD', or null when it does not exist
+    function lunarToSolar(year, month, day, leap = false) {
+        const length = daysInMonth(year, month, leap);
+        if (!length || !Number.isInteger(day) || day < 1 || day > length) return null;
+
+        let dayNumber = newYearDayNumbers()[year - FIRST_YEAR];
+        for (const m of monthsOf(year)) {
+            if (m.month === month && m.leap === leap) break;
+            dayNumber += m.days;
+        }
+        return fromDayNumber(dayNumber + day - 1);
+    }
+
+    // 'YYYY-MM-DD' -> { year, month, day, leap }, or null outside the table
+    function solarToLunar(dateStr) {
+        const dayNumber = toDayNumber(dateStr);
+        const starts = newYearDayNumbers();
+        if (dayNumber < starts[0] || dayNumber >= starts[starts.length - 1]) return null;
+
+        let index = 0;
+        while (starts[index + 1] <= dayNumber) index++;
+        const year = FIRST_YEAR + index;
+
+        let offset = dayNumber - starts[index];
+        for (const m of monthsOf(year)) {
+            if (offset < m.days) {
+                return { year, month: m.month, day: offset + 1, leap: m.leap };
+            }
+            offset -= m.days;
+        }
+        return null;
+    }
+
+    return {
+        FIRST_YEAR,
+        LAST_YEAR,
+        hasYear,
+        leapMonthOf,
+        daysInMonth,
+        lunarToSolar,
+        solarToLunar
+    };
+});
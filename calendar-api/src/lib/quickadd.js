@@ -0,0 +1,366 @@
+// Natural-language quick add
+//
+// Shared by the API (POST /api/calendar/quick-add) and calendar.html like
+// recurrence.js: Node loads it with require(), the page with a <script> tag
+// (after lunar.js and recurrence.js) that exposes `CalendarQuickAdd`.
+//
+// parseQuickAdd() reads one line of Korean or English, such as
+//   내일 오후 3시 치과 #Private    매주 화요일 PT       12/31 민채 생일
+//   tomorrow 3pm dentist          every mon and thu gym   Dec 24 7-9pm party
+// into the fields POST /api/calendar/:date/schedule takes. The words it
+// understands are taken out and what is left is the content:
+//   - a date: 오늘/내일/모레/글피, N일 후, N주 후, (이번 주/다음 주) 화요일,
+//     M월 D일, M/D, YYYY-MM-DD, D일, today/tomorrow, in N days, (this/next)
+//     tue, Dec 31, 31 Dec. Dates without a year are the next one to come;
+//     without any date the schedule is for today. A month and day that don't
+//     exist (2월 30일) are an error.
+//   - a time or range: 오후 3시, 3시 반, 15:30, 3pm, at 3, 정오/noon,
+//     3시-5시, 3시부터 5시까지, 2-4pm. Hours 1-6 without 오전/오후 or am/pm
+//     are read as the afternoon.
+//   - a repeat: 매일, 매주, 매주 화요일, 매주 월수금, 평일마다, 매월, 매년,
+//     음력 (음력 8월 15일), every day/week/month/year, every tue and thu,
+//     weekdays
+//   - a tag: #name, matched against the calendar's tags ignoring case.
+//     Without one, 생일/birthday picks the birthday tag, otherwise the
+//     default tag is used. Schedules with the birthday tag repeat yearly
+//     unless a repeat is given (12/31 민채 생일 -> every 12/31).
+// Only whole words count; Korean particles (에, 은, 부터, 까지) may follow them.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./recurrence'), require('./lunar'));
+    } else {
+        root.CalendarQuickAdd = factory(root.CalendarRecurrence, root.CalendarLunar);
+    }
+})(typeof self !== 'undefined' ? self : this, function (recurrence, lunar) {
+    class QuickAddError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'QuickAddError';
+        }
+    }
+
+    const MAX_LENGTH = 200;
+    const KO_DAYS = '일월화수목금토';
+    const EN_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+    const EN_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    const RELATIVE_DAYS = { 오늘: 0, 내일: 1, 모레: 2, 글피: 3, today: 0, tonight: 0, tomorrow: 1 };
+    const AM_WORDS = ['오전', '아침', '새벽'];
+    const PM_WORDS = ['오후', '낮', '저녁', '밤'];
+    // Hours said without 오전/오후 or am/pm that mean the afternoon (3시 -> 15:00)
+    const LAST_AFTERNOON_HOUR = 6;
+    const BIRTHDAY_WORDS = /생일|생신|birthday|bday/i;
+    const PRESET_REPEATS = [
+        ['daily', '매일|날마다|daily|every\\s+day'],
+        ['weekly', '매주|주마다|weekly|every\\s+week'],
+        ['monthly', '매월|매달|달마다|monthly|every\\s+month'],
+        ['yearly', '매년|해마다|yearly|annually|every\\s+year']
+    ];
+
+    // Pieces of the patterns below. START keeps the space before a word, so
+    // only whole words match.
+    const START = '(^|\\s)';
+    const END = '(?:에는|에|엔|은|는|부터|까지)?(?=$|[\\s,.!?])';
+    const KO_DAY = `[${KO_DAYS}]요일`;
+    const EN_DAY = 'sun(?:day)?|mon(?:day)?|tue(?:s|sday)?|wed(?:nesday)?|thu(?:r|rs|rsday)?|fri(?:day)?|sat(?:urday)?';
+    const EN_MONTH = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t|tember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+    const TIME = '(?:(?:오전|오후|아침|저녁|밤|새벽|낮)\\s*)?\\d{1,2}(?::\\d{2})?(?:\\s*시(?:\\s*(?:반|\\d{1,2}\\s*분))?)?(?:\\s*(?:am|pm|a\\.m\\.|p\\.m\\.))?|정오|noon|자정|midnight';
+
+    // ----- Dates -----
+
+    function makeDate(year, month, day) {
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day || year < 1000) return null;
+        return date.toISOString().slice(0, 10);
+    }
+
+    function weekdayOf(date) {
+        return new Date(`${date}T00:00:00Z`).getUTCDay();
+    }
+
+    // The first `day` (0 = Sunday) on or after `from`
+    function nextWeekday(from, day) {
+        return recurrence.addDays(from, (day - weekdayOf(from) + 7) % 7);
+    }
+
+    // `day` of the week starting on the Monday of `date`, `weeks` weeks later
+    function weekdayOfWeek(date, day, weeks) {
+        const monday = recurrence.addDays(date, -((weekdayOf(date) + 6) % 7));
+        return recurrence.addDays(monday, weeks * 7 + (day + 6) % 7);
+    }
+
+    // Next M/D on or after `today` (a later year for 2/29)
+    function upcoming(month, day, today) {
+        const year = Number(today.slice(0, 4));
+        for (let y = year; y <= year + 8; y++) {
+            const date = makeDate(y, month, day);
+            if (date && date >= today) return date;
+        }
+        return null;
+    }
+
+    // Next day `day` of a month on or after `today`
+    function upcomingDay(day, today) {
+        let year = Number(today.slice(0, 4));
+        let month = Number(today.slice(5, 7));
+        for (let i = 0; i < 12; i++) {
+            const date = makeDate(year, month, day);
+            if (date && date >= today) return date;
+            month = month === 12 ? 1 : month + 1;
+            year = month === 1 ? year + 1 : year;
+        }
+        return null;
+    }
+
+    // Next solar date of lunar month/day on or after `today`
+    function upcomingLunar(month, day, today) {
+        const now = lunar.solarToLunar(today);
+        if (!now) return null;
+        for (let year = now.year - 1; year <= now.year + 1; year++) {
+            const date = year >= lunar.FIRST_YEAR && year <= lunar.LAST_YEAR ? lunar.lunarToSolar(year, month, day) : null;
+            if (date && date >= today) return date;
+        }
+        return null;
+    }
+
+    function dayIndex(word) {
+        const ko = KO_DAYS.indexOf(word[0]);
+        return ko !== -1 ? ko : EN_DAYS.indexOf(word.slice(0, 3).toLowerCase());
+    }
+
+    function monthIndex(word) {
+        return EN_MONTHS.indexOf(word.slice(0, 3).toLowerCase()) + 1;
+    }
+
+    // ----- Times -----
+
+    // '오후 3시 반' -> { hour, minute, meridiem, explicit }, or null
+    function readTime(text, explicit) {
+        const value = text.trim().toLowerCase();
+        if (value === '정오' || value === 'noon') return { hour: 12, minute: 0, meridiem: 'pm', explicit: true };
+        if (value === '자정' || value === 'midnight') return { hour: 0, minute: 0, meridiem: 'am', explicit: true };
+
+        const match = /^(?:(오전|오후|아침|저녁|밤|새벽|낮)\s*)?(\d{1,2})(?::(\d{2}))?(?:\s*(시)(?:\s*(반|(\d{1,2})\s*분))?)?(?:\s*([ap])\.?m\.?)?$/.exec(value);
+        if (!match) return null;
+        const [, word, hourText, colonMinutes, hourMark, half, minutesText, ampm] = match;
+        const hour = Number(hourText);
+        const minute = colonMinutes ? Number(colonMinutes) : half === '반' ? 30 : minutesText ? Number(minutesText) : 0;
+        if (hour > 23 || minute > 59) return null;
+
+        let meridiem = null;
+        if (ampm) meridiem = ampm === 'a' ? 'am' : 'pm';
+        if (AM_WORDS.includes(word)) meridiem = 'am';
+        if (PM_WORDS.includes(word)) meridiem = 'pm';
+        return { hour, minute, meridiem, explicit: explicit || !!(word || colonMinutes || hourMark || ampm) };
+    }
+
+    // Minutes after midnight
+    function minutesOf({ hour, minute, meridiem }) {
+        let h = hour;
+        if (meridiem === 'pm' && h < 12) h += 12;
+        else if (meridiem === 'am' && h === 12) h = 0;
+        else if (!meridiem && h >= 1 && h <= LAST_AFTERNOON_HOUR) h += 12;
+        return h * 60 + minute;
+    }
+
+    function formatMinutes(minutes) {
+        const h = Math.floor(minutes / 60) % 24;
+        return `${String(h).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    // [startMinutes, endMinutes] of a range; the end is made later than the
+    // start when the afternoon fits (11시-1시 -> 11:00-13:00)
+    function rangeOf(start, end) {
+        const from = { ...start, meridiem: start.meridiem || (end.meridiem && start.hour <= end.hour ? end.meridiem : null) };
+        const to = { ...end, meridiem: end.meridiem || start.meridiem };
+        const startMinutes = minutesOf(from);
+        let endMinutes = minutesOf(to);
+        if (endMinutes <= startMinutes && endMinutes + 12 * 60 > startMinutes && endMinutes < 12 * 60) {
+            endMinutes += 12 * 60;
+        }
+        return [startMinutes, endMinutes];
+    }
+
+    // ----- Parsing -----
+
+    // Find the first match of `source` that `handler` accepts (it returns
+    // false otherwise) and take it out of the text
+    function take(state, type, source, handler) {
+        const pattern = new RegExp(source, 'gi');
+        let match;
+        while ((match = pattern.exec(state.rest))) {
+            const [whole, lead, ...groups] = match;
+            if (handler(...groups) === false) {
+                pattern.lastIndex = match.index + 1;
+                continue;
+            }
+            const start = match.index + lead.length;
+            state.tokens.push({ type, text: whole.slice(lead.length).trim() });
+            state.rest = `${state.rest.slice(0, start)} ${state.rest.slice(match.index + whole.length)}`;
+            return true;
+        }
+        return false;
+    }
+
+    function readTag(state, tags) {
+        take(state, 'tag', `${START}#([^\\s#]+)`, name => {
+            const tag = tags.find(t => t.toLowerCase() === name.toLowerCase());
+            if (!tag) {
+                state.unknownTags.push(name);
+                return false;
+            }
+            state.tag = tag;
+        });
+    }
+
+    function readRepeat(state) {
+        const setDays = days => {
+            state.days = [...new Set(days)].sort();
+        };
+        if (take(state, 'repeat', `${START}매주\\s*([${KO_DAYS}](?:요일)?(?:\\s*[,/·]?\\s*[${KO_DAYS}](?:요일)?)*)${END}`, days => {
+            setDays(days.replace(/요일|[\s,/·]/g, '').split('').map(dayIndex));
+        })) return;
+        if (take(state, 'repeat', `${START}(?:every|each)\\s+((?:${EN_DAY})(?:\\s*(?:,|and|&)\\s*(?:${EN_DAY}))*)${END}`, days => {
+            setDays(days.split(/\s*(?:,|and|&)\s*/i).map(dayIndex));
+        })) return;
+        if (take(state, 'repeat', `${START}(?:매\\s*평일|평일\\s*마다|every\\s+weekday|weekdays)${END}`, () => {
+            state.days = [1, 2, 3, 4, 5];
+        })) return;
+        if (take(state, 'repeat', `${START}음력(?:\\s*(?:(\\d{1,2})월\\s*(\\d{1,2})일|(\\d{1,2})[./](\\d{1,2})))?${END}`, (m1, d1, m2, d2) => {
+            const month = Number(m1 || m2);
+            const day = Number(d1 || d2);
+            if (month) {
+                const date = upcomingLunar(month, day, state.today);
+                if (!date) return false;
+                state.date = date;
+            }
+            state.repeat = 'lunar';
+        })) return;
+        PRESET_REPEATS.some(([repeat, words]) => take(state, 'repeat', `${START}(?:${words})${END}`, () => {
+            state.repeat = repeat;
+        }));
+    }
+
+    function readDate(state) {
+        const { today } = state;
+        const set = date => {
+            if (!date) return false;
+            state.date = date;
+        };
+        // A month and day that were written out but don't exist (2월 30일) are
+        // an error, not something for a later pattern (30일) to read instead
+        const setExact = (year, month, day) => {
+            const date = year ? makeDate(Number(year), month, Number(day)) : upcoming(month, Number(day), today);
+            if (!date) {
+                throw new QuickAddError(`No such date: ${year ? `${year}/` : ''}${month}/${Number(day)}`);
+            }
+            state.date = date;
+        };
+        const patterns = [
+            [`(\\d{4})[-./](\\d{1,2})[-./](\\d{1,2})`, (y, m, d) => setExact(y, Number(m), d)],
+            [`(?:(\\d{4})년\\s*)?(\\d{1,2})월\\s*(\\d{1,2})일`, (y, m, d) => setExact(y, Number(m), d)],
+            // Not every 3/45 is a date, but 2/30 was meant as one
+            [`(\\d{1,2})/(\\d{1,2})`, (m, d) => (m >= 1 && m <= 12 && d >= 1 && d <= 31 ? setExact(null, Number(m), d) : false)],
+            [`(${EN_MONTH})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?`, (m, d, y) => setExact(y, monthIndex(m), d)],
+            [`(\\d{1,2})(?:st|nd|rd|th)?\\s+(${EN_MONTH})(?:\\s+(\\d{4}))?`, (d, m, y) => setExact(y, monthIndex(m), d)],
+            ['(오늘|내일|모레|글피|today|tonight|tomorrow)', word => set(recurrence.addDays(today, RELATIVE_DAYS[word.toLowerCase()]))],
+            ['(\\d{1,3})\\s*(일|주)\\s*(?:후|뒤)', (n, unit) => set(recurrence.addDays(today, Number(n) * (unit === '주' ? 7 : 1)))],
+            ['in\\s+(\\d{1,3})\\s+(days?|weeks?)', (n, unit) => set(recurrence.addDays(today, Number(n) * (/^w/i.test(unit) ? 7 : 1)))],
+            [`(다음\\s*주|담주|이번\\s*주|next|this)?\\s*(${KO_DAY}|${EN_DAY})`, (week, day) => {
+                // Bare English days only by their full name ("sun" is a word too)
+                if (!week && /^[a-z]{3,4}$/i.test(day)) return false;
+                if (!week) return set(nextWeekday(today, dayIndex(day)));
+                return set(weekdayOfWeek(today, dayIndex(day), /^(이번|this)/i.test(week) ? 0 : 1));
+            }],
+            ['(\\d{1,2})일', d => set(upcomingDay(Number(d), today))]
+        ];
+        patterns.some(([source, handler]) => take(state, 'date', `${START}(?:on\\s+)?${source}${END}`, handler));
+    }
+
+    function readTimes(state) {
+        if (take(state, 'time', `${START}(${TIME})\\s*(?:-|~|–|부터|to|until|till)\\s*(${TIME})${END}`, (startText, endText) => {
+            const start = readTime(startText);
+            const end = readTime(endText);
+            if (!start || !end || (!start.explicit && !end.explicit)) return false;
+            const [from, to] = rangeOf(start, end);
+            state.startTime = formatMinutes(from);
+            state.endTime = formatMinutes(to);
+        })) return;
+        take(state, 'time', `${START}(at\\s+|@\\s*)?(${TIME})${END}`, (at, text) => {
+            const time = readTime(text, !!at);
+            if (!time || !time.explicit) return false;
+            state.startTime = formatMinutes(minutesOf(time));
+        });
+    }
+
+    // Repeat fields as the schedule API takes them
+    function repeatFields(state) {
+        if (state.days) {
+            if (state.days.length === 1) return { repeat: 'weekly', rrule: null };
+            const byDay = state.days.map(day => recurrence.WEEKDAYS[day]).join(',');
+            return { repeat: 'custom', rrule: `FREQ=WEEKLY;BYDAY=${byDay}` };
+        }
+        return { repeat: state.repeat || 'none', rrule: null };
+    }
+
+    // One line -> { content, date, tag, repeat, rrule, allDay, startTime,
+    // endTime, tokens, unknownTags }. `tokens` are the recognized words as
+    // [{ type: 'date' | 'time' | 'repeat' | 'tag', text }], for previews;
+    // #names that are no tag stay in the content and are listed in `unknownTags`.
+    function parseQuickAdd(text, { today, tags = [], defaultTag = tags[0] || null, birthdayTag = null } = {}) {
+        const input = String(text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+        if (!input) {
+            throw new QuickAddError('text is required');
+        }
+        if (input.length > MAX_LENGTH) {
+            throw new QuickAddError(`text must be at most ${MAX_LENGTH} characters`);
+        }
+        if (!recurrence.isDateString(today)) {
+            throw new QuickAddError('today must be YYYY-MM-DD');
+        }
+
+        const state = { today, rest: input, tokens: [], unknownTags: [], date: null, tag: null, repeat: null, days: null };
+        readTag(state, tags);
+        readRepeat(state);
+        readDate(state);
+        readTimes(state);
+
+        // Weekday repeats start on the first of their days
+        if (state.days) {
+            const base = state.date || today;
+            state.date = state.days.map(day => nextWeekday(base, day)).sort()[0];
+        }
+        const date = state.date || today;
+        if (state.repeat === 'lunar' && !lunar.solarToLunar(date)) {
+            throw new QuickAddError(`Lunar repeats need a date in ${lunar.FIRST_YEAR}-${lunar.LAST_YEAR}`);
+        }
+
+        const content = state.rest.replace(/\s+/g, ' ').trim().replace(/^[,.·~-]+\s*|\s*[,.·~-]+$/g, '');
+        if (!content) {
+            throw new QuickAddError('Nothing is left for the content');
+        }
+        const tag = state.tag || (birthdayTag && BIRTHDAY_WORDS.test(content) ? birthdayTag : defaultTag);
+        // Birthdays come back every year unless the line says otherwise
+        if (birthdayTag && tag === birthdayTag && !state.repeat && !state.days) {
+            state.repeat = 'yearly';
+        }
+
+        return {
+            content,
+            date,
+            tag,
+            ...repeatFields(state),
+            allDay: !state.startTime,
+            startTime: state.startTime || null,
+            endTime: state.endTime || null,
+            tokens: state.tokens,
+            unknownTags: state.unknownTags
+        };
+    }
+
+    return {
+        QuickAddError,
+        MAX_LENGTH,
+        parseQuickAdd
+    };
+});
@@ -0,0 +1,904 @@
+// Recurrence engine (RFC 5545 RRULE, date-only)
+//
+// Shared by the API and calendar.html: Node loads it with require(), the page
+// with a <script> tag that exposes `CalendarRecurrence`. Both sides expand
+// repeating schedules with the same code, so they always agree.
+//
+// Supported rule parts: FREQ (DAILY/WEEKLY/MONTHLY/YEARLY), INTERVAL, COUNT,
+// UNTIL, BYDAY (with ordinals such as 2TU or -1FR), BYMONTHDAY, BYMONTH,
+// BYSETPOS and WKST. Excluded dates are kept on the schedule as `exdates`,
+// and single occurrences edited on their own as `overrides[date]`.
+//
+// The date a schedule is stored under is its DTSTART and always counts as the
+// first occurrence. Dates are handled as UTC day numbers, so local time zones
+// and DST never shift an occurrence.
+//
+// Lunar yearly rules use RFC 7529 RSCALE with the Korean calendar:
+//   RSCALE=DANGI;FREQ=YEARLY;BYMONTH=5L;BYMONTHDAY=15;SKIP=BACKWARD
+// BYMONTH/BYMONTHDAY are the lunar month (L = 윤달) and day, converted with
+// lunar.js (load it first on the page). SKIP says what to do in years without
+// that date: OMIT skips the year, BACKWARD uses 윤달 -> 평달 and 30 -> 29,
+// FORWARD moves to the first day of the next month.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./lunar'));
+    } else {
+        root.CalendarRecurrence = factory(root.CalendarLunar);
+    }
+})(typeof self !== 'undefined' ? self : this, function (lunar) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+    const FREQS = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+    // Legacy `repeat` values and the rules they stand for
+    const PRESETS = {
+        daily: 'FREQ=DAILY',
+        weekly: 'FREQ=WEEKLY',
+        monthly: 'FREQ=MONTHLY',
+        yearly: 'FREQ=YEARLY'
+    };
+    const REPEAT_VALUES = ['none', ...Object.keys(PRESETS), 'lunar', 'custom'];
+    const RSCALES = ['DANGI'];
+    const SKIPS = ['OMIT', 'BACKWARD', 'FORWARD'];
+
+    // Which occurrences an edit or delete applies to
+    const SCOPES = ['this', 'following', 'all'];
+
+    // Fields that can differ on a single occurrence
+    const OVERRIDE_FIELDS = ['content', 'tag', 'allDay', 'startTime', 'endTime', 'timeZone', 'reminders'];
+
+    // Stops runaway expansion of rules that never match (e.g. BYMONTHDAY=30;BYMONTH=2)
+    const MAX_PERIODS = 100000;
+
+    class RRuleError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'RRuleError';
+        }
+    }
+
+    // ----- Date helpers -----
+
+    function isDateString(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+        return fromDayNumber(toDayNumber(value)) === value;
+    }
+
+    function toDayNumber(dateStr) {
+        const [y, m, d] = dateStr.split('-').map(Number);
+        return Math.round(Date.UTC(y, m - 1, d) / DAY_MS);
+    }
+
+    function fromDayNumber(dayNumber) {
+        return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    function dayOfWeek(dayNumber) {
+        // 1970-01-01 was a Thursday
+        return (((dayNumber + 4) % 7) + 7) % 7;
+    }
+
+    function addDays(dateStr, days) {
+        return fromDayNumber(toDayNumber(dateStr) + days);
+    }
+
+    function daysBetween(from, to) {
+        return toDayNumber(to) - toDayNumber(from);
+    }
+
+    function daysInMonth(year, month) {
+        return new Date(Date.UTC(year, month, 0)).getUTCDate();
+    }
+
+    function dayNumberOf(year, month, day) {
+        return Math.round(Date.UTC(year, month - 1, day) / DAY_MS);
+    }
+
+    function partsOf(dayNumber) {
+        const date = new Date(dayNumber * DAY_MS);
+        return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+    }
+
+    // ----- Parsing and formatting -----
+
+    function parseInteger(key, value, min, max) {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min || number > max || number === 0) {
+            throw new RRuleError(`Invalid ${key} value "${value}"`);
+        }
+        return number;
+    }
+
+    function parseList(key, value, min, max) {
+        return value.split(',').map(item => parseInteger(key, item, min, max));
+    }
+
+    function parseUntil(value) {
+        const compact = value.match(/^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/);
+        const date = compact ? `${compact[1]}-${compact[2]}-${compact[3]}` : value;
+        if (!isDateString(date)) {
+            throw new RRuleError(`Invalid UNTIL value "${value}"`);
+        }
+        return date;
+    }
+
+    function parseRRule(text) {
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new RRuleError('RRULE must be a non-empty string');
+        }
+
+        const rule = {
+            freq: null,
+            interval: 1,
+            count: null,
+            until: null,
+            byDay: [],
+            byMonthDay: [],
+            byMonth: [],
+            bySetPos: [],
+            wkst: 1,
+            rscale: null,
+            leapMonth: false,
+            skip: 'OMIT'
+        };
+
+        text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+            const [rawKey, rawValue = ''] = part.split('=');
+            const key = rawKey.trim().toUpperCase();
+            const value = rawValue.trim().toUpperCase();
+
+            switch (key) {
+                case 'FREQ':
+                    if (!FREQS.includes(value)) {
+                        throw new RRuleError(`Unsupported FREQ "${rawValue}"`);
+                    }
+                    rule.freq = value;
+                    break;
+                case 'INTERVAL':
+                    rule.interval = parseInteger(key, value, 1, 1000);
+                    break;
+                case 'COUNT':
+                    rule.count = parseInteger(key, value, 1, 100000);
+                    break;
+                case 'UNTIL':
+                    rule.until = parseUntil(value);
+                    break;
+                case 'BYDAY':
+                    rule.byDay = value.split(',').map(item => {
+                        const match = item.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+                        if (!match) {
+                            throw new RRuleError(`Invalid BYDAY value "${item}"`);
+                        }
+                        return {
+                            weekday: WEEKDAYS.indexOf(match[2]),
+                            nth: match[1] ? parseInteger('BYDAY', match[1], -53, 53) : null
+                        };
+                    });
+                    break;
+                case 'BYMONTHDAY':
+                    rule.byMonthDay = parseList(key, value, -31, 31);
+                    break;
+                case 'BYMONTH': {
+                    // 5L is the leap month after month 5 (RSCALE only)
+                    const leap = /^\d{1,2}L$/.test(value);
+                    rule.byMonth = parseList(key, leap ? value.slice(0, -1) : value, 1, 12);
+                    rule.leapMonth = leap;
+                    break;
+                }
+                case 'BYSETPOS':
+                    rule.bySetPos = parseList(key, value, -366, 366);
+                    break;
+                case 'RSCALE':
+                    if (!RSCALES.includes(value)) {
+                        throw new RRuleError(`Unsupported RSCALE "${rawValue}"`);
+                    }
+                    rule.rscale = value;
+                    break;
+                case 'SKIP':
+                    if (!SKIPS.includes(value)) {
+                        throw new RRuleError(`Invalid SKIP value "${rawValue}"`);
+                    }
+                    rule.skip = value;
+                    break;
+                case 'WKST':
+                    if (!WEEKDAYS.includes(value)) {
+                        throw new RRuleError(`Invalid WKST value "${rawValue}"`);
+                    }
+                    rule.wkst = WEEKDAYS.indexOf(value);
+                    break;
+                default:
+                    throw new RRuleError(`Unsupported RRULE part "${rawKey}"`);
+            }
+        });
+
+        if (!rule.freq) {
+            throw new RRuleError('RRULE needs a FREQ');
+        }
+        if (rule.count && rule.until) {
+            throw new RRuleError('RRULE cannot have both COUNT and UNTIL');
+        }
+        if (rule.byDay.some(d => d.nth !== null) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+            throw new RRuleError('Numbered BYDAY values need FREQ=MONTHLY or FREQ=YEARLY');
+        }
+        if (rule.leapMonth && !rule.rscale) {
+            throw new RRuleError('Leap months (e.g. BYMONTH=5L) need an RSCALE');
+        }
+        if (rule.rscale) {
+            const single = list => list.length <= 1;
+            if (rule.freq !== 'YEARLY' || rule.byDay.length || rule.bySetPos.length ||
+                !single(rule.byMonth) || !single(rule.byMonthDay) || rule.byMonthDay.some(d => d < 1 || d > 30)) {
+                throw new RRuleError('Lunar rules support FREQ=YEARLY with one BYMONTH and BYMONTHDAY (1-30)');
+            }
+        }
+        return rule;
+    }
+
+    function formatRRule(rule) {
+        const parts = rule.rscale ? [`RSCALE=${rule.rscale}`, `FREQ=${rule.freq}`] : [`FREQ=${rule.freq}`];
+        if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+        if (rule.byMonth.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}${rule.leapMonth ? 'L' : ''}`);
+        if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+        if (rule.byDay.length) {
+            parts.push(`BYDAY=${rule.byDay.map(d => `${d.nth === null ? '' : d.nth}${WEEKDAYS[d.weekday]}`).join(',')}`);
+        }
+        if (rule.bySetPos.length) parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+        if (rule.wkst !== 1) parts.push(`WKST=${WEEKDAYS[rule.wkst]}`);
+        if (rule.count) parts.push(`COUNT=${rule.count}`);
+        if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+        if (rule.rscale && rule.skip !== 'OMIT') parts.push(`SKIP=${rule.skip}`);
+        return parts.join(';');
+    }
+
+    // ----- Expansion -----
+
+    function applySetPos(rule, candidates) {
+        if (!rule.bySetPos.length) return candidates;
+        const picked = rule.bySetPos
+            .map(pos => (pos > 0 ? candidates[pos - 1] : candidates[candidates.length + pos]))
+            .filter(dn => dn !== undefined);
+        return [...new Set(picked)].sort((a, b) => a - b);
+    }
+
+    function matchesFilters(rule, dayNumber) {
+        const { month, day, year } = partsOf(dayNumber);
+        if (rule.byMonth.length && !rule.byMonth.includes(month)) return false;
+        if (rule.byMonthDay.length) {
+            const dim = daysInMonth(year, month);
+            if (!rule.byMonthDay.some(md => (md > 0 ? md : dim + md + 1) === day)) return false;
+        }
+        if (rule.byDay.length && !rule.byDay.some(d => d.weekday === dayOfWeek(dayNumber))) return false;
+        return true;
+    }
+
+    // Weekdays of a span of days, optionally numbered (2TU = second Tuesday)
+    function weekdaysInSpan(byDay, first, last) {
+        const result = [];
+        byDay.forEach(({ weekday, nth }) => {
+            const matches = [];
+            for (let dn = first + ((weekday - dayOfWeek(first) + 7) % 7); dn <= last; dn += 7) {
+                matches.push(dn);
+            }
+            if (nth === null) {
+                result.push(...matches);
+            } else {
+                const picked = nth > 0 ? matches[nth - 1] : matches[matches.length + nth];
+                if (picked !== undefined) result.push(picked);
+            }
+        });
+        return result;
+    }
+
+    function monthCandidates(rule, year, month, defaultDay) {
+        const dim = daysInMonth(year, month);
+        const first = dayNumberOf(year, month, 1);
+        let days;
+
+        if (rule.byMonthDay.length) {
+            days = rule.byMonthDay
+                .map(md => (md > 0 ? md : dim + md + 1))
+                .filter(day => day >= 1 && day <= dim)
+                .map(day => first + day - 1);
+            if (rule.byDay.length) {
+                days = days.filter(dn => rule.byDay.some(d => d.weekday === dayOfWeek(dn)));
+            }
+        } else if (rule.byDay.length) {
+            days = weekdaysInSpan(rule.byDay, first, first + dim - 1);
+        } else {
+            days = defaultDay <= dim ? [first + defaultDay - 1] : [];
+        }
+        return days;
+    }
+
+    // Lunar date of the rule in a lunar year as a day number, following SKIP
+    // when the year has no such date. null when the year is outside lunar.js.
+    function lunarCandidate(rule, year, target) {
+        const { month, day, leap } = target;
+        const solar = (m, d, l) => {
+            const date = lunar.lunarToSolar(year, m, d, l);
+            return date ? toDayNumber(date) : null;
+        };
+        if (!lunar.daysInMonth(year, 1)) return null;
+
+        const monthExists = !leap || lunar.leapMonthOf(year) === month;
+        const length = monthExists ? lunar.daysInMonth(year, month, leap) : 0;
+        if (monthExists && day <= length) return solar(month, day, leap);
+        if (rule.skip === 'OMIT') return undefined;
+
+        if (rule.skip === 'BACKWARD') {
+            // 윤달 -> the month it follows, 30 -> the last day of that month
+            return monthExists
+                ? solar(month, length, leap)
+                : solar(month, Math.min(day, lunar.daysInMonth(year, month)), false);
+        }
+        // FORWARD: the day after the month that lacks the date
+        const last = monthExists
+            ? solar(month, length, leap)
+            : solar(month, lunar.daysInMonth(year, month), false);
+        return last === null ? null : last + 1;
+    }
+
+    // Lunar month/day a rule repeats on: its BYMONTH/BYMONTHDAY or DTSTART's
+    function lunarTarget(rule, start) {
+        const origin = lunar.solarToLunar(fromDayNumber(start));
+        if (!origin) return null;
+        return {
+            origin,
+            month: rule.byMonth.length ? rule.byMonth[0] : origin.month,
+            leap: rule.byMonth.length ? rule.leapMonth : origin.leap,
+            day: rule.byMonthDay.length ? rule.byMonthDay[0] : origin.day
+        };
+    }
+
+    // Candidate days of the k-th period counted from DTSTART
+    function periodCandidates(rule, start, k) {
+        if (rule.rscale) {
+            const target = lunarTarget(rule, start);
+            const year = target ? target.origin.year + k * rule.interval : null;
+            const first = target && lunar.lunarToSolar(year, 1, 1);
+            if (!first) {
+                // Past the end of the lunar table: nothing more to expand
+                return { begin: Infinity, candidates: [] };
+            }
+            const candidate = lunarCandidate(rule, year, target);
+            return { begin: toDayNumber(first), candidates: typeof candidate === 'number' ? [candidate] : [] };
+        }
+
+        const origin = partsOf(start);
+        let begin;
+        let candidates;
+
+        if (rule.freq === 'DAILY') {
+            begin = start + k * rule.interval;
+            candidates = matchesFilters(rule, begin) ? [begin] : [];
+        } else if (rule.freq === 'WEEKLY') {
+            const weekStart = start - ((dayOfWeek(start) - rule.wkst + 7) % 7);
+            begin = weekStart + 7 * k * rule.interval;
+            const weekdays = rule.byDay.length ? rule.byDay.map(d => d.weekday) : [dayOfWeek(start)];
+            candidates = weekdays
+                .map(weekday => begin + ((weekday - rule.wkst + 7) % 7))
+                .filter(dn => !rule.byMonth.length || rule.byMonth.includes(partsOf(dn).month));
+        } else if (rule.freq === 'MONTHLY') {
+            const index = origin.year * 12 + (origin.month - 1) + k * rule.interval;
+            const year = Math.floor(index / 12);
+            const month = (index % 12) + 1;
+            begin = dayNumberOf(year, month, 1);
+            candidates = rule.byMonth.length && !rule.byMonth.includes(month)
+                ? []
+                : monthCandidates(rule, year, month, origin.day);
+        } else {
+            const year = origin.year + k * rule.interval;
+            begin = dayNumberOf(year, 1, 1);
+            if (!rule.byMonth.length && !rule.byMonthDay.length && rule.byDay.length) {
+                candidates = weekdaysInSpan(rule.byDay, begin, dayNumberOf(year, 12, 31));
+            } else {
+                const months = rule.byMonth.length ? rule.byMonth : [origin.month];
+                candidates = [];
+                months.forEach(month => {
+                    candidates.push(...monthCandidates(rule, year, month, origin.day));
+                });
+            }
+        }
+
+        candidates = [...new Set(candidates)].sort((a, b) => a - b);
+        return { begin, candidates: applySetPos(rule, candidates) };
+    }
+
+    // First period that can reach `from`; only usable when COUNT is not set
+    function firstPeriod(rule, start, from) {
+        if (from <= start) return 0;
+        const a = partsOf(start);
+        const b = partsOf(from);
+        let periods;
+        if (rule.freq === 'DAILY') {
+            periods = from - start;
+        } else if (rule.freq === 'WEEKLY') {
+            periods = Math.floor((from - start) / 7) - 1;
+        } else if (rule.freq === 'MONTHLY') {
+            periods = (b.year - a.year) * 12 + (b.month - a.month) - 1;
+        } else {
+            // A lunar year can start in the solar year before
+            periods = b.year - a.year - (rule.rscale ? 2 : 1);
+        }
+        return Math.max(0, Math.floor(periods / rule.interval));
+    }
+
+    // Occurrence dates of a rule between rangeStart and rangeEnd (inclusive)
+    function occurrences(rule, dtstart, rangeStart, rangeEnd, exdates = []) {
+        const parsed = typeof rule === 'string' ? parseRRule(rule) : rule;
+        const start = toDayNumber(dtstart);
+        const from = toDayNumber(rangeStart);
+        const to = toDayNumber(rangeEnd);
+        const last = Math.min(to, parsed.until ? toDayNumber(parsed.until) : Infinity);
+        const excluded = new Set(exdates);
+        const result = [];
+
+        if (last < from || last < start) return result;
+
+        const emit = dn => {
+            const date = fromDayNumber(dn);
+            if (dn >= from && dn <= to && !excluded.has(date)) result.push(date);
+        };
+
+        // DTSTART is always the first occurrence
+        emit(start);
+        let emitted = 1;
+        if (parsed.count && emitted >= parsed.count) return result;
+
+        let k = parsed.count ? 0 : firstPeriod(parsed, start, from);
+        for (let guard = 0; guard < MAX_PERIODS; guard++, k++) {
+            const { begin, candidates } = periodCandidates(parsed, start, k);
+            if (begin > last) break;
+
+            for (const dn of candidates) {
+                if (dn <= start) continue;
+                if (dn > last) return result;
+                emitted++;
+                emit(dn);
+                if (parsed.count && emitted >= parsed.count) return result;
+            }
+        }
+        return result;
+    }
+
+    // ----- Schedules -----
+
+    // Rule of a stored schedule, from `rrule` or the legacy `repeat` value
+    function ruleOf(schedule) {
+        if (schedule.rrule) return parseRRule(schedule.rrule);
+        const preset = PRESETS[schedule.repeat];
+        return preset ? parseRRule(preset) : null;
+    }
+
+    // `repeat` label that matches a rule: a preset name, 'lunar' or 'custom'
+    function repeatOf(rrule) {
+        if (/^RSCALE=/.test(rrule)) return 'lunar';
+        const preset = Object.keys(PRESETS).find(key => PRESETS[key] === rrule);
+        return preset || 'custom';
+    }
+
+    // Lunar yearly rule for the lunar month/day of a solar date
+    function lunarRule(dtstart) {
+        const date = isDateString(dtstart) ? lunar.solarToLunar(dtstart) : null;
+        if (!date) {
+            throw new RRuleError(`Lunar dates are only known for ${lunar.FIRST_YEAR}-${lunar.LAST_YEAR}`);
+        }
+        return `RSCALE=DANGI;FREQ=YEARLY;BYMONTH=${date.month}${date.leap ? 'L' : ''};BYMONTHDAY=${date.day};SKIP=BACKWARD`;
+    }
+
+    // Normalize the { repeat, rrule } pair sent by a client.
+    // An explicit rrule wins; a preset repeat is stored as its rule and
+    // 'lunar' as the lunar yearly rule of `dtstart`.
+    function resolveRecurrence({ repeat, rrule }, dtstart) {
+        if (rrule) {
+            const normalized = formatRRule(parseRRule(rrule));
+            return { repeat: repeatOf(normalized), rrule: normalized };
+        }
+        if (!repeat || repeat === 'none') {
+            return { repeat: 'none', rrule: null };
+        }
+        if (repeat === 'lunar') {
+            return { repeat, rrule: lunarRule(dtstart) };
+        }
+        if (!PRESETS[repeat]) {
+            throw new RRuleError(`repeat must be one of ${REPEAT_VALUES.join(', ')} (custom needs an rrule)`);
+        }
+        return { repeat, rrule: PRESETS[repeat] };
+    }
+
+    // Index every repeating schedule once, so rendering a range only walks the series
+    function collectSeries(allData) {
+        const series = [];
+        Object.keys(allData).forEach(originalDate => {
+            const dateObj = allData[originalDate];
+            if (!dateObj || !dateObj.schedules || !isDateString(originalDate)) return;
+
+            dateObj.schedules.forEach(schedule => {
+                let rule;
+                try {
+                    rule = ruleOf(schedule);
+                } catch (error) {
+                    console.warn(`Skipping schedule ${schedule.id}: ${error.message}`);
+                    return;
+                }
+                if (rule) {
+                    series.push({ schedule, originalDate, rule });
+                }
+            });
+        });
+        return series;
+    }
+
+    function isRepeating(schedule) {
+        return !!(schedule.rrule || PRESETS[schedule.repeat]);
+    }
+
+    // Schedule with the override for one occurrence applied
+    function withOverride(schedule, date) {
+        const override = schedule.overrides && schedule.overrides[date];
+        return override ? { ...schedule, ...override, isOverride: true } : schedule;
+    }
+
+    // Virtual copy of a series on one occurrence date
+    function occurrenceOf(schedule, originalDate, date) {
+        const instance = {
+            ...withOverride(schedule, date),
+            isRepeat: true,
+            repeatFrom: schedule.id,
+            originalDate,
+            occurrenceDate: date
+        };
+        if (schedule.startDate && schedule.endDate) {
+            const shift = daysBetween(originalDate, date);
+            instance.startDate = addDays(schedule.startDate, shift);
+            instance.endDate = addDays(schedule.endDate, shift);
+        }
+        return instance;
+    }
+
+    // Stored schedules of a date as they should be shown there: the first
+    // occurrence of a series can be excluded or overridden like any other
+    function visibleSchedules(schedules, date) {
+        return schedules
+            .filter(s => !(isRepeating(s) && (s.exdates || []).includes(date)))
+            .map(s => (isRepeating(s) ? withOverride(s, date) : s));
+    }
+
+    // Calendar data between from and to with repeating schedules expanded.
+    // Stored dates are copied as they are; repeat copies are appended to
+    // the schedules of each date they fall on.
+    function expandRange(allData, from, to, series = collectSeries(allData)) {
+        const result = {};
+
+        Object.keys(allData).forEach(date => {
+            if (date >= from && date <= to) {
+                const dateObj = allData[date];
+                result[date] = { ...dateObj, schedules: visibleSchedules(dateObj.schedules || [], date) };
+            }
+        });
+
+        series.forEach(({ schedule, originalDate, rule }) => {
+            occurrences(rule, originalDate, from, to, schedule.exdates || []).forEach(date => {
+                if (date === originalDate) return;
+                if (!result[date]) {
+                    result[date] = { schedules: [], exercise: null };
+                }
+                const exists = result[date].schedules.some(
+                    s => s.id === schedule.id || s.repeatFrom === schedule.id
+                );
+                if (!exists) {
+                    result[date].schedules.push(occurrenceOf(schedule, originalDate, date));
+                }
+            });
+        });
+
+        return result;
+    }
+
+    // ----- Editing single occurrences -----
+
+    function pickDates(map, keep) {
+        const picked = {};
+        Object.keys(map || {}).forEach(date => {
+            if (keep(date)) picked[date] = map[date];
+        });
+        return picked;
+    }
+
+    // Split a series at `occurrence` into the part before it (null when the
+    // occurrence is the first one) and a new series starting on it.
+    // COUNT rules are divided between the two parts; others get an UNTIL.
+    function splitSeries(schedule, originalDate, occurrence, tailId) {
+        const rule = ruleOf(schedule);
+        const dayBefore = addDays(occurrence, -1);
+        const countBefore = occurrence > originalDate
+            ? occurrences(rule, originalDate, originalDate, dayBefore).length
+            : 0;
+
+        let head = null;
+        if (countBefore > 0) {
+            const headRule = rule.count
+                ? { ...rule, count: countBefore }
+                : { ...rule, until: dayBefore };
+            const headRRule = formatRRule(headRule);
+            head = {
+                ...schedule,
+                repeat: repeatOf(headRRule),
+                rrule: headRRule,
+                exdates: (schedule.exdates || []).filter(date => date < occurrence),
+                overrides: pickDates(schedule.overrides, date => date < occurrence)
+            };
+        }
+
+        const tailRRule = formatRRule(rule.count ? { ...rule, count: rule.count - countBefore } : rule);
+        const tail = {
+            ...schedule,
+            id: tailId,
+            repeat: repeatOf(tailRRule),
+            rrule: tailRRule,
+            exdates: (schedule.exdates || []).filter(date => date >= occurrence),
+            overrides: pickDates(schedule.overrides, date => date >= occurrence),
+            splitFrom: schedule.id
+        };
+        // An imported UID keeps pointing at the original series
+        delete tail.uid;
+        if (schedule.startDate && schedule.endDate) {
+            const shift = daysBetween(originalDate, occurrence);
+            tail.startDate = addDays(schedule.startDate, shift);
+            tail.endDate = addDays(schedule.endDate, shift);
+        }
+
+        return { head, tail };
+    }
+
+    function findSeries(days, date, id) {
+        const day = days[date];
+        const index = day && day.schedules ? day.schedules.findIndex(s => s.id === id) : -1;
+        if (index === -1) {
+            throw new RRuleError('Schedule not found');
+        }
+        const schedule = day.schedules[index];
+        return { day, index, schedule };
+    }
+
+    function checkOccurrence(schedule, date, occurrence) {
+        if (!isDateString(occurrence) || occurrences(ruleOf(schedule), date, occurrence, occurrence).length === 0) {
+            throw new RRuleError(`${occurrence} is not an occurrence of this schedule`);
+        }
+    }
+
+    function placeSchedule(days, date, schedule) {
+        if (!days[date]) {
+            days[date] = { schedules: [], exercise: null };
+        }
+        if (!days[date].schedules) {
+            days[date].schedules = [];
+        }
+        days[date].schedules.push(schedule);
+    }
+
+    // Edit one occurrence ('this') or the occurrences from it on ('following')
+    // of the series `id` stored under `date`. `days` must hold `date` and
+    // `occurrence` and is changed in place; `changes` are already validated.
+    // Returns the schedule that now carries the edit.
+    function editOccurrence(days, { date, id, scope, occurrence, changes, newId, now }) {
+        const { day, index, schedule } = findSeries(days, date, id);
+        checkOccurrence(schedule, date, occurrence);
+
+        if (scope === 'this') {
+            const override = { ...((schedule.overrides || {})[occurrence]) };
+            OVERRIDE_FIELDS.forEach(field => {
+                if (changes[field] !== undefined) override[field] = changes[field];
+            });
+            const updated = {
+                ...schedule,
+                overrides: { ...(schedule.overrides || {}), [occurrence]: override },
+                updatedAt: now
+            };
+            day.schedules[index] = updated;
+            return updated;
+        }
+
+        if (occurrence === date) {
+            const updated = { ...schedule, ...changes, updatedAt: now };
+            day.schedules[index] = updated;
+            return updated;
+        }
+
+        const { head, tail } = splitSeries(schedule, date, occurrence, newId);
+        day.schedules.splice(index, 1, ...(head ? [{ ...head, updatedAt: now }] : []));
+        const updated = { ...tail, ...changes, createdAt: now, updatedAt: now };
+        placeSchedule(days, occurrence, updated);
+        return updated;
+    }
+
+    // Delete one occurrence ('this') or the occurrences from it on ('following')
+    // of the series `id` stored under `date`. `days` is changed in place.
+    function deleteOccurrence(days, { date, id, scope, occurrence, now }) {
+        const { day, index, schedule } = findSeries(days, date, id);
+        checkOccurrence(schedule, date, occurrence);
+
+        if (scope === 'this') {
+            const overrides = pickDates(schedule.overrides, d => d !== occurrence);
+            const exdates = [...new Set([...(schedule.exdates || []), occurrence])].sort();
+            day.schedules[index] = { ...schedule, exdates, overrides, updatedAt: now };
+            return;
+        }
+
+        const { head } = splitSeries(schedule, date, occurrence, null);
+        day.schedules.splice(index, 1, ...(head ? [{ ...head, updatedAt: now }] : []));
+    }
+
+    function shiftKeys(map, shift) {
+        const shifted = {};
+        Object.keys(map || {}).forEach(date => {
+            shifted[addDays(date, shift)] = map[date];
+        });
+        return shifted;
+    }
+
+    // `schedule` moved `shift` days so that it is stored under `to`: its range,
+    // and for a series the excluded/overridden dates and UNTIL move along.
+    // A lunar rule is worked out again for `to`; rules that pin weekdays or
+    // month days would no longer match the new dates, so they are refused.
+    function shiftSchedule(schedule, shift, to) {
+        const moved = { ...schedule };
+        if (schedule.startDate && schedule.endDate) {
+            moved.startDate = addDays(schedule.startDate, shift);
+            moved.endDate = addDays(schedule.endDate, shift);
+        }
+        if (!isRepeating(schedule)) return moved;
+
+        const rule = ruleOf(schedule);
+        let nextRule = rule;
+        if (rule.rscale) {
+            const lunarDates = parseRRule(lunarRule(to));
+            nextRule = { ...rule, byMonth: lunarDates.byMonth, byMonthDay: lunarDates.byMonthDay, leapMonth: lunarDates.leapMonth };
+        } else if (rule.byDay.length || rule.byMonthDay.length || rule.byMonth.length || rule.bySetPos.length) {
+            throw new RRuleError('Repeats on fixed weekdays or days of the month can only be moved one occurrence at a time');
+        }
+        if (rule.until) {
+            nextRule = { ...nextRule, until: addDays(rule.until, shift) };
+        }
+        const rrule = formatRRule(nextRule);
+        moved.repeat = repeatOf(rrule);
+        moved.rrule = rrule;
+        moved.exdates = (schedule.exdates || []).map(date => addDays(date, shift));
+        moved.overrides = shiftKeys(schedule.overrides, shift);
+        return moved;
+    }
+
+    // Move the schedule `id` stored under `date`, keeping its id. A series
+    // moves whole ('all', stored under `to` afterwards), or one occurrence
+    // ('this', taken out of the series as a single schedule `newId` on `to`),
+    // or from an occurrence on ('following', split off as `newId` starting on
+    // `to`). `days` must hold `date` and `to` and is changed in place.
+    // Returns the moved schedule.
+    function moveSchedule(days, { date, id, to, scope = 'all', occurrence, newId, now }) {
+        if (!isDateString(to)) {
+            throw new RRuleError('to must be a YYYY-MM-DD date');
+        }
+        const { day, index, schedule } = findSeries(days, date, id);
+        const single = !isRepeating(schedule) || scope === 'all' || (scope === 'following' && occurrence === date);
+
+        if (single) {
+            const moved = { ...shiftSchedule(schedule, daysBetween(date, to), to), updatedAt: now };
+            day.schedules.splice(index, 1);
+            placeSchedule(days, to, moved);
+            return moved;
+        }
+
+        checkOccurrence(schedule, date, occurrence);
+        const shift = daysBetween(occurrence, to);
+
+        if (scope === 'this') {
+            const { isOverride, ...fields } = withOverride(schedule, occurrence);
+            const moved = {
+                ...fields,
+                id: newId,
+                repeat: 'none',
+                rrule: null,
+                exdates: [],
+                overrides: {},
+                splitFrom: schedule.id,
+                createdAt: now,
+                updatedAt: now
+            };
+            delete moved.uid;
+            if (schedule.startDate && schedule.endDate) {
+                const instance = occurrenceOf(schedule, date, occurrence);
+                moved.startDate = addDays(instance.startDate, shift);
+                moved.endDate = addDays(instance.endDate, shift);
+            }
+            const overrides = pickDates(schedule.overrides, d => d !== occurrence);
+            const exdates = [...new Set([...(schedule.exdates || []), occurrence])].sort();
+            day.schedules[index] = { ...schedule, exdates, overrides, updatedAt: now };
+            placeSchedule(days, to, moved);
+            return moved;
+        }
+
+        const { head, tail } = splitSeries(schedule, date, occurrence, newId);
+        const moved = { ...shiftSchedule(tail, shift, to), createdAt: now, updatedAt: now };
+        day.schedules.splice(index, 1, ...(head ? [{ ...head, updatedAt: now }] : []));
+        placeSchedule(days, to, moved);
+        return moved;
+    }
+
+    // ----- Labels -----
+
+    const WEEKDAY_LABELS = ['일', '월', '화', '수', '목', '금', '토'];
+    const NTH_LABELS = { 1: '첫째', 2: '둘째', 3: '셋째', 4: '넷째', 5: '다섯째', '-1': '마지막' };
+
+    // Short Korean label such as "2주마다 화, 목" or "매월 마지막 금요일"
+    function describe(rrule) {
+        let rule;
+        try {
+            rule = typeof rrule === 'string' ? parseRRule(rrule) : rrule;
+        } catch (error) {
+            return '반복';
+        }
+
+        if (rule.rscale) {
+            const every = rule.interval > 1 ? `${rule.interval}년마다 음력` : '매년 음력';
+            let label = rule.byMonth.length && rule.byMonthDay.length
+                ? `${every} ${rule.leapMonth ? '윤' : ''}${rule.byMonth[0]}월 ${rule.byMonthDay[0]}일`
+                : every;
+            if (rule.count) label += `, ${rule.count}회`;
+            if (rule.until) label += `, ${rule.until}까지`;
+            return label;
+        }
+
+        const every = {
+            DAILY: rule.interval > 1 ? `${rule.interval}일마다` : '매일',
+            WEEKLY: rule.interval > 1 ? `${rule.interval}주마다` : '매주',
+            MONTHLY: rule.interval > 1 ? `${rule.interval}개월마다` : '매월',
+            YEARLY: rule.interval > 1 ? `${rule.interval}년마다` : '매년'
+        }[rule.freq];
+
+        const details = [];
+        if (rule.byMonth.length) {
+            details.push(rule.byMonth.map(m => `${m}월`).join(', '));
+        }
+        if (rule.byMonthDay.length) {
+            details.push(rule.byMonthDay.map(md => (md === -1 ? '마지막 날' : `${md}일`)).join(', '));
+        }
+        if (rule.byDay.length) {
+            details.push(rule.byDay.map(d => (d.nth === null
+                ? WEEKDAY_LABELS[d.weekday]
+                : `${NTH_LABELS[d.nth] || `${d.nth}번째`} ${WEEKDAY_LABELS[d.weekday]}요일`)).join(', '));
+        }
+
+        let label = [every, ...details].join(' ');
+        if (rule.count) label += `, ${rule.count}회`;
+        if (rule.until) label += `, ${rule.until}까지`;
+        return label;
+    }
+
+    return {
+        RRuleError,
+        WEEKDAYS,
+        PRESETS,
+        REPEAT_VALUES,
+        SCOPES,
+        OVERRIDE_FIELDS,
+        isDateString,
+        addDays,
+        daysBetween,
+        parseRRule,
+        formatRRule,
+        occurrences,
+        ruleOf,
+        repeatOf,
+        lunarRule,
+        resolveRecurrence,
+        collectSeries,
+        isRepeating,
+        occurrenceOf,
+        expandRange,
+        splitSeries,
+        editOccurrence,
+        deleteOccurrence,
+        moveSchedule,
+        describe
+    };
+});
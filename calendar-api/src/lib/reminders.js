@@ -0,0 +1,188 @@
+// Schedule reminders
+//
+// Shared by the API (src/reminders/, /api/reminders) and calendar.html like
+// recurrence.js: Node loads it with require(), the page with a <script> tag
+// (after times.js) that exposes `CalendarReminders`.
+//
+// A schedule's `reminders` is a list of offsets from its start:
+//   { minutes: 30 }               30 minutes before (timed schedules)
+//   { days: 1, time: '09:00' }    at 09:00 the day before; days: 0 is the day itself
+// `time` is wall-clock time in the schedule's time zone (Asia/Seoul for
+// all-day schedules), so "the morning of" stays in the morning across DST.
+// All-day schedules start at 00:00, so minute offsets land on the evening
+// before. Repeating and lunar schedules remind for every occurrence, and an
+// occurrence edited on its own can have reminders of its own.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./recurrence'), require('./times'));
+    } else {
+        root.CalendarReminders = factory(root.CalendarRecurrence, root.CalendarTimes);
+    }
+})(typeof self !== 'undefined' ? self : this, function (recurrence, times) {
+    const MAX_REMINDERS = 5;
+    const MAX_DAYS = 30;
+    const MAX_MINUTES = 7 * 24 * 60;
+    const MINUTE_MS = 60 * 1000;
+
+    // The choices calendar.html offers
+    const PRESETS = [
+        { days: 0, time: '08:00' },
+        { days: 1, time: '09:00' },
+        { days: 7, time: '09:00' },
+        { minutes: 10 },
+        { minutes: 30 },
+        { minutes: 60 }
+    ];
+
+    class ReminderError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'ReminderError';
+        }
+    }
+
+    // 'm30' or 'd1@09:00', unique per offset
+    function keyOf(reminder) {
+        return reminder.minutes !== undefined ? `m${reminder.minutes}` : `d${reminder.days}@${reminder.time}`;
+    }
+
+    function readReminder(input, index) {
+        const label = `reminders[${index}]`;
+        if (input && input.minutes !== undefined) {
+            if (!Number.isInteger(input.minutes) || input.minutes < 0 || input.minutes > MAX_MINUTES) {
+                throw new ReminderError(`${label}.minutes must be a whole number from 0 to ${MAX_MINUTES}`);
+            }
+            return { minutes: input.minutes };
+        }
+        if (input && input.days !== undefined) {
+            if (!Number.isInteger(input.days) || input.days < 0 || input.days > MAX_DAYS) {
+                throw new ReminderError(`${label}.days must be a whole number from 0 to ${MAX_DAYS}`);
+            }
+            if (!times.isTimeString(input.time)) {
+                throw new ReminderError(`${label}.time must be HH:MM`);
+            }
+            return { days: input.days, time: input.time };
+        }
+        throw new ReminderError(`${label} needs minutes, or days and time`);
+    }
+
+    // Validate `reminders` from a request: duplicates dropped, soonest to the
+    // start last
+    function readReminders(input) {
+        if (input === undefined || input === null) return [];
+        if (!Array.isArray(input)) {
+            throw new ReminderError('reminders must be a list');
+        }
+        const byKey = new Map();
+        input.forEach((reminder, index) => {
+            const read = readReminder(reminder, index);
+            byKey.set(keyOf(read), read);
+        });
+        if (byKey.size > MAX_REMINDERS) {
+            throw new ReminderError(`A schedule can have at most ${MAX_REMINDERS} reminders`);
+        }
+        return [...byKey.values()].sort((a, b) => offsetOf(b) - offsetOf(a));
+    }
+
+    // Rough minutes before the start, only for ordering
+    function offsetOf(reminder) {
+        if (reminder.minutes !== undefined) return reminder.minutes;
+        return reminder.days * 24 * 60 - times.toMinutes(reminder.time);
+    }
+
+    function zoneOf(schedule) {
+        return times.isTimed(schedule) && times.isTimeZone(schedule.timeZone) ? schedule.timeZone : times.DEFAULT_TIME_ZONE;
+    }
+
+    // Instant (ms) a reminder goes off for `schedule` shown on `date`
+    function instantOf(schedule, date, reminder) {
+        const startDate = schedule.startDate && schedule.endDate ? schedule.startDate : date;
+        if (reminder.minutes !== undefined) {
+            const interval = times.intervalOf(schedule, date);
+            const start = interval ? interval.start : times.toInstant(startDate, '00:00', times.DEFAULT_TIME_ZONE);
+            return start - reminder.minutes * MINUTE_MS;
+        }
+        return times.toInstant(recurrence.addDays(startDate, -reminder.days), reminder.time, zoneOf(schedule));
+    }
+
+    // "30분 전", "1시간 전", "당일 08:00", "1일 전 09:00"
+    function formatReminder(reminder) {
+        if (reminder.minutes !== undefined) {
+            const { minutes } = reminder;
+            if (minutes === 0) return '시작할 때';
+            if (minutes % (24 * 60) === 0) return `${minutes / (24 * 60)}일 전`;
+            if (minutes % 60 === 0) return `${minutes / 60}시간 전`;
+            return `${minutes}분 전`;
+        }
+        return reminder.days === 0 ? `당일 ${reminder.time}` : `${reminder.days}일 전 ${reminder.time}`;
+    }
+
+    // Notification text of a due reminder: { title, body, tag, date }
+    function messageOf(due) {
+        const { schedule, date } = due;
+        const [, month, day] = date.split('-').map(Number);
+        const when = schedule.allDay ? '종일' : times.formatRange(schedule);
+        return {
+            title: schedule.content,
+            body: `${month}/${day} ${when} · ${formatReminder(due.reminder)} 알림`,
+            tag: due.id,
+            date,
+            reminder: due
+        };
+    }
+
+    // Reminders going off after `from` and up to `to` (instants in ms), oldest
+    // first: [{ id, at, date, reminder, schedule }]. `id` is the same every
+    // time a reminder is found, for channels that want to drop repeats.
+    // `series` as for expandRange().
+    function dueReminders(allData, { from, to, series } = {}) {
+        const zone = times.DEFAULT_TIME_ZONE;
+        // A reminder goes off at most MAX_DAYS (or a week of minutes) before
+        // its date, plus a day of margin for time zones
+        const firstDate = recurrence.addDays(times.wallClock(from, zone).date, -1);
+        const lastDate = recurrence.addDays(times.wallClock(to, zone).date, MAX_DAYS + 1);
+        const expanded = recurrence.expandRange(allData, firstDate, lastDate, series);
+
+        const due = [];
+        Object.keys(expanded).sort().forEach(date => {
+            (expanded[date].schedules || []).forEach(schedule => {
+                (schedule.reminders || []).forEach(reminder => {
+                    const at = instantOf(schedule, date, reminder);
+                    if (at <= from || at > to) return;
+                    const id = schedule.repeatFrom || schedule.id;
+                    due.push({
+                        id: `${id}/${date}/${keyOf(reminder)}`,
+                        at: new Date(at).toISOString(),
+                        date,
+                        reminder,
+                        schedule: {
+                            id,
+                            content: schedule.content,
+                            tag: schedule.tag,
+                            allDay: !times.isTimed(schedule),
+                            startTime: schedule.startTime || null,
+                            endTime: schedule.endTime || null,
+                            timeZone: times.isTimed(schedule) ? zoneOf(schedule) : null
+                        }
+                    });
+                });
+            });
+        });
+        return due.sort((a, b) => a.at.localeCompare(b.at));
+    }
+
+    return {
+        MAX_REMINDERS,
+        MAX_DAYS,
+        MAX_MINUTES,
+        PRESETS,
+        ReminderError,
+        keyOf,
+        readReminders,
+        instantOf,
+        formatReminder,
+        messageOf,
+        dueReminders
+    };
+});
@@ -0,0 +1,177 @@
+// Workout routines: named exercise lists applied to a date in one step
+//
+// Shared by the API (/api/routines) and calendar.html like recurrence.js:
+// Node loads it with require(), the page with a <script> tag that exposes
+// `CalendarRoutines`.
+//
+// Every calendar has its own routines, kept in the calendar settings next to
+// the tags:
+//   { id, name, weight: [{ type, kg, sets, reps }], nonWeight: [{ type, duration }], increment }
+// in the same shape as a date's `exercise`. The kg/sets/reps are the targets.
+// When a routine is applied, each weight exercise starts from its last session
+// (the latest earlier date that has it, heaviest entry): if every target set
+// and rep was done the weight goes up by `increment` kg, otherwise it stays
+// for another try. Exercises never done before start at the routine's kg.
+// Names are compared without spaces and case, like the muscle group keywords.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CalendarRoutines = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const MAX_ROUTINES = 30;
+    const MAX_NAME_LENGTH = 30;
+    const MAX_EXERCISES = 30;
+    const DEFAULT_INCREMENT = 2.5;
+
+    class RoutineError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'RoutineError';
+        }
+    }
+
+    function routinesOf(settings) {
+        return settings && Array.isArray(settings.routines) ? settings.routines : [];
+    }
+
+    function typeKey(type) {
+        return String(type || '').replace(/\s+/g, '').toLowerCase();
+    }
+
+    function findRoutine(routines, name) {
+        const wanted = String(name || '').trim().toLowerCase();
+        return routines.find(routine => routine.name.toLowerCase() === wanted) || null;
+    }
+
+    function readNumber(value, label, { min, max, integer }) {
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+            throw new RoutineError(`${label} must be ${integer ? 'a whole number' : 'a number'} from ${min} to ${max}`);
+        }
+        return value;
+    }
+
+    function readType(entry, label) {
+        const type = String((entry && entry.type) || '').trim();
+        if (!type) throw new RoutineError(`${label}.type is required`);
+        return type;
+    }
+
+    // Validate `input` ({ name, weight, nonWeight, increment }) as a new
+    // routine, or as changes to `existing`. Returns the routine without its id.
+    function readRoutine(input, routines, existing = null) {
+        const pick = field => (input[field] !== undefined ? input[field] : existing && existing[field]);
+        const name = String(pick('name') || '').trim();
+        const weight = pick('weight') || [];
+        const nonWeight = pick('nonWeight') || [];
+        const increment = pick('increment') === undefined || pick('increment') === null ? DEFAULT_INCREMENT : pick('increment');
+
+        if (!name) throw new RoutineError('Routine name is required');
+        if (name.length > MAX_NAME_LENGTH) {
+            throw new RoutineError(`Routine name must be at most ${MAX_NAME_LENGTH} characters`);
+        }
+        const clash = findRoutine(routines, name);
+        if (clash && (!existing || clash.id !== existing.id)) {
+            throw new RoutineError(`Routine "${clash.name}" already exists`);
+        }
+        if (!Array.isArray(weight) || !Array.isArray(nonWeight)) {
+            throw new RoutineError('weight and nonWeight must be lists');
+        }
+        if (weight.length + nonWeight.length === 0) {
+            throw new RoutineError('A routine needs at least one exercise');
+        }
+        if (weight.length + nonWeight.length > MAX_EXERCISES) {
+            throw new RoutineError(`A routine can have at most ${MAX_EXERCISES} exercises`);
+        }
+        if (!existing && routines.length >= MAX_ROUTINES) {
+            throw new RoutineError(`A calendar can have at most ${MAX_ROUTINES} routines`);
+        }
+
+        return {
+            name,
+            weight: weight.map((entry, i) => ({
+                type: readType(entry, `weight[${i}]`),
+                kg: readNumber(entry.kg, `weight[${i}].kg`, { min: 0, max: 1000 }),
+                sets: readNumber(entry.sets, `weight[${i}].sets`, { min: 1, max: 100, integer: true }),
+                reps: readNumber(entry.reps, `weight[${i}].reps`, { min: 1, max: 1000, integer: true })
+            })),
+            nonWeight: nonWeight.map((entry, i) => ({
+                type: readType(entry, `nonWeight[${i}]`),
+                duration: readNumber(entry.duration, `nonWeight[${i}].duration`, { min: 1, max: 1440, integer: true })
+            })),
+            increment: readNumber(increment, 'increment', { min: 0, max: 100 })
+        };
+    }
+
+    // The latest entry of `type` before `date` ({ date, ... } or null); for
+    // weights the heaviest entry of that day, so warm-up sets don't count
+    function lastSession(allData, type, date, field) {
+        const key = typeKey(type);
+        const dates = Object.keys(allData || {}).filter(d => d < date).sort().reverse();
+        for (const d of dates) {
+            const entries = ((allData[d].exercise || {})[field] || []).filter(entry => typeKey(entry.type) === key);
+            if (entries.length > 0) {
+                const best = entries.reduce((a, b) => ((Number(b.kg) || 0) > (Number(a.kg) || 0) ? b : a));
+                return { date: d, ...best };
+            }
+        }
+        return null;
+    }
+
+    function round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    // What to do on `date` with `routine`, given the calendar's logs. Weight
+    // entries carry `last` (the last session) and `progression`: 'increase',
+    // 'repeat' (targets weren't met last time) or 'start' (no session yet).
+    function suggest(routine, allData, date) {
+        const weight = routine.weight.map(target => {
+            const last = lastSession(allData, target.type, date, 'weight');
+            if (!last) {
+                return { ...target, last: null, progression: 'start' };
+            }
+            const done = (Number(last.sets) || 0) >= target.sets && (Number(last.reps) || 0) >= target.reps;
+            const lastKg = Number(last.kg) || 0;
+            return {
+                ...target,
+                kg: done ? round(lastKg + routine.increment) : lastKg,
+                last: { date: last.date, kg: lastKg, sets: Number(last.sets) || 0, reps: Number(last.reps) || 0 },
+                progression: done ? 'increase' : 'repeat'
+            };
+        });
+        const nonWeight = routine.nonWeight.map(target => {
+            const last = lastSession(allData, target.type, date, 'nonWeight');
+            return { ...target, last: last ? { date: last.date, duration: Number(last.duration) || 0 } : null };
+        });
+        return { routineId: routine.id, name: routine.name, date, weight, nonWeight };
+    }
+
+    // `exercise` (a date's, or null) with the suggested entries added. Entries
+    // of the same exercises are replaced, so applying twice doesn't double up.
+    function applySuggestion(exercise, suggestion) {
+        const strip = ({ last, progression, ...entry }) => entry;
+        const merge = (existing, added) => {
+            const keys = new Set(added.map(entry => typeKey(entry.type)));
+            return [...(existing || []).filter(entry => !keys.has(typeKey(entry.type))), ...added.map(strip)];
+        };
+        return {
+            weight: merge(exercise && exercise.weight, suggestion.weight),
+            nonWeight: merge(exercise && exercise.nonWeight, suggestion.nonWeight)
+        };
+    }
+
+    return {
+        MAX_NAME_LENGTH,
+        MAX_EXERCISES,
+        DEFAULT_INCREMENT,
+        RoutineError,
+        routinesOf,
+        findRoutine,
+        readRoutine,
+        suggest,
+        applySuggestion
+    };
+});
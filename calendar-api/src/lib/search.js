@@ -0,0 +1,162 @@
+// Full-text search over calendar data
+//
+// Shared by the API (GET /api/search) and calendar.html like recurrence.js:
+// Node loads it with require(), the page with a <script> tag that exposes
+// `CalendarSearch`. The page searches its cached data with it when the server
+// can't be reached.
+//
+// Searched fields: schedule `content` (including occurrences edited on their
+// own), memos and exercise `type` names. Text is compared in Unicode NFC,
+// since Hangul from some keyboards and macOS file names arrives decomposed
+// (ㄹ+ㅔ instead of 레), and case-insensitively. Every whitespace-separated
+// term of the query must appear in the same field. Hits come newest first.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CalendarSearch = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const TYPES = ['schedule', 'memo', 'exercise'];
+    // Characters of context kept on each side of the first match
+    const SNIPPET_RADIUS = 30;
+
+    function normalize(text) {
+        return String(text).normalize('NFC');
+    }
+
+    // Lower-case without changing the length, so offsets still fit the original
+    function fold(text) {
+        const lower = text.toLowerCase();
+        return lower.length === text.length ? lower : text;
+    }
+
+    function parseQuery(query) {
+        const terms = fold(normalize(query || '')).split(/\s+/).filter(Boolean);
+        return [...new Set(terms)];
+    }
+
+    // [start, end) of every occurrence of every term, or null if a term is missing
+    function findTerms(text, terms) {
+        const haystack = fold(text);
+        const ranges = [];
+        for (const term of terms) {
+            let index = haystack.indexOf(term);
+            if (index === -1) return null;
+            while (index !== -1) {
+                ranges.push([index, index + term.length]);
+                index = haystack.indexOf(term, index + term.length);
+            }
+        }
+        return mergeRanges(ranges);
+    }
+
+    function mergeRanges(ranges) {
+        const merged = [];
+        ranges.sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1]) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+        });
+        return merged;
+    }
+
+    // A one-line excerpt around the first match, with `highlights` as
+    // [start, end) offsets into the excerpt
+    function snippetOf(text, ranges, radius = SNIPPET_RADIUS) {
+        let start = Math.max(0, ranges[0][0] - radius);
+        let end = Math.min(text.length, ranges[0][1] + radius);
+        // Don't cut a surrogate pair (emoji) in half
+        if (start > 0 && /[\uDC00-\uDFFF]/.test(text[start])) start--;
+        if (end < text.length && /[\uDC00-\uDFFF]/.test(text[end])) end++;
+
+        const prefix = start > 0 ? '…' : '';
+        const suffix = end < text.length ? '…' : '';
+        const snippet = prefix + text.slice(start, end).replace(/\s/g, ' ') + suffix;
+        const highlights = ranges
+            .filter(([from, to]) => from >= start && to <= end)
+            .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length]);
+        return { snippet, highlights };
+    }
+
+    // Searchable fields of one stored date
+    function fieldsOf(date, record) {
+        const fields = [];
+
+        (record.schedules || []).forEach(schedule => {
+            fields.push({
+                date,
+                type: 'schedule',
+                id: schedule.id,
+                tag: schedule.tag,
+                repeat: schedule.repeat || 'none',
+                text: schedule.content || ''
+            });
+            Object.entries(schedule.overrides || {}).forEach(([occurrence, override]) => {
+                if (override.content === undefined) return;
+                fields.push({
+                    date: occurrence,
+                    type: 'schedule',
+                    id: schedule.id,
+                    tag: override.tag || schedule.tag,
+                    repeat: schedule.repeat || 'none',
+                    originalDate: date,
+                    text: override.content
+                });
+            });
+        });
+
+        if (record.memo) {
+            fields.push({ date, type: 'memo', text: record.memo });
+        }
+
+        if (record.exercise) {
+            const names = [...(record.exercise.weight || []), ...(record.exercise.nonWeight || [])]
+                .map(entry => entry.type)
+                .filter(Boolean);
+            [...new Set(names)].forEach(name => {
+                fields.push({ date, type: 'exercise', text: name });
+            });
+        }
+
+        return fields;
+    }
+
+    // Search `allData` ({ date: record }). Options: `query`, `tags` (schedules
+    // only; memos and exercise are left out when set), `from`/`to` (inclusive
+    // dates) and `limit`. Returns { total, results }.
+    function search(allData, { query, tags = [], from, to, limit = 50 } = {}) {
+        const terms = parseQuery(query);
+        if (terms.length === 0) return { total: 0, results: [] };
+
+        const results = [];
+        Object.keys(allData || {}).forEach(date => {
+            const record = allData[date];
+            if (!record) return;
+            fieldsOf(date, record).forEach(field => {
+                if (from && field.date < from) return;
+                if (to && field.date > to) return;
+                if (tags.length > 0 && !(field.type === 'schedule' && tags.includes(field.tag))) return;
+
+                const text = normalize(field.text);
+                const ranges = findTerms(text, terms);
+                if (!ranges) return;
+                results.push({ ...field, text, ...snippetOf(text, ranges) });
+            });
+        });
+
+        results.sort((a, b) => b.date.localeCompare(a.date) || TYPES.indexOf(a.type) - TYPES.indexOf(b.type));
+        return { total: results.length, results: results.slice(0, limit) };
+    }
+
+    return {
+        TYPES,
+        normalize,
+        parseQuery,
+        search
+    };
+});
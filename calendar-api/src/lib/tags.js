@@ -0,0 +1,115 @@
+// Schedule tags
+//
+// Shared by the API (/api/tags) and calendar.html like recurrence.js: Node
+// loads it with require(), the page with a <script> tag that exposes
+// `CalendarTags`.
+//
+// Every calendar has its own tag list, kept in the calendar settings:
+//   { id, name, color: '#rrggbb', icon }
+// Schedules store the tag `name`, as they always have, so renaming a tag also
+// rewrites the schedules that use it. Calendars that never edited their tags
+// get DEFAULT_TAGS, the three tags the app started with. The `birthday` tag
+// keeps its special meaning (yearly in the .ics feed) under any name.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CalendarTags = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DEFAULT_TAGS = [
+        { id: 'private', name: 'Private', color: '#7a8450', icon: '' },
+        { id: 'work', name: 'Work', color: '#b7c687', icon: '' },
+        { id: 'birthday', name: 'Birthday', color: '#f3bcc3', icon: '🎂' }
+    ];
+    const BIRTHDAY_TAG = 'birthday';
+    const MAX_NAME_LENGTH = 20;
+    const MAX_ICON_LENGTH = 4;
+    const MAX_TAGS = 30;
+
+    class TagError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'TagError';
+        }
+    }
+
+    function tagsOf(settings) {
+        return settings && Array.isArray(settings.tags) ? settings.tags : DEFAULT_TAGS;
+    }
+
+    // Tag names compare case-insensitively, like .ics CATEGORIES
+    function findTag(tags, name) {
+        const wanted = String(name || '').trim().toLowerCase();
+        return tags.find(tag => tag.name.toLowerCase() === wanted) || null;
+    }
+
+    // Validate `input` ({ name, color, icon }) as a new tag, or as changes to
+    // `existing`. Returns the tag without its id.
+    function readTag(input, tags, existing = null) {
+        const name = input.name !== undefined ? String(input.name).trim() : existing && existing.name;
+        const color = input.color !== undefined ? String(input.color).trim().toLowerCase() : existing && existing.color;
+        const icon = input.icon !== undefined ? String(input.icon || '').trim() : (existing && existing.icon) || '';
+
+        if (!name) throw new TagError('Tag name is required');
+        if (name.length > MAX_NAME_LENGTH) {
+            throw new TagError(`Tag name must be at most ${MAX_NAME_LENGTH} characters`);
+        }
+        const clash = findTag(tags, name);
+        if (clash && (!existing || clash.id !== existing.id)) {
+            throw new TagError(`Tag "${clash.name}" already exists`);
+        }
+        if (!/^#[0-9a-f]{6}$/.test(color || '')) {
+            throw new TagError('Tag color must look like #a1b2c3');
+        }
+        if ([...icon].length > MAX_ICON_LENGTH) {
+            throw new TagError(`Tag icon must be at most ${MAX_ICON_LENGTH} characters`);
+        }
+        if (!existing && tags.length >= MAX_TAGS) {
+            throw new TagError(`A calendar can have at most ${MAX_TAGS} tags`);
+        }
+        return { name, color, icon };
+    }
+
+    // Black or white, whichever reads better on `color`
+    function textColor(color) {
+        const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color || '');
+        if (!match) return '#000000';
+        const [r, g, b] = match.slice(1).map(hex => parseInt(hex, 16));
+        return (r * 299 + g * 587 + b * 114) / 1000 >= 150 ? '#000000' : '#ffffff';
+    }
+
+    // Whether a stored date has a schedule (or edited occurrence) tagged `name`
+    function recordUsesTag(record, name) {
+        return (record && record.schedules || []).some(schedule => (
+            schedule.tag === name ||
+            Object.values(schedule.overrides || {}).some(override => override.tag === name)
+        ));
+    }
+
+    // Re-tag the schedules of one record from `from` to `to`, in place
+    function retagRecord(record, from, to) {
+        (record.schedules || []).forEach(schedule => {
+            if (schedule.tag === from) schedule.tag = to;
+            Object.values(schedule.overrides || {}).forEach(override => {
+                if (override.tag === from) override.tag = to;
+            });
+        });
+        return record;
+    }
+
+    return {
+        DEFAULT_TAGS,
+        BIRTHDAY_TAG,
+        MAX_NAME_LENGTH,
+        MAX_ICON_LENGTH,
+        TagError,
+        tagsOf,
+        findTag,
+        readTag,
+        textColor,
+        recordUsesTag,
+        retagRecord
+    };
+});
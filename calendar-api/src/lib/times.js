@@ -0,0 +1,222 @@
+// Times of day and conflict checks for timed schedules
+//
+// Shared by the API and calendar.html like recurrence.js: Node loads it with
+// require(), the page with a <script> tag (after recurrence.js) that exposes
+// `CalendarTimes`.
+//
+// A schedule is all-day unless it has a `startTime`. Timed schedules store
+// wall-clock `startTime`/`endTime` (HH:MM) in their `timeZone` (IANA name,
+// Asia/Seoul by default), so a 09:00 meeting stays at 09:00 across DST
+// changes. An end before the start means the schedule runs past midnight;
+// without an end it lasts DEFAULT_DURATION minutes. Conflicts are checked on
+// absolute instants, so schedules kept in different time zones compare right.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./recurrence'));
+    } else {
+        root.CalendarTimes = factory(root.CalendarRecurrence);
+    }
+})(typeof self !== 'undefined' ? self : this, function (recurrence) {
+    const DEFAULT_TIME_ZONE = 'Asia/Seoul';
+    const DEFAULT_DURATION = 60;
+    const MINUTE_MS = 60 * 1000;
+    // How far ahead a repeating schedule is checked for conflicts
+    const CONFLICT_DAYS = 90;
+    const MAX_CONFLICTS = 20;
+
+    // `field` is the input field at fault, `problem` what is wrong with it
+    class TimeError extends Error {
+        constructor(field, problem) {
+            super(`${field} ${problem}`);
+            this.name = 'TimeError';
+            this.field = field;
+            this.problem = problem;
+        }
+    }
+
+    function isTimeString(value) {
+        return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+    }
+
+    function isTimeZone(name) {
+        if (typeof name !== 'string' || !name) return false;
+        try {
+            new Intl.DateTimeFormat('en', { timeZone: name });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    function toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    function isTimed(schedule) {
+        return !!(schedule && schedule.startTime) && schedule.allDay !== true;
+    }
+
+    // Validate `allDay`/`startTime`/`endTime`/`timeZone` from a request over
+    // the `existing` values. Returns all four; all-day schedules get nulls.
+    function readTimes(input, existing = {}) {
+        const pick = field => (input[field] !== undefined ? input[field] : existing[field]);
+        const startTime = pick('startTime') || null;
+        const wantsAllDay = input.allDay === true || (input.allDay === undefined && !startTime);
+        if (wantsAllDay) {
+            return { allDay: true, startTime: null, endTime: null, timeZone: null };
+        }
+
+        const endTime = pick('endTime') || null;
+        const timeZone = pick('timeZone') || DEFAULT_TIME_ZONE;
+        if (!startTime) {
+            throw new TimeError('startTime', 'is required unless allDay is true');
+        }
+        if (!isTimeString(startTime)) {
+            throw new TimeError('startTime', 'must be HH:MM (00:00-23:59)');
+        }
+        if (endTime && !isTimeString(endTime)) {
+            throw new TimeError('endTime', 'must be HH:MM (00:00-23:59)');
+        }
+        if (!isTimeZone(timeZone)) {
+            throw new TimeError('timeZone', `must be a known time zone like Asia/Seoul, not "${timeZone}"`);
+        }
+        return { allDay: false, startTime, endTime, timeZone };
+    }
+
+    // Wall-clock { date, time } of an instant in `timeZone`
+    function wallClock(instant, timeZone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-CA', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(new Date(instant)).forEach(part => {
+            parts[part.type] = part.value;
+        });
+        return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+    }
+
+    // Minutes `timeZone` is ahead of UTC at an instant
+    function zoneOffset(instant, timeZone) {
+        const { date, time } = wallClock(instant, timeZone);
+        const [y, m, d] = date.split('-').map(Number);
+        const local = Date.UTC(y, m - 1, d) + toMinutes(time) * MINUTE_MS;
+        return Math.round((local - Math.floor(instant / MINUTE_MS) * MINUTE_MS) / MINUTE_MS);
+    }
+
+    // Instant (ms) of a wall-clock date and time in `timeZone`
+    function toInstant(date, time, timeZone) {
+        const [y, m, d] = date.split('-').map(Number);
+        const local = Date.UTC(y, m - 1, d) + toMinutes(time) * MINUTE_MS;
+        const guess = local - zoneOffset(local, timeZone) * MINUTE_MS;
+        // Near a DST change the offset at the guess can differ from the one at the result
+        return local - zoneOffset(guess, timeZone) * MINUTE_MS;
+    }
+
+    // { start, end } instants of a timed schedule on the date it is shown
+    // (stored or occurrence date), or null for all-day schedules
+    function intervalOf(schedule, date) {
+        if (!isTimed(schedule)) return null;
+        const timeZone = isTimeZone(schedule.timeZone) ? schedule.timeZone : DEFAULT_TIME_ZONE;
+        const span = schedule.startDate && schedule.endDate;
+        const startDate = span ? schedule.startDate : date;
+        const endDate = span ? schedule.endDate : date;
+
+        const start = toInstant(startDate, schedule.startTime, timeZone);
+        let end = schedule.endTime
+            ? toInstant(endDate, schedule.endTime, timeZone)
+            : start + DEFAULT_DURATION * MINUTE_MS;
+        if (end < start) {
+            end = toInstant(recurrence.addDays(endDate, 1), schedule.endTime, timeZone);
+        }
+        return { start, end };
+    }
+
+    function overlaps(a, b) {
+        // A schedule without length still blocks the minute it starts in
+        const aEnd = Math.max(a.end, a.start + MINUTE_MS);
+        const bEnd = Math.max(b.end, b.start + MINUTE_MS);
+        return a.start < bEnd && b.start < aEnd;
+    }
+
+    // Dates `schedule`, stored under `date`, will be shown on: just `date`, or
+    // the occurrences in the next CONFLICT_DAYS for a repeating one
+    function datesOf(schedule, date) {
+        let rule = null;
+        try {
+            rule = recurrence.ruleOf(schedule);
+        } catch (error) {
+            rule = null;
+        }
+        if (!rule) return [date];
+        return recurrence.occurrences(rule, date, date, recurrence.addDays(date, CONFLICT_DAYS), schedule.exdates || []);
+    }
+
+    // Timed schedules in `allData` that overlap `schedule` (stored under
+    // `date`), repeating ones expanded. The schedule itself (`ignoreId`) is
+    // skipped. Returns [{ date, id, content, tag, startTime, endTime, timeZone }].
+    function findConflicts(allData, schedule, date, { ignoreId = schedule.id, series } = {}) {
+        if (!isTimed(schedule)) return [];
+        const dates = datesOf(schedule, date);
+        if (dates.length === 0) return [];
+
+        // One day of margin on each side for overnight schedules and time zones
+        const expanded = recurrence.expandRange(
+            allData,
+            recurrence.addDays(dates[0], -1),
+            recurrence.addDays(dates[dates.length - 1], 1),
+            series
+        );
+        const intervals = dates.map(d => intervalOf(recurrence.occurrenceOf(schedule, date, d), d));
+
+        const conflicts = [];
+        Object.keys(expanded).sort().forEach(day => {
+            (expanded[day].schedules || []).forEach(other => {
+                if (conflicts.length >= MAX_CONFLICTS) return;
+                if (ignoreId && (other.id === ignoreId || other.repeatFrom === ignoreId)) return;
+                const interval = intervalOf(other, day);
+                if (!interval || !intervals.some(own => own && overlaps(own, interval))) return;
+                conflicts.push({
+                    date: day,
+                    id: other.repeatFrom || other.id,
+                    content: other.content,
+                    tag: other.tag,
+                    startTime: other.startTime,
+                    endTime: other.endTime || null,
+                    timeZone: other.timeZone || DEFAULT_TIME_ZONE
+                });
+            });
+        });
+        return conflicts;
+    }
+
+    // "15:00-16:30" (plus the zone when it isn't the calendar's)
+    function formatRange(schedule) {
+        if (!isTimed(schedule)) return '';
+        const range = schedule.endTime ? `${schedule.startTime}-${schedule.endTime}` : schedule.startTime;
+        return schedule.timeZone && schedule.timeZone !== DEFAULT_TIME_ZONE ? `${range} (${schedule.timeZone})` : range;
+    }
+
+    return {
+        DEFAULT_TIME_ZONE,
+        DEFAULT_DURATION,
+        TimeError,
+        isTimeString,
+        isTimeZone,
+        toMinutes,
+        isTimed,
+        readTimes,
+        wallClock,
+        zoneOffset,
+        toInstant,
+        intervalOf,
+        findConflicts,
+        formatRange
+    };
+});
@@ -0,0 +1,322 @@
+// Workout analytics from the exercise logs
+//
+// Shared by the API (GET /api/analytics/workouts) and calendar.html like
+// recurrence.js: Node loads it with require(), the page with a <script> tag
+// that exposes `CalendarWorkouts`.
+//
+// Each date's `exercise` has `weight` entries ({ type, kg, sets, reps }) and
+// `nonWeight` entries ({ type, duration } in minutes). Volume is
+// kg x sets x reps, the same as the daily total on the page, and the
+// estimated one-rep max uses the Epley formula kg x (1 + reps / 30).
+// Exercise names are free text, so muscle groups are guessed from keywords.
+// Weeks start on Monday.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CalendarWorkouts = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // First match wins, so more specific names (레그컬, 레그레이즈) come first.
+    // Keywords are compared without spaces and in lower case.
+    const MUSCLE_GROUPS = [
+        { group: '코어', keywords: ['레그레이즈', '크런치', '플랭크', '싯업', '윗몸', '복근', 'crunch', 'plank', 'situp', 'legraise', 'abs'] },
+        { group: '하체', keywords: ['스쿼트', '레그프레스', '레그익스텐션', '레그컬', '런지', '카프', '핵', 'squat', 'legpress', 'legextension', 'legcurl', 'lunge', 'calf'] },
+        { group: '둔근', keywords: ['힙', '글루트', '브릿지', '킥백', 'hip', 'glute', 'bridge', 'kickback'] },
+        { group: '등', keywords: ['데드리프트', '로우', '풀업', '턱걸이', '랫풀', '풀다운', 'deadlift', 'row', 'pullup', 'chinup', 'pulldown'] },
+        { group: '가슴', keywords: ['벤치', '체스트', '푸시업', '푸쉬업', '팔굽혀', '플라이', '딥스', 'bench', 'chest', 'pushup', 'fly', 'dip'] },
+        { group: '어깨', keywords: ['숄더', '밀리터리', '오버헤드', '레터럴', '레레', '페이스풀', 'shoulder', 'military', 'overhead', 'lateral', 'facepull'] },
+        { group: '팔', keywords: ['컬', '바이셉', '이두', '트라이셉', '삼두', '푸시다운', 'curl', 'bicep', 'tricep', 'pushdown'] },
+        { group: '유산소', keywords: ['러닝', '달리기', '조깅', '걷기', '산책', '계단', '사이클', '자전거', '수영', '줄넘기', '등산', '로잉', '스텝', 'run', 'jog', 'walk', 'cycle', 'bike', 'swim', 'stair', 'rowing', 'cardio'] },
+        { group: '유연성', keywords: ['요가', '필라테스', '스트레칭', 'yoga', 'pilates', 'stretch'] }
+    ];
+    const OTHER_GROUP = '기타';
+
+    function toDayNumber(dateStr) {
+        const [y, m, d] = dateStr.split('-').map(Number);
+        return Math.round(Date.UTC(y, m - 1, d) / DAY_MS);
+    }
+
+    function fromDayNumber(dayNumber) {
+        return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    // Monday of the week of a date
+    function weekOf(dateStr) {
+        const dayNumber = toDayNumber(dateStr);
+        // 1970-01-01 was a Thursday
+        const weekday = (((dayNumber + 3) % 7) + 7) % 7;
+        return fromDayNumber(dayNumber - weekday);
+    }
+
+    // Weeks since the Monday 1970-01-05, so consecutive weeks differ by one
+    function weekIndex(dateStr) {
+        return (toDayNumber(weekOf(dateStr)) - 4) / 7;
+    }
+
+    function weekFromIndex(index) {
+        return fromDayNumber(index * 7 + 4);
+    }
+
+    function monthOf(dateStr) {
+        return dateStr.slice(0, 7);
+    }
+
+    function round(value, digits = 1) {
+        const factor = 10 ** digits;
+        return Math.round(value * factor) / factor;
+    }
+
+    function volumeOf(entry) {
+        return (Number(entry.kg) || 0) * (Number(entry.sets) || 0) * (Number(entry.reps) || 0);
+    }
+
+    // Estimated one-rep max (Epley); a single rep is the weight itself
+    function oneRepMax(kg, reps) {
+        kg = Number(kg) || 0;
+        reps = Number(reps) || 0;
+        if (kg <= 0 || reps <= 0) return 0;
+        return reps === 1 ? kg : round(kg * (1 + reps / 30));
+    }
+
+    function muscleGroupOf(type) {
+        const name = String(type || '').replace(/\s+/g, '').toLowerCase();
+        const match = MUSCLE_GROUPS.find(({ keywords }) => keywords.some(keyword => name.includes(keyword)));
+        return match ? match.group : OTHER_GROUP;
+    }
+
+    // Workout days in [from, to] (both optional), oldest first
+    function sessionsOf(allData, from, to) {
+        return Object.keys(allData || {})
+            .filter(date => (!from || date >= from) && (!to || date <= to))
+            .sort()
+            .map(date => {
+                const exercise = allData[date] && allData[date].exercise;
+                if (!exercise) return null;
+                const weight = (exercise.weight || []).filter(entry => entry.type);
+                const nonWeight = (exercise.nonWeight || []).filter(entry => entry.type);
+                if (weight.length === 0 && nonWeight.length === 0) return null;
+                return { date, weight, nonWeight };
+            })
+            .filter(Boolean);
+    }
+
+    // Per-period buckets ({ period, ... }) in period order
+    function bucket(map, period, create) {
+        if (!map.has(period)) map.set(period, { period, ...create() });
+        return map.get(period);
+    }
+
+    function emptyTotals() {
+        return { sessions: 0, volume: 0, minutes: 0 };
+    }
+
+    function emptyTrend() {
+        return { sessions: 0, sets: 0, volume: 0, best1RM: 0, minutes: 0 };
+    }
+
+    // Longest and current runs of consecutive periods (day numbers or week
+    // numbers) with at least one workout
+    function runsOf(numbers, current) {
+        let longest = { length: 0, from: null, to: null };
+        let run = null;
+        numbers.forEach(number => {
+            run = run && number === run.to + 1 ? { from: run.from, to: number } : { from: number, to: number };
+            const length = run.to - run.from + 1;
+            if (length > longest.length) longest = { length, from: run.from, to: run.to };
+        });
+        // The current run may end in the previous period (today isn't over yet)
+        const ongoing = run && run.to >= current - 1 ? run.to - run.from + 1 : 0;
+        return { current: ongoing, longest };
+    }
+
+    function streaksOf(dates, today) {
+        const days = runsOf(dates.map(toDayNumber), toDayNumber(today));
+        const weeks = runsOf([...new Set(dates.map(weekIndex))], weekIndex(today));
+        return {
+            days: {
+                current: days.current,
+                longest: days.longest.length,
+                longestFrom: days.longest.from === null ? null : fromDayNumber(days.longest.from),
+                longestTo: days.longest.to === null ? null : fromDayNumber(days.longest.to)
+            },
+            weeks: {
+                current: weeks.current,
+                longest: weeks.longest.length,
+                longestFrom: weeks.longest.from === null ? null : weekFromIndex(weeks.longest.from),
+                longestTo: weeks.longest.to === null ? null : weekFromIndex(weeks.longest.to)
+            }
+        };
+    }
+
+    // Every week (Monday) or month (YYYY-MM) from `from` to `to`
+    function periodsBetween(from, to, kind) {
+        const periods = [];
+        if (kind === 'weekly') {
+            for (let index = weekIndex(from); index <= weekIndex(to); index++) {
+                periods.push(weekFromIndex(index));
+            }
+        } else {
+            let [year, month] = from.split('-').map(Number);
+            for (let period = monthOf(from); period <= monthOf(to); period = `${year}-${String(month).padStart(2, '0')}`) {
+                periods.push(period);
+                month++;
+                if (month > 12) {
+                    month = 1;
+                    year++;
+                }
+            }
+        }
+        return periods;
+    }
+
+    // Buckets in period order, with empty ones for periods without workouts so
+    // charts keep their gaps
+    function filledValues(map, range, kind, create) {
+        if (!range) return [...map.values()].sort((a, b) => a.period.localeCompare(b.period));
+        return periodsBetween(range.from, range.to, kind).map(period => map.get(period) || { period, ...create() });
+    }
+
+    // Analytics for the workouts in [from, to] (both optional). `today`
+    // (YYYY-MM-DD) decides whether streaks are still going.
+    function analyze(allData, { from, to, today } = {}) {
+        const sessions = sessionsOf(allData, from, to);
+        const totals = emptyTotals();
+        const weekly = new Map();
+        const monthly = new Map();
+        const exercises = new Map();
+        const groups = new Map();
+
+        sessions.forEach(({ date, weight, nonWeight }) => {
+            const periods = [bucket(weekly, weekOf(date), emptyTotals), bucket(monthly, monthOf(date), emptyTotals)];
+            const trained = new Set();
+            const dayVolume = new Map();
+            totals.sessions++;
+            periods.forEach(period => period.sessions++);
+
+            [...weight.map(entry => ({ ...entry, isWeight: true })), ...nonWeight].forEach(entry => {
+                const type = String(entry.type).trim();
+                const group = muscleGroupOf(type);
+                trained.add(group);
+
+                if (!exercises.has(type)) {
+                    exercises.set(type, {
+                        type,
+                        muscleGroup: group,
+                        isWeight: !!entry.isWeight,
+                        sessions: 0,
+                        dates: new Set(),
+                        sets: 0,
+                        volume: 0,
+                        minutes: 0,
+                        lastDate: null,
+                        records: { maxWeight: null, best1RM: null, bestVolume: null, longest: null },
+                        weekly: new Map(),
+                        monthly: new Map()
+                    });
+                }
+                const stats = exercises.get(type);
+                const trends = [bucket(stats.weekly, weekOf(date), emptyTrend), bucket(stats.monthly, monthOf(date), emptyTrend)];
+                const firstToday = !stats.dates.has(date);
+                stats.dates.add(date);
+                stats.lastDate = date;
+                if (firstToday) {
+                    stats.sessions++;
+                    trends.forEach(trend => trend.sessions++);
+                }
+
+                if (entry.isWeight) {
+                    const volume = volumeOf(entry);
+                    const sets = Number(entry.sets) || 0;
+                    const estimate = oneRepMax(entry.kg, entry.reps);
+                    stats.sets += sets;
+                    stats.volume += volume;
+                    dayVolume.set(stats, (dayVolume.get(stats) || 0) + volume);
+                    totals.volume += volume;
+                    periods.forEach(period => { period.volume += volume; });
+                    trends.forEach(trend => {
+                        trend.sets += sets;
+                        trend.volume += volume;
+                        trend.best1RM = Math.max(trend.best1RM, estimate);
+                    });
+
+                    const { records } = stats;
+                    const kg = Number(entry.kg) || 0;
+                    if (kg > 0 && (!records.maxWeight || kg > records.maxWeight.kg)) {
+                        records.maxWeight = { kg, reps: Number(entry.reps) || 0, date };
+                    }
+                    if (estimate > 0 && (!records.best1RM || estimate > records.best1RM.value)) {
+                        records.best1RM = { value: estimate, kg, reps: Number(entry.reps) || 0, date };
+                    }
+                } else {
+                    const minutes = Number(entry.duration) || 0;
+                    stats.minutes += minutes;
+                    totals.minutes += minutes;
+                    periods.forEach(period => { period.minutes += minutes; });
+                    trends.forEach(trend => { trend.minutes += minutes; });
+
+                    const { records } = stats;
+                    if (minutes > 0 && (!records.longest || minutes > records.longest.minutes)) {
+                        records.longest = { minutes, date };
+                    }
+                }
+            });
+
+            // Best single-day volume per exercise
+            dayVolume.forEach((volume, stats) => {
+                if (volume > 0 && (!stats.records.bestVolume || volume > stats.records.bestVolume.volume)) {
+                    stats.records.bestVolume = { volume, date };
+                }
+            });
+
+            trained.forEach(group => {
+                const stats = groups.get(group) || { group, sessions: 0, lastDate: null };
+                stats.sessions++;
+                stats.lastDate = date;
+                groups.set(group, stats);
+            });
+        });
+
+        const first = sessions.length > 0 ? sessions[0].date : null;
+        const last = sessions.length > 0 ? sessions[sessions.length - 1].date : null;
+        const rangeFrom = from || first;
+        const rangeTo = to || today || last;
+        const range = rangeFrom && rangeTo && rangeFrom <= rangeTo ? { from: rangeFrom, to: rangeTo } : null;
+        // Weeks covered by the range, for "times per week"
+        const weeks = range ? Math.max(1, (toDayNumber(range.to) - toDayNumber(range.from) + 1) / 7) : 1;
+
+        return {
+            from: rangeFrom,
+            to: rangeTo,
+            totals,
+            weekly: filledValues(weekly, range, 'weekly', emptyTotals),
+            monthly: filledValues(monthly, range, 'monthly', emptyTotals),
+            exercises: [...exercises.values()]
+                .map(({ dates, weekly: byWeek, monthly: byMonth, ...stats }) => ({
+                    ...stats,
+                    weekly: filledValues(byWeek, range, 'weekly', emptyTrend),
+                    monthly: filledValues(byMonth, range, 'monthly', emptyTrend)
+                }))
+                .sort((a, b) => b.sessions - a.sessions || b.volume - a.volume || a.type.localeCompare(b.type)),
+            muscleGroups: [...groups.values()]
+                .map(stats => ({ ...stats, perWeek: round(stats.sessions / weeks) }))
+                .sort((a, b) => b.sessions - a.sessions),
+            streaks: streaksOf(sessions.map(session => session.date), today || last || fromDayNumber(0))
+        };
+    }
+
+    return {
+        MUSCLE_GROUPS,
+        OTHER_GROUP,
+        weekOf,
+        monthOf,
+        periodsBetween,
+        volumeOf,
+        oneRepMax,
+        muscleGroupOf,
+        analyze
+    };
+});
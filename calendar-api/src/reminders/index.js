@@ -0,0 +1,161 @@
+// Reminder scheduler and delivery channels
+//
+// Every run looks at each account's calendar for reminders that went off
+// since the account was last checked (see dueReminders() in
+// src/lib/reminders.js) and hands them to every enabled channel. Each window
+// starts where the previous one ended, so a reminder goes out once however
+// often the scheduler runs. After downtime at most MAX_CATCH_UP_MS of missed
+// reminders are sent late; older ones are dropped rather than arriving hours
+// after the fact.
+//
+// Where each account was last checked is kept in memory. It is written to the
+// user record (`remindersCheckedAt`) only by runs that found something due,
+// so other instances and restarts don't send those again; a quiet minute
+// doesn't rewrite the account list (on JSONBin every write costs a request).
+//
+// Channels implement:
+//   name
+//   enabled()              -> whether it is configured
+//   deliver(user, message) -> { sent, expired? } for one message from
+//                             messageOf(); `expired` lists push endpoints
+//                             that are gone and get removed from the account
+//   describe()             -> non-secret details for /api/debug
+//
+// server.js runs the scheduler every REMINDER_INTERVAL_SECONDS (60 by default,
+// 0 turns it off). Where nothing keeps running between requests (Vercel), call
+// POST /api/reminders/run from a cron job instead.
+
+const auth = require('../auth');
+const reminders = require('../lib/reminders');
+const { WebPushChannel } = require('./webPush');
+const { WebhookChannel } = require('./webhook');
+
+const DEFAULT_INTERVAL_SECONDS = 60;
+const MAX_CATCH_UP_MS = 60 * 60 * 1000;
+
+function createChannels() {
+    return [new WebPushChannel(), new WebhookChannel()];
+}
+
+class ReminderScheduler {
+    constructor({ users, storeFor, channels = createChannels(), intervalSeconds } = {}) {
+        this.users = users;
+        this.storeFor = storeFor;
+        this.channels = channels;
+        const seconds = intervalSeconds !== undefined
+            ? intervalSeconds
+            : Number(process.env.REMINDER_INTERVAL_SECONDS || DEFAULT_INTERVAL_SECONDS);
+        this.intervalMs = Math.max(0, seconds) * 1000;
+        this.timer = null;
+        this.running = null;
+        this.checkedAt = new Map();
+    }
+
+    channel(name) {
+        return this.channels.find(channel => channel.name === name) || null;
+    }
+
+    // Send `message` to `user` on every enabled channel. Returns { sent,
+    // expired } summed over the channels; a failing channel doesn't stop the
+    // others.
+    async deliver(user, message) {
+        let sent = 0;
+        const expired = [];
+        for (const channel of this.channels.filter(c => c.enabled())) {
+            try {
+                const result = await channel.deliver(user, message);
+                sent += result.sent;
+                expired.push(...(result.expired || []));
+            } catch (error) {
+                console.error(`Reminder channel ${channel.name} failed:`, error.message);
+            }
+        }
+        return { sent, expired };
+    }
+
+    // Remember a run on the user's record (unless `checkedAt` is null),
+    // dropping push subscriptions that expired
+    async markChecked(userId, checkedAt, expired) {
+        await this.users.update(list => list.map(user => {
+            if (user.id !== userId) return user;
+            const updated = checkedAt ? { ...user, remindersCheckedAt: checkedAt } : { ...user };
+            if (expired.length > 0) {
+                updated.pushSubscriptions = (user.pushSubscriptions || []).filter(s => !expired.includes(s.endpoint));
+            }
+            return updated;
+        }));
+    }
+
+    async runUser(user, now) {
+        // The later of the saved check and the one this process remembers
+        const saved = Date.parse(user.remindersCheckedAt || '');
+        const last = Math.max(Number.isNaN(saved) ? 0 : saved, this.checkedAt.get(user.id) || 0);
+        // A new account starts one interval back so its first run isn't empty
+        const from = last === 0
+            ? now - (this.intervalMs || DEFAULT_INTERVAL_SECONDS * 1000)
+            : Math.max(last, now - MAX_CATCH_UP_MS);
+        const allData = await this.storeFor(auth.tokenClaims(user)).getAll();
+        const due = reminders.dueReminders(allData, { from, to: now });
+
+        let sent = 0;
+        const expired = [];
+        for (const item of due) {
+            const result = await this.deliver(user, reminders.messageOf(item));
+            sent += result.sent;
+            expired.push(...result.expired);
+        }
+        this.checkedAt.set(user.id, now);
+        if (due.length > 0 || expired.length > 0) {
+            await this.markChecked(user.id, new Date(now).toISOString(), expired);
+        }
+        return { due: due.length, sent };
+    }
+
+    // One pass over every account. Returns { checkedAt, users, due, sent }.
+    // Overlapping calls share the pass that is already running.
+    runOnce(now = Date.now()) {
+        if (!this.running) {
+            this.running = this.runAll(now).finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    async runAll(now) {
+        const summary = { checkedAt: new Date(now).toISOString(), users: 0, due: 0, sent: 0 };
+        for (const user of await this.users.list()) {
+            try {
+                const { due, sent } = await this.runUser(user, now);
+                summary.users++;
+                summary.due += due;
+                summary.sent += sent;
+            } catch (error) {
+                console.error(`Reminders for ${user.username} failed:`, error.message);
+            }
+        }
+        return summary;
+    }
+
+    start() {
+        if (this.intervalMs === 0 || this.timer) return;
+        this.timer = setInterval(() => {
+            this.runOnce().catch(error => console.error('Reminder run failed:', error.message));
+        }, this.intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    describe() {
+        return {
+            intervalSeconds: this.intervalMs / 1000,
+            channels: this.channels.map(channel => channel.describe())
+        };
+    }
+}
+
+module.exports = { ReminderScheduler, createChannels };
@@ -0,0 +1,66 @@
+// Checks for the URLs reminders are POSTed to
+//
+// Push endpoints come from members' browsers, so without a check any member
+// could make the server send requests into its own network. Both channels
+// only send to https: URLs on hosts that resolve to public addresses:
+//   readPublicUrl(input)  -> the URL, or null for a non-https URL or a host
+//                            that is private by its name or address literal
+//   checkPublicUrl(url)   -> resolves the host and throws when any address
+//                            it has is loopback, private, link-local or
+//                            otherwise not on the internet
+// Requests are also sent with `redirect: 'error'`, so a public host can't
+// bounce them somewhere else.
+
+const dns = require('dns').promises;
+const net = require('net');
+
+const PRIVATE = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE.addSubnet(address, prefix, 'ipv6'));
+
+const PRIVATE_NAMES = /(^|\.)(localhost|local|internal|home|lan)$/i;
+
+// BlockList checks IPv4 addresses mapped into IPv6 (::ffff:10.0.0.1) by the
+// IPv4 rules
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    return family === 0 || PRIVATE.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// new URL() keeps IPv6 hosts in brackets, and a trailing dot (localhost.)
+function hostOf(url) {
+    return url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '');
+}
+
+function readPublicUrl(input) {
+    let url;
+    try {
+        url = new URL(input);
+    } catch (error) {
+        return null;
+    }
+    const host = hostOf(url);
+    if (url.protocol !== 'https:' || url.username || url.password || PRIVATE_NAMES.test(host)) return null;
+    if (net.isIP(host) && isPrivateAddress(host)) return null;
+    return url;
+}
+
+async function checkPublicUrl(input) {
+    const url = readPublicUrl(input);
+    if (!url) {
+        throw new Error('Only https: URLs on public hosts are allowed');
+    }
+    const host = hostOf(url);
+    const addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true });
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new Error(`${host} is not a public address`);
+    }
+    return url;
+}
+
+module.exports = { readPublicUrl, checkPublicUrl, isPrivateAddress };
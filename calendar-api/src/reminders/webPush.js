@@ -0,0 +1,184 @@
+// Web Push reminder channel
+//
+// Sends reminders to the browsers where calendar.html turned notifications
+// on; calendar-sw.js shows them. Every user keeps their browsers'
+// PushSubscriptions on their account (`pushSubscriptions`).
+//
+// Implements the Web Push protocol directly on Node's crypto, so no extra
+// package is needed:
+//   - the push service is told who is sending with a VAPID token (RFC 8292),
+//     an ES256 JWT signed with VAPID_PRIVATE_KEY
+//   - the payload is encrypted for the browser with aes128gcm (RFC 8291)
+//
+// VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY are the usual base64url keys (as made
+// by `npx web-push generate-vapid-keys`), VAPID_SUBJECT a mailto: or https:
+// contact for the push services. Without keys a pair is made at startup; the
+// browsers then have to subscribe again after every restart.
+
+const crypto = require('crypto');
+const { readPublicUrl, checkPublicUrl } = require('./publicUrl');
+
+const TIMEOUT_MS = 10 * 1000;
+const TTL_SECONDS = 24 * 60 * 60;
+const TOKEN_TTL_SECONDS = 12 * 60 * 60;
+const RECORD_SIZE = 4096;
+const MAX_SUBSCRIPTIONS = 10;
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+// { publicKey, privateKey } as base64url raw keys, from the environment or new
+function loadVapidKeys() {
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+        return { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY };
+    }
+    console.warn('VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY are not set: push subscriptions will not survive a restart');
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const jwk = privateKey.export({ format: 'jwk' });
+    return {
+        publicKey: base64url(publicKey.export({ format: 'der', type: 'spki' }).subarray(-65)),
+        privateKey: jwk.d
+    };
+}
+
+// The browser's PushSubscription (JSON) if it looks usable, otherwise null.
+// Push services are public https: hosts (see publicUrl.js).
+function readSubscription(input) {
+    const { endpoint, keys } = input || {};
+    const url = readPublicUrl(endpoint);
+    if (!url || !keys) return null;
+    const p256dh = Buffer.from(String(keys.p256dh || ''), 'base64url');
+    const auth = Buffer.from(String(keys.auth || ''), 'base64url');
+    if (p256dh.length !== 65 || p256dh[0] !== 0x04 || auth.length !== 16) return null;
+    return { endpoint: url.href, keys: { p256dh: keys.p256dh, auth: keys.auth } };
+}
+
+// `subscriptions` with `subscription` added (or refreshed), newest last
+function addSubscription(subscriptions, subscription) {
+    const others = (subscriptions || []).filter(s => s.endpoint !== subscription.endpoint);
+    return [...others, { ...subscription, createdAt: new Date().toISOString() }].slice(-MAX_SUBSCRIPTIONS);
+}
+
+// aes128gcm body of `payload` for one subscription (RFC 8291 section 3)
+function encrypt(subscription, payload) {
+    const uaPublic = Buffer.from(subscription.keys.p256dh, 'base64url');
+    const authSecret = Buffer.from(subscription.keys.auth, 'base64url');
+
+    const ecdh = crypto.createECDH('prime256v1');
+    const asPublic = ecdh.generateKeys();
+    const sharedSecret = ecdh.computeSecret(uaPublic);
+
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic]);
+    const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+    const salt = crypto.randomBytes(16);
+    const cek = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+    const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+    // One record: the payload and the 0x02 delimiter of the last record
+    const cipher = crypto.createCipheriv('aes-128-gcm', cek, nonce);
+    const ciphertext = Buffer.concat([
+        cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])),
+        cipher.final(),
+        cipher.getAuthTag()
+    ]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(asPublic.length, 20);
+    return Buffer.concat([header, asPublic, ciphertext]);
+}
+
+class WebPushChannel {
+    constructor({ keys = loadVapidKeys(), subject = process.env.VAPID_SUBJECT || 'mailto:calendar@localhost' } = {}) {
+        this.name = 'webPush';
+        this.publicKey = keys.publicKey;
+        this.subject = subject;
+
+        const raw = Buffer.from(keys.publicKey, 'base64url');
+        this.privateKey = crypto.createPrivateKey({
+            format: 'jwk',
+            key: {
+                kty: 'EC',
+                crv: 'P-256',
+                x: base64url(raw.subarray(1, 33)),
+                y: base64url(raw.subarray(33, 65)),
+                d: keys.privateKey
+            }
+        });
+    }
+
+    enabled() {
+        return true;
+    }
+
+    // `Authorization` header for the push service at `endpoint` (RFC 8292)
+    vapidHeader(endpoint) {
+        const header = base64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+        const claims = base64url(JSON.stringify({
+            aud: new URL(endpoint).origin,
+            exp: Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS,
+            sub: this.subject
+        }));
+        const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+            key: this.privateKey,
+            dsaEncoding: 'ieee-p1363'
+        });
+        return `vapid t=${header}.${claims}.${base64url(signature)}, k=${this.publicKey}`;
+    }
+
+    // true when sent, false when the subscription is gone (404/410)
+    async send(subscription, payload) {
+        await checkPublicUrl(subscription.endpoint);
+        const response = await fetch(subscription.endpoint, {
+            method: 'POST',
+            headers: {
+                Authorization: this.vapidHeader(subscription.endpoint),
+                'Content-Encoding': 'aes128gcm',
+                'Content-Type': 'application/octet-stream',
+                TTL: String(TTL_SECONDS),
+                Urgency: 'high'
+            },
+            body: encrypt(subscription, payload),
+            redirect: 'error',
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+        if (response.status === 404 || response.status === 410) return false;
+        if (!response.ok) {
+            throw new Error(`Push service answered with status ${response.status}`);
+        }
+        return true;
+    }
+
+    // Returns { sent, expired } with the endpoints of subscriptions that are
+    // gone, for the caller to remove from the account
+    async deliver(user, message) {
+        const payload = JSON.stringify({
+            title: message.title,
+            body: message.body,
+            tag: message.tag,
+            date: message.date
+        });
+        let sent = 0;
+        const expired = [];
+        for (const subscription of user.pushSubscriptions || []) {
+            try {
+                if (await this.send(subscription, payload)) {
+                    sent++;
+                } else {
+                    expired.push(subscription.endpoint);
+                }
+            } catch (error) {
+                console.error(`Push to ${new URL(subscription.endpoint).host} failed:`, error.message);
+            }
+        }
+        return { sent, expired };
+    }
+
+    describe() {
+        return { channel: this.name, enabled: this.enabled(), subject: this.subject };
+    }
+}
+
+module.exports = { WebPushChannel, readSubscription, addSubscription };
@@ -0,0 +1,69 @@
+// Webhook reminder channel
+//
+// POSTs every due reminder as JSON to REMINDER_WEBHOOK_URL:
+//   { type: 'reminder', user: { id, username }, title, body, reminder }
+// with `reminder` as returned by dueReminders() in src/lib/reminders.js. Point
+// it at a chat bot or a home automation service. Like push endpoints it must
+// be an https: URL on a public host (see publicUrl.js); a URL that isn't
+// turns the channel off.
+//
+// With REMINDER_WEBHOOK_SECRET set, the body is signed and the signature sent
+// as `X-Calendar-Signature: sha256=<hex HMAC of the raw body>`.
+
+const crypto = require('crypto');
+const { readPublicUrl, checkPublicUrl } = require('./publicUrl');
+
+const TIMEOUT_MS = 10 * 1000;
+
+class WebhookChannel {
+    constructor({ url = process.env.REMINDER_WEBHOOK_URL, secret = process.env.REMINDER_WEBHOOK_SECRET } = {}) {
+        this.name = 'webhook';
+        this.url = url && readPublicUrl(url) ? url : null;
+        this.secret = secret;
+        if (url && !this.url) {
+            console.warn('REMINDER_WEBHOOK_URL must be an https: URL on a public host: the webhook is off');
+        }
+    }
+
+    enabled() {
+        return !!this.url;
+    }
+
+    async send(payload) {
+        const body = JSON.stringify(payload);
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.secret) {
+            headers['X-Calendar-Signature'] = `sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}`;
+        }
+
+        await checkPublicUrl(this.url);
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers,
+            body,
+            redirect: 'error',
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            throw new Error(`Webhook answered with status ${response.status}`);
+        }
+    }
+
+    // Returns { sent } (0 or 1)
+    async deliver(user, message) {
+        await this.send({
+            type: message.reminder ? 'reminder' : 'test',
+            user: { id: user.id, username: user.username },
+            title: message.title,
+            body: message.body,
+            reminder: message.reminder || null
+        });
+        return { sent: 1 };
+    }
+
+    describe() {
+        return { channel: this.name, enabled: this.enabled(), signed: !!this.secret };
+    }
+}
+
+module.exports = { WebhookChannel };
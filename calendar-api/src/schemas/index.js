@@ -0,0 +1,464 @@
+// Request schemas of every API route
+//
+// ROUTES maps `METHOD /path` (the path as server.js registers it) to what the
+// route accepts:
+//   { summary, tag, auth, params, query, body, bodyType, status, produces }
+// `params`, `query` and `body` are JSON Schemas (see validate.js); server.js
+// checks each request against them before the route runs, and openapi.js
+// publishes them as /api/openapi.json. `auth` is 'login' (the default),
+// 'admin', 'feed' (a login or ?token=<feedToken>), 'cron' (an admin or
+// REMINDER_CRON_SECRET) or 'none'.
+//
+// The schemas check shapes, types and ranges. What needs the calendar (does
+// the tag exist, is the routine name free) or a parser (rrule, time zones)
+// stays with the route and src/lib, which answer 400 the same way.
+
+const recurrence = require('../lib/recurrence');
+const lunar = require('../lib/lunar');
+const health = require('../lib/health');
+const calendarTags = require('../lib/tags');
+const routines = require('../lib/routines');
+const reminders = require('../lib/reminders');
+const { CSV_FILES } = require('../backup/csv');
+const { validate } = require('./validate');
+
+// Request limits the routes share with their schemas
+const MAX_CONTENT_LENGTH = 500;
+const MAX_MEMO_LENGTH = 10000;
+const MAX_EXERCISE_NAME = 50;
+const MAX_EXERCISE_ROWS = 50;
+const MAX_REMINDER_DAYS = 31;
+const MAX_RANGE_DAYS = 400;
+const MAX_HISTORY_LIMIT = 200;
+const MAX_UNDO = 50;
+const MAX_SEARCH_RESULTS = 200;
+const MAX_BATCH_OPERATIONS = 200;
+const MIN_PASSWORD_LENGTH = 8;
+
+const BATCH_TYPES = ['schedule', 'exercise', 'memo'];
+const BATCH_ACTIONS = ['create', 'update', 'delete', 'move'];
+
+function ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+function object(properties, required) {
+    return required ? { type: 'object', properties, required } : { type: 'object', properties };
+}
+
+function text(maxLength, minLength = 1) {
+    return { type: 'string', minLength, maxLength };
+}
+
+function number(minimum, maximum, type = 'number') {
+    return { type, minimum, maximum };
+}
+
+function integer(minimum, maximum) {
+    return number(minimum, maximum, 'integer');
+}
+
+function list(items, maxItems, minItems) {
+    return minItems ? { type: 'array', items, minItems, maxItems } : { type: 'array', items, maxItems };
+}
+
+// A health metric as health.readValue() takes it: within LIMITS, or null
+function metric(field) {
+    const { min, max, integer: whole } = health.LIMITS[field];
+    return number(min, max, whole ? ['integer', 'null'] : ['number', 'null']);
+}
+
+const DATE = ref('Date');
+const OPTIONAL_DATE = { type: ['string', 'null'], format: 'date' };
+const TIME = { type: ['string', 'null'], pattern: '^(([01]\\d|2[0-3]):[0-5]\\d)?$', examples: ['09:30'] };
+const ID = text(200);
+const SOURCE = text(20);
+const TAG_FILTER = { type: ['string', 'array'], items: { type: 'string' }, description: 'Tag names, repeated or comma separated' };
+
+const SCHEDULE_FIELDS = {
+    content: text(MAX_CONTENT_LENGTH),
+    tag: { type: 'string', minLength: 1, description: 'Name of one of the calendar\'s tags' },
+    source: SOURCE,
+    repeat: { type: 'string', enum: recurrence.REPEAT_VALUES },
+    rrule: { type: ['string', 'null'], maxLength: 500, examples: ['FREQ=WEEKLY;BYDAY=MO,WE'] },
+    exdates: list(DATE, 1000),
+    startDate: OPTIONAL_DATE,
+    endDate: OPTIONAL_DATE,
+    allDay: { type: 'boolean' },
+    startTime: TIME,
+    endTime: TIME,
+    timeZone: { type: ['string', 'null'], maxLength: 64, examples: ['Asia/Seoul'] },
+    reminders: { type: ['array', 'null'], items: ref('Reminder'), maxItems: reminders.MAX_REMINDERS }
+};
+
+// Shared by the routes (as $ref) and published as components in openapi.js
+const components = {
+    Date: { type: 'string', format: 'date', examples: ['2026-03-02'] },
+    Reminder: object({
+        minutes: integer(0, reminders.MAX_MINUTES),
+        days: integer(0, reminders.MAX_DAYS),
+        time: TIME
+    }),
+    NewSchedule: object(SCHEDULE_FIELDS, ['content', 'tag']),
+    ScheduleChanges: object({ ...SCHEDULE_FIELDS, content: text(MAX_CONTENT_LENGTH, 0) }),
+    WeightSet: object({
+        type: text(MAX_EXERCISE_NAME),
+        kg: number(0, 1000),
+        sets: integer(1, 100),
+        reps: integer(1, 1000)
+    }, ['type', 'kg', 'sets', 'reps']),
+    NonWeightSet: object({
+        type: text(MAX_EXERCISE_NAME),
+        duration: integer(1, 1440)
+    }, ['type', 'duration']),
+    Exercise: object({
+        weight: list(ref('WeightSet'), MAX_EXERCISE_ROWS),
+        nonWeight: list(ref('NonWeightSet'), MAX_EXERCISE_ROWS),
+        source: SOURCE
+    }),
+    Memo: object({ memo: { type: 'string', maxLength: MAX_MEMO_LENGTH } }),
+    Nutrition: object({
+        meals: list(object({
+            name: text(health.MAX_MEAL_NAME),
+            calories: metric('calories'),
+            protein: metric('protein')
+        }, ['name']), health.MAX_MEALS, 1)
+    }, ['meals']),
+    Body: object({
+        weight: metric('weight'),
+        bodyFat: metric('bodyFat'),
+        sleepHours: metric('sleepHours'),
+        mood: metric('mood')
+    }),
+    Tag: object({
+        name: text(calendarTags.MAX_NAME_LENGTH),
+        color: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$', examples: ['#a1b2c3'] },
+        icon: { type: 'string', maxLength: calendarTags.MAX_ICON_LENGTH }
+    }),
+    Routine: object({
+        name: text(routines.MAX_NAME_LENGTH),
+        weight: list(ref('WeightSet'), routines.MAX_EXERCISES),
+        nonWeight: list(ref('NonWeightSet'), routines.MAX_EXERCISES),
+        increment: number(0, 100)
+    }),
+    BatchOperation: object({
+        type: { type: 'string', enum: BATCH_TYPES },
+        action: { type: 'string', enum: BATCH_ACTIONS },
+        date: DATE,
+        id: ID,
+        to: DATE,
+        scope: { type: 'string', enum: recurrence.SCOPES },
+        occurrence: DATE,
+        data: { type: 'object', description: 'The body the single-date route takes' }
+    }, ['type', 'action', 'date']),
+    Error: object({
+        error: { type: 'string' },
+        errors: list(object({
+            field: { type: 'string', examples: ['body.weight[0].kg'] },
+            message: { type: 'string' }
+        }, ['message']))
+    }, ['error'])
+};
+
+// Body schema of a batch operation's `data`: the one of the route it stands for
+const BATCH_DATA = {
+    schedule: { create: ref('NewSchedule'), update: ref('ScheduleChanges') },
+    exercise: { create: ref('Exercise'), update: ref('Exercise') },
+    memo: { create: ref('Memo'), update: ref('Memo') }
+};
+
+const DATE_PARAMS = object({ date: DATE }, ['date']);
+const SCHEDULE_PARAMS = object({ date: DATE, id: ID }, ['date', 'id']);
+const ID_PARAMS = object({ id: ID }, ['id']);
+const SCOPE_QUERY = object({
+    scope: { type: 'string', enum: recurrence.SCOPES },
+    occurrence: DATE
+});
+const PERIOD_QUERY = object({ from: DATE, to: DATE, today: DATE });
+
+const ROUTES = {
+    'GET /api/openapi.json': { summary: 'This API as an OpenAPI document', tag: 'Meta', auth: 'none' },
+    'GET /api/debug': { summary: 'Storage, reminder and backup settings', tag: 'Meta', auth: 'admin' },
+
+    'GET /api/auth/status': { summary: 'Whether the first account still has to be created', tag: 'Accounts', auth: 'none' },
+    'POST /api/auth/register': {
+        summary: 'Create an account (the first one, or by an admin)',
+        tag: 'Accounts',
+        auth: 'none',
+        status: 201,
+        body: object({
+            username: text(32, 3),
+            password: text(200, MIN_PASSWORD_LENGTH),
+            name: { type: 'string', maxLength: 50 },
+            setupCode: { type: 'string' }
+        }, ['username', 'password'])
+    },
+    'POST /api/auth/login': {
+        summary: 'Log in for a token',
+        tag: 'Accounts',
+        auth: 'none',
+        body: object({ username: { type: 'string' }, password: { type: 'string' } }, ['username', 'password'])
+    },
+    'GET /api/auth/me': { summary: 'The logged-in account and its feed token', tag: 'Accounts' },
+    'PUT /api/auth/password': {
+        summary: 'Change the password (other devices are logged out)',
+        tag: 'Accounts',
+        body: object({
+            currentPassword: { type: 'string' },
+            newPassword: text(200, MIN_PASSWORD_LENGTH)
+        }, ['currentPassword', 'newPassword'])
+    },
+    'GET /api/auth/users': { summary: 'Accounts on this deployment', tag: 'Accounts', auth: 'admin' },
+
+    'POST /api/reminders/run': { summary: 'Send the reminders that are due now', tag: 'Reminders', auth: 'cron' },
+    'GET /api/reminders': {
+        summary: 'Reminders that go off in the next days',
+        tag: 'Reminders',
+        query: object({ days: integer(1, MAX_REMINDER_DAYS) })
+    },
+    'GET /api/push/key': { summary: 'VAPID public key for Web Push', tag: 'Reminders' },
+    'POST /api/push/subscriptions': {
+        summary: 'Keep a browser\'s PushSubscription',
+        tag: 'Reminders',
+        status: 201,
+        body: object({
+            endpoint: { type: 'string', maxLength: 2000 },
+            keys: object({ p256dh: { type: 'string' }, auth: { type: 'string' } }, ['p256dh', 'auth'])
+        }, ['endpoint', 'keys'])
+    },
+    'DELETE /api/push/subscriptions': {
+        summary: 'Forget a browser\'s PushSubscription',
+        tag: 'Reminders',
+        body: object({ endpoint: text(2000) }, ['endpoint'])
+    },
+    'POST /api/push/test': { summary: 'Send a test notification on every channel', tag: 'Reminders' },
+
+    'GET /api/holidays/:year': {
+        summary: 'Korean public holidays of a year',
+        tag: 'Holidays',
+        auth: 'none',
+        params: object({
+            year: {
+                ...integer(lunar.FIRST_YEAR, lunar.LAST_YEAR),
+                description: '설날, 부처님오신날 and 추석 are only known for the years of the lunar table'
+            }
+        }, ['year'])
+    },
+    'GET /api/holidays.ics': { summary: 'Holidays as an iCalendar feed', tag: 'Holidays', auth: 'none', produces: 'text/calendar' },
+
+    'GET /api/calendar.ics': {
+        summary: 'Schedules as an iCalendar feed',
+        tag: 'iCalendar',
+        auth: 'feed',
+        produces: 'text/calendar',
+        query: object({ token: { type: 'string' }, tag: TAG_FILTER })
+    },
+    'POST /api/calendar/import': {
+        summary: 'Import an .ics file',
+        tag: 'iCalendar',
+        query: object({ defaultTag: { type: 'string' } }),
+        bodyType: 'text/calendar'
+    },
+
+    'GET /api/backup': { summary: 'The whole calendar as a JSON backup', tag: 'Backups' },
+    'POST /api/backup/run': { summary: 'Write an automatic backup of every calendar now', tag: 'Backups', auth: 'admin' },
+    'POST /api/backup/import': {
+        summary: 'Merge a backup into the calendar, or replace the calendar with it',
+        tag: 'Backups',
+        query: object({ mode: { type: 'string', enum: ['merge', 'replace'] } }),
+        body: object({
+            format: { type: 'string', const: 'calendar-backup' },
+            version: { type: 'integer', minimum: 1 },
+            settings: { type: 'object' },
+            days: { type: 'object', description: 'Records by YYYY-MM-DD date, as GET /api/backup writes them' }
+        }, ['format', 'version', 'days'])
+    },
+    'GET /api/backup/:file': {
+        summary: 'One kind of entry as CSV',
+        tag: 'Backups',
+        produces: 'text/csv',
+        params: object({ file: { type: 'string', enum: Object.keys(CSV_FILES).map(name => `${name}.csv`) } }, ['file'])
+    },
+
+    'POST /api/calendar/quick-add': {
+        summary: 'Add a schedule from one line of text',
+        tag: 'Schedules',
+        body: object({ text: text(200), preview: { type: 'boolean' }, today: DATE }, ['text'])
+    },
+
+    'GET /api/tags': { summary: 'Tags of the calendar', tag: 'Tags' },
+    'POST /api/tags': {
+        summary: 'Add a tag',
+        tag: 'Tags',
+        status: 201,
+        body: { ...components.Tag, required: ['name', 'color'] }
+    },
+    'PUT /api/tags/:id': { summary: 'Change a tag', tag: 'Tags', params: ID_PARAMS, body: ref('Tag') },
+    'DELETE /api/tags/:id': {
+        summary: 'Remove a tag',
+        tag: 'Tags',
+        params: ID_PARAMS,
+        query: object({ reassign: { type: 'string', description: 'Tag to move the schedules of the removed one to' } })
+    },
+
+    'GET /api/routines': { summary: 'Workout routines of the calendar', tag: 'Routines' },
+    'POST /api/routines': {
+        summary: 'Add a routine',
+        tag: 'Routines',
+        status: 201,
+        body: { ...components.Routine, required: ['name'] }
+    },
+    'PUT /api/routines/:id': { summary: 'Change a routine', tag: 'Routines', params: ID_PARAMS, body: ref('Routine') },
+    'DELETE /api/routines/:id': { summary: 'Remove a routine', tag: 'Routines', params: ID_PARAMS },
+    'GET /api/routines/:id/suggestion': {
+        summary: 'The weights to do a routine with on a date',
+        tag: 'Routines',
+        params: ID_PARAMS,
+        query: object({ date: DATE })
+    },
+
+    'GET /api/history': {
+        summary: 'Recent changes, newest first',
+        tag: 'History',
+        query: object({ limit: { type: 'integer', minimum: 1, description: `At most ${MAX_HISTORY_LIMIT} are returned` }, date: DATE })
+    },
+    'POST /api/history/undo': {
+        summary: 'Take back the last operations',
+        tag: 'History',
+        body: object({ count: integer(1, MAX_UNDO) })
+    },
+    'POST /api/history/restore': {
+        summary: 'Put a date or the whole calendar back as it was',
+        tag: 'History',
+        body: object({ at: { type: 'string', format: 'date-time' }, date: DATE }, ['at'])
+    },
+
+    'GET /api/search': {
+        summary: 'Search schedules, memos and exercise names',
+        tag: 'Search',
+        query: object({
+            q: text(200),
+            from: DATE,
+            to: DATE,
+            tag: TAG_FILTER,
+            limit: integer(1, MAX_SEARCH_RESULTS)
+        }, ['q'])
+    },
+    'GET /api/analytics/workouts': { summary: 'Workout volume, 1RM trends, records and streaks', tag: 'Analytics', query: PERIOD_QUERY },
+    'GET /api/analytics/health': { summary: 'Nutrition and body-metric trends', tag: 'Analytics', query: PERIOD_QUERY },
+
+    'GET /api/calendar/all': { summary: 'Every date of the calendar', tag: 'Calendar' },
+    'GET /api/calendar/changes': {
+        summary: 'Dates changed since a sync cursor',
+        tag: 'Calendar',
+        query: object({ since: { type: 'string', pattern: '^\\d+$', examples: ['42'] } })
+    },
+    'GET /api/calendar/range': {
+        summary: 'Dates of a range with repeating schedules expanded',
+        tag: 'Calendar',
+        query: object({ from: DATE, to: DATE }, ['from', 'to'])
+    },
+    'GET /api/agenda': {
+        summary: 'Upcoming schedules as one list',
+        tag: 'Calendar',
+        query: object({ from: DATE, today: DATE, days: integer(1, MAX_RANGE_DAYS - 1) })
+    },
+    'GET /api/calendar/:year/:month': {
+        summary: 'Dates of a month',
+        tag: 'Calendar',
+        params: object({ year: integer(1000, 9999), month: integer(1, 12) }, ['year', 'month'])
+    },
+    'GET /api/calendar/:date': { summary: 'One date', tag: 'Calendar', params: DATE_PARAMS },
+    'POST /api/calendar/batch': {
+        summary: 'Apply many operations in one atomic write',
+        tag: 'Calendar',
+        body: object({
+            operations: list(ref('BatchOperation'), MAX_BATCH_OPERATIONS, 1),
+            revisions: {
+                type: 'object',
+                additionalProperties: { type: 'integer', minimum: 0 },
+                description: 'Expected revision of each listed YYYY-MM-DD date'
+            }
+        }, ['operations'])
+    },
+
+    'POST /api/calendar/:date/schedule': {
+        summary: 'Add a schedule',
+        tag: 'Schedules',
+        params: DATE_PARAMS,
+        body: ref('NewSchedule')
+    },
+    'PUT /api/calendar/:date/schedule/:id': {
+        summary: 'Change a schedule, or one or the following occurrences of a repeating one',
+        tag: 'Schedules',
+        params: SCHEDULE_PARAMS,
+        query: SCOPE_QUERY,
+        body: ref('ScheduleChanges')
+    },
+    'POST /api/calendar/:date/schedule/:id/move': {
+        summary: 'Move a schedule to another date',
+        tag: 'Schedules',
+        params: SCHEDULE_PARAMS,
+        query: SCOPE_QUERY,
+        body: object({ to: DATE }, ['to'])
+    },
+    'DELETE /api/calendar/:date/schedule/:id': {
+        summary: 'Delete a schedule, or one or the following occurrences of a repeating one',
+        tag: 'Schedules',
+        params: SCHEDULE_PARAMS,
+        query: SCOPE_QUERY
+    },
+
+    'POST /api/calendar/:date/exercise': { summary: 'Save the exercise log of a date', tag: 'Exercise', params: DATE_PARAMS, body: ref('Exercise') },
+    'DELETE /api/calendar/:date/exercise': { summary: 'Delete the exercise log of a date', tag: 'Exercise', params: DATE_PARAMS },
+    'POST /api/calendar/:date/routine/:id': {
+        summary: 'Add a routine\'s exercises to a date',
+        tag: 'Exercise',
+        params: object({ date: DATE, id: ID }, ['date', 'id']),
+        body: object({ progression: { type: 'boolean' }, source: SOURCE })
+    },
+    'POST /api/calendar/:date/nutrition': { summary: 'Save the nutrition log of a date', tag: 'Health', params: DATE_PARAMS, body: ref('Nutrition') },
+    'DELETE /api/calendar/:date/nutrition': { summary: 'Delete the nutrition log of a date', tag: 'Health', params: DATE_PARAMS },
+    'POST /api/calendar/:date/body': { summary: 'Save the body metrics of a date', tag: 'Health', params: DATE_PARAMS, body: ref('Body') },
+    'DELETE /api/calendar/:date/body': { summary: 'Delete the body metrics of a date', tag: 'Health', params: DATE_PARAMS },
+    'POST /api/calendar/:date/memo': { summary: 'Save the memo of a date', tag: 'Memos', params: DATE_PARAMS, body: ref('Memo') },
+    'DELETE /api/calendar/:date/memo': { summary: 'Delete the memo of a date', tag: 'Memos', params: DATE_PARAMS }
+};
+
+// Problems of `req` ({ params, query, body }) against the schema of `route`.
+// Routes without an entry are a mistake in server.js, not in the request.
+function checkRequest(route, req) {
+    const schema = ROUTES[route];
+    if (!schema) {
+        throw new Error(`No request schema for ${route}`);
+    }
+    const errors = [];
+    if (schema.params) errors.push(...validate(schema.params, req.params, { field: 'params', components, coerce: true }));
+    if (schema.query) errors.push(...validate(schema.query, req.query, { field: 'query', components, coerce: true }));
+    if (schema.body && !schema.bodyType) errors.push(...validate(schema.body, req.body, { field: 'body', components }));
+    return errors;
+}
+
+// Problems of a batch operation's `data`, named from `field`
+function checkBatchData(type, action, data, field) {
+    const schema = (BATCH_DATA[type] || {})[action];
+    return schema ? validate(schema, data, { field, components }) : [];
+}
+
+module.exports = {
+    MAX_CONTENT_LENGTH,
+    MAX_MEMO_LENGTH,
+    MAX_REMINDER_DAYS,
+    MAX_RANGE_DAYS,
+    MAX_HISTORY_LIMIT,
+    MAX_UNDO,
+    MAX_SEARCH_RESULTS,
+    MAX_BATCH_OPERATIONS,
+    MIN_PASSWORD_LENGTH,
+    BATCH_TYPES,
+    BATCH_ACTIONS,
+    ROUTES,
+    components,
+    checkRequest,
+    checkBatchData
+};
@@ -0,0 +1,113 @@
+// The API as an OpenAPI 3.1 document, built from the request schemas in
+// index.js so the two can't drift apart. GET /api/openapi.json serves it;
+// CalDAV (/api/caldav/) speaks XML and is described in README.md instead.
+
+const { ROUTES, components } = require('./index');
+const { version } = require('../../package.json');
+
+const SECURITY = {
+    login: [{ bearerAuth: [] }],
+    admin: [{ bearerAuth: [] }],
+    cron: [{ bearerAuth: [] }],
+    feed: [{ bearerAuth: [] }, { feedToken: [] }],
+    none: []
+};
+
+const AUTH_NOTES = {
+    admin: 'Admins only.',
+    cron: 'An admin, or `Authorization: Bearer <REMINDER_CRON_SECRET>` from a cron job.',
+    feed: 'Calendar apps that can\'t send a login pass `?token=<feedToken>` instead.'
+};
+
+function errorResponse(description) {
+    return { description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+}
+
+// /api/calendar/:date -> /api/calendar/{date}
+function pathOf(path) {
+    return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function parametersOf(schema, location) {
+    if (!schema) return [];
+    const required = schema.required || [];
+    return Object.entries(schema.properties).map(([name, property]) => ({
+        name,
+        in: location,
+        required: location === 'path' || required.includes(name),
+        schema: property
+    }));
+}
+
+function requestBodyOf(route) {
+    if (route.bodyType) {
+        return { required: true, content: { [route.bodyType]: { schema: { type: 'string' } } } };
+    }
+    if (!route.body) return undefined;
+    return { required: true, content: { 'application/json': { schema: route.body } } };
+}
+
+function operationOf(route) {
+    const auth = route.auth || 'login';
+    const success = route.produces
+        ? { description: 'OK', content: { [route.produces]: { schema: { type: 'string' } } } }
+        : { description: 'OK', content: { 'application/json': { schema: { type: 'object' } } } };
+    const responses = { [route.status || 200]: success, 400: { $ref: '#/components/responses/Invalid' } };
+    if (auth !== 'none') responses[401] = { $ref: '#/components/responses/Unauthorized' };
+    if (auth === 'admin' || auth === 'cron') responses[403] = { $ref: '#/components/responses/Forbidden' };
+
+    const operation = {
+        summary: route.summary,
+        tags: [route.tag],
+        security: SECURITY[auth],
+        parameters: [...parametersOf(route.params, 'path'), ...parametersOf(route.query, 'query')],
+        responses
+    };
+    if (AUTH_NOTES[auth]) operation.description = AUTH_NOTES[auth];
+    const requestBody = requestBodyOf(route);
+    if (requestBody) operation.requestBody = requestBody;
+    return operation;
+}
+
+function buildDocument() {
+    const paths = {};
+    Object.entries(ROUTES).forEach(([key, route]) => {
+        const [method, path] = key.split(' ');
+        paths[pathOf(path)] = { ...paths[pathOf(path)], [method.toLowerCase()]: operationOf(route) };
+    });
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Calendar API',
+            version,
+            description: 'Errors come back as `{ error }`. Requests that don\'t fit their schema get a 400 that also '
+                + 'lists every problem as `errors: [{ field, message }]`, with fields like `body.weight[0].kg`.'
+        },
+        tags: [...new Set(Object.values(ROUTES).map(route => route.tag))].map(name => ({ name })),
+        paths,
+        components: {
+            schemas: components,
+            responses: {
+                Invalid: errorResponse('The request doesn\'t fit its schema, or the calendar refuses it'),
+                Unauthorized: errorResponse('Login required'),
+                Forbidden: errorResponse('Not allowed for this account')
+            },
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'The token of POST /api/auth/login' },
+                feedToken: { type: 'apiKey', in: 'query', name: 'token', description: 'The feedToken of GET /api/auth/me' }
+            }
+        }
+    };
+}
+
+let document = null;
+
+function openApiDocument() {
+    if (!document) {
+        document = buildDocument();
+    }
+    return document;
+}
+
+module.exports = { openApiDocument };
@@ -0,0 +1,151 @@
+// A small JSON Schema validator for the request schemas (see index.js)
+//
+// It knows the part of JSON Schema the schemas use, which OpenAPI 3.1 also
+// prints as is:
+//   type (a name or a list of names, 'integer' included), enum, const,
+//   minLength, maxLength, pattern, format: 'date' | 'date-time',
+//   minimum, maximum, items, minItems, maxItems,
+//   properties, required, additionalProperties, $ref: '#/components/schemas/<name>'
+// validate() returns every problem it finds as { field, message }, e.g.
+//   { field: 'body.weight[0].kg', message: 'must be a number from 0 to 1000' }
+// A value of the wrong type isn't looked into any further. Path and query
+// values arrive as text; with `coerce` they are read as the number or boolean
+// the schema asks for first.
+
+const recurrence = require('../lib/recurrence');
+
+const REF_PREFIX = '#/components/schemas/';
+
+const TYPE_NAMES = {
+    string: 'text',
+    number: 'a number',
+    integer: 'a whole number',
+    boolean: 'true or false',
+    array: 'a list',
+    object: 'an object',
+    null: 'null'
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function hasType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeOf(value) === type;
+}
+
+function coerceText(value, types) {
+    if (typeof value !== 'string') return value;
+    if ((types.includes('number') || types.includes('integer')) && /^-?\d+(\.\d+)?$/.test(value)) {
+        return Number(value);
+    }
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+function resolve(schema, components) {
+    if (!schema.$ref) return schema;
+    const name = schema.$ref.startsWith(REF_PREFIX) ? schema.$ref.slice(REF_PREFIX.length) : null;
+    if (!name || !components[name]) {
+        throw new Error(`Unknown schema ${schema.$ref}`);
+    }
+    return resolve(components[name], components);
+}
+
+function rangeMessage(schema, integer) {
+    const kind = integer ? 'a whole number' : 'a number';
+    const { minimum, maximum } = schema;
+    if (minimum !== undefined && maximum !== undefined) return `must be ${kind} from ${minimum} to ${maximum}`;
+    if (minimum !== undefined) return `must be ${kind} of at least ${minimum}`;
+    return `must be ${kind} of at most ${maximum}`;
+}
+
+function check(schema, value, field, options, errors) {
+    const { components, coerce } = options;
+    const resolved = resolve(schema, components);
+    const fail = message => errors.push({ field, message });
+
+    if (resolved.type) {
+        const types = [].concat(resolved.type);
+        if (coerce) value = coerceText(value, types);
+        if (!types.some(type => hasType(value, type))) {
+            return fail(`must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}`);
+        }
+    }
+    if (value === null) return;
+
+    if (resolved.const !== undefined && value !== resolved.const) {
+        return fail(`must be ${JSON.stringify(resolved.const)}`);
+    }
+    if (resolved.enum && !resolved.enum.includes(value)) {
+        return fail(`must be one of ${resolved.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (resolved.minLength !== undefined && value.length < resolved.minLength) {
+            return fail(resolved.minLength === 1 ? 'must not be empty' : `must be at least ${resolved.minLength} characters`);
+        }
+        if (resolved.maxLength !== undefined && value.length > resolved.maxLength) {
+            return fail(`must be at most ${resolved.maxLength} characters`);
+        }
+        if (resolved.pattern && !new RegExp(resolved.pattern).test(value)) {
+            return fail(resolved.examples ? `must look like ${resolved.examples[0]}` : `must match ${resolved.pattern}`);
+        }
+        if (resolved.format === 'date' && !recurrence.isDateString(value)) {
+            return fail('must be a YYYY-MM-DD date');
+        }
+        if (resolved.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+            return fail('must be a date and time, e.g. 2026-03-02T09:00:00Z');
+        }
+    }
+
+    if (typeof value === 'number'
+        && ((resolved.minimum !== undefined && value < resolved.minimum)
+            || (resolved.maximum !== undefined && value > resolved.maximum))) {
+        return fail(rangeMessage(resolved, [].concat(resolved.type).includes('integer')));
+    }
+
+    if (Array.isArray(value)) {
+        if (resolved.minItems !== undefined && value.length < resolved.minItems) {
+            return fail(resolved.minItems === 1 ? 'must not be empty' : `must have at least ${resolved.minItems} items`);
+        }
+        if (resolved.maxItems !== undefined && value.length > resolved.maxItems) {
+            return fail(`must have at most ${resolved.maxItems} items`);
+        }
+        if (resolved.items) {
+            value.forEach((item, index) => check(resolved.items, item, `${field}[${index}]`, options, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = resolved.properties || {};
+        (resolved.required || []).forEach(name => {
+            if (value[name] === undefined) errors.push({ field: `${field}.${name}`, message: 'is required' });
+        });
+        Object.keys(value).forEach(name => {
+            if (value[name] === undefined) return;
+            if (Object.prototype.hasOwnProperty.call(properties, name)) {
+                check(properties[name], value[name], `${field}.${name}`, options, errors);
+            } else if (resolved.additionalProperties === false) {
+                errors.push({ field: `${field}.${name}`, message: 'is not a known field' });
+            } else if (typeof resolved.additionalProperties === 'object') {
+                check(resolved.additionalProperties, value[name], `${field}.${name}`, options, errors);
+            }
+        });
+    }
+}
+
+// Every way `value` doesn't fit `schema`, with fields named from `field`
+function validate(schema, value, { field = 'body', components = {}, coerce = false } = {}) {
+    const errors = [];
+    check(schema, value, field, { components, coerce }, errors);
+    return errors;
+}
+
+module.exports = { validate };
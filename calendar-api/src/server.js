@@ -1,141 +1,1524 @@
 const express = require('express');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
+const { createStore, createCalendar, removeCalendar, createUserStore, DEFAULT_CALENDAR, StorageError, ConflictError } = require('./storage');
+const { HttpError, ValidationError } = require('./errors');
+const auth = require('./auth');
+const recurrence = require('./lib/recurrence');
+const koreanHolidays = require('./lib/holidays');
+const calendarSearch = require('./lib/search');
+const workouts = require('./lib/workouts');
+const health = require('./lib/health');
+const routines = require('./lib/routines');
+const calendarTags = require('./lib/tags');
+const times = require('./lib/times');
+const agenda = require('./lib/agenda');
+const reminders = require('./lib/reminders');
+const quickAdd = require('./lib/quickadd');
+const { ReminderScheduler } = require('./reminders');
+const { BackupScheduler } = require('./backup');
+const backupArchive = require('./backup/archive');
+const { CSV_FILES } = require('./backup/csv');
+const webPush = require('./reminders/webPush');
+const ics = require('./ics');
+const caldav = require('./caldav');
+const history = require('./storage/history');
+const schemas = require('./schemas');
+const { openApiDocument } = require('./schemas/openapi');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const DAV_METHODS = ['OPTIONS', 'GET', 'HEAD', 'PUT', 'DELETE', 'PROPFIND', 'PROPPATCH', 'REPORT'];
 
 // Middleware
-app.use(cors());
+// CalDAV clients look for these headers, on OPTIONS too (answered by cors)
+app.use(caldav.BASE, (req, res, next) => {
+    res.set({ DAV: '1, 3, calendar-access', Allow: DAV_METHODS.join(', ') });
+    next();
+});
+app.use(cors({ exposedHeaders: ['ETag'] }));
+// Backup archives hold the whole calendar, so they may be larger than the
+// default 100kb; the parser below skips bodies that are already read
+app.use('/api/backup', express.json({ limit: '20mb' }));
 app.use(express.json());
 
-// JSONBin.io configuration
-const JSONBIN_API_KEY = process.env.JSONBIN_API_KEY;
-const JSONBIN_BIN_ID = process.env.JSONBIN_BIN_ID;
+// Storage backend (see src/storage/index.js): accounts, and one store per calendar
+const users = createUserStore();
+const stores = new Map();
+
+function storeFor(claims) {
+    if (!stores.has(claims.calendar)) {
+        stores.set(claims.calendar, createStore(undefined, { calendar: claims.calendar, binId: claims.binId }));
+    }
+    return stores.get(claims.calendar);
+}
+
+// Sends due schedule reminders (see src/reminders/index.js)
+const reminderScheduler = new ReminderScheduler({ users, storeFor });
+
+// Writes automatic backups when BACKUP_DIR is set (see src/backup/index.js)
+const backupScheduler = new BackupScheduler({ users, storeFor });
+
+// Helper functions for the storage backend (the logged-in user's calendar)
+async function getAllData(req) {
+    return req.store.getAll();
+}
+
+// How a request's writes are recorded in the change history: who made them,
+// and one operation id for all of them so undo takes the request back whole
+function changeOf(req) {
+    if (!req.change) {
+        req.change = {
+            operation: uuidv4(),
+            user: req.user.username,
+            action: `${req.method} ${req.baseUrl}${req.path}`
+        };
+    }
+    return req.change;
+}
+
+// Read-modify-write one date. The If-Match header, when sent, must match the
+// date's current revision; otherwise the store answers with a 409.
+async function updateDay(req, date, mutate) {
+    return req.store.updateDay(date, mutate, { expectedRevision: parseIfMatch(req), change: changeOf(req) });
+}
+
+// Parse `If-Match: "12"` into 12 (undefined when the header is absent or `*`)
+function parseIfMatch(req) {
+    const header = req.get('If-Match');
+    if (!header || header.trim() === '*') return undefined;
+
+    const match = header.trim().match(/^(?:W\/)?"?(\d+)"?$/);
+    if (!match) {
+        throw new HttpError(400, 'If-Match must be a revision number, e.g. "12"');
+    }
+    return Number(match[1]);
+}
+
+// Read-modify-write a series date and one of its occurrence dates together.
+// The If-Match header applies to the date the series is stored under.
+async function updateSeries(req, date, occurrence, mutate) {
+    const { records, revisions } = await req.store.updateDays(
+        [date, occurrence],
+        current => {
+            mutate(current);
+            current[date] = dropIfEmpty(current[date]);
+            return current;
+        },
+        { expectedRevisions: { [date]: parseIfMatch(req) }, change: changeOf(req) }
+    );
+    return { days: records, revision: revisions[date] };
+}
+
+// A date with nothing left on it (no schedules, exercise, memo or logs) is
+// removed rather than kept as an empty record
+function dropIfEmpty(record) {
+    if (!record) return record;
+    const empty = Object.entries(record).every(([key, value]) => {
+        if (key === 'schedules') return !value || value.length === 0;
+        return key === 'memoUpdatedAt' || key === 'revision' || !value;
+    });
+    return empty ? null : record;
+}
+
+// Parse `?scope=this|following|all&occurrence=YYYY-MM-DD` for series edits
+function readScope(req) {
+    const { scope = 'all', occurrence } = req.query;
+    if (scope !== 'all' && !occurrence) {
+        throw invalidField('query.occurrence', `is required for scope ${scope}`);
+    }
+    return { scope, occurrence };
+}
+
+// Find the repeating schedule a scoped edit targets, or fail with 404/400
+function findRepeatingSchedule(day, id) {
+    const schedule = day && day.schedules ? day.schedules.find(s => s.id === id) : null;
+    if (!schedule) {
+        throw new HttpError(404, 'Schedule not found');
+    }
+    if (!recurrence.isRepeating(schedule)) {
+        throw new HttpError(400, 'Only repeating schedules can be changed per occurrence');
+    }
+    return schedule;
+}
+
+// Run a recurrence edit, reporting rule problems as 400
+function applySeriesChange(change) {
+    try {
+        return change();
+    } catch (error) {
+        if (error instanceof recurrence.RRuleError) {
+            throw new HttpError(400, error.message);
+        }
+        throw error;
+    }
+}
+
+function etag(revision) {
+    return `"${revision}"`;
+}
+
+// Validate recurrence fields from a request body into { repeat, rrule, exdates }.
+// `dtstart` is the date the schedule is stored under (lunar rules start from it).
+function readRecurrence(body, existing, dtstart) {
+    const { repeat, rrule, exdates } = body;
+    let resolved;
+    try {
+        resolved = repeat === undefined && rrule === undefined
+            ? { repeat: existing.repeat || 'none', rrule: existing.rrule || null }
+            : recurrence.resolveRecurrence({ repeat, rrule }, dtstart);
+    } catch (error) {
+        throw new HttpError(400, error.message);
+    }
+
+    const nextExdates = exdates !== undefined ? exdates : existing.exdates || [];
+    if (!Array.isArray(nextExdates) || !nextExdates.every(recurrence.isDateString)) {
+        throw new HttpError(400, 'exdates must be a list of YYYY-MM-DD dates');
+    }
+    return { ...resolved, exdates: [...new Set(nextExdates)].sort() };
+}
+
+// Validate allDay/startTime/endTime/timeZone (see src/lib/times.js), reporting
+// problems as a 400 on the field
+function readTimes(body, existing) {
+    try {
+        return times.readTimes(body, existing);
+    } catch (error) {
+        if (error instanceof times.TimeError) throw invalidField(`body.${error.field}`, error.problem);
+        throw error;
+    }
+}
+
+// A schedule's range (startDate..endDate, either end optional) has to run
+// forwards and include the date the schedule is stored under
+function checkRange({ startDate, endDate }, date) {
+    if (startDate && endDate && startDate > endDate) {
+        throw invalidField('body.endDate', 'must not be before startDate');
+    }
+    if (startDate && date < startDate) {
+        throw invalidField('body.startDate', `must not be after ${date}, the date the schedule is saved on`);
+    }
+    if (endDate && date > endDate) {
+        throw invalidField('body.endDate', `must not be before ${date}, the date the schedule is saved on`);
+    }
+}
+
+function hasTimes(body) {
+    return ['allDay', 'startTime', 'endTime', 'timeZone'].some(field => body[field] !== undefined);
+}
+
+// Timed schedules a saved schedule overlaps. Only a warning: the write is kept.
+async function conflictsOf(req, schedule, date) {
+    if (!times.isTimed(schedule)) return [];
+    return times.findConflicts(await getAllData(req), schedule, date);
+}
+
+// A new schedule for `date` from a body like POST /api/calendar/:date/schedule's
+function newSchedule(body, date, tags) {
+    const { content, tag, source, startDate, endDate } = body;
+    
+    if (!content || !tag) {
+        throw new HttpError(400, 'Content and tag are required');
+    }
+    
+    checkRange(body, date);
+    const { repeat, rrule, exdates } = readRecurrence(body, {}, date);
+    return {
+        id: uuidv4(),
+        content,
+        tag: checkTag(tags, tag),
+        source: source || 'monthly',
+        repeat,
+        rrule,
+        exdates,
+        startDate: startDate || null,
+        endDate: endDate || null,
+        ...readTimes(body),
+        reminders: readReminders(body.reminders),
+        createdAt: new Date().toISOString()
+    };
+}
+
+// `existing` with the fields of a PUT /api/calendar/:date/schedule/:id body
+// applied to the whole schedule. `tag` is the checked tag, if one was sent.
+function updatedSchedule(existing, body, date, tag) {
+    const { content, startDate, endDate } = body;
+    if (startDate !== undefined || endDate !== undefined) {
+        checkRange({
+            startDate: startDate !== undefined ? startDate : existing.startDate,
+            endDate: endDate !== undefined ? endDate : existing.endDate
+        }, date);
+    }
+    return {
+        ...existing,
+        ...readRecurrence(body, existing, date),
+        content: content || existing.content,
+        tag: tag || existing.tag,
+        startDate: startDate !== undefined ? startDate : existing.startDate,
+        endDate: endDate !== undefined ? endDate : existing.endDate,
+        ...readTimes(body, existing),
+        reminders: body.reminders !== undefined ? readReminders(body.reminders) : existing.reminders || [],
+        updatedAt: new Date().toISOString()
+    };
+}
+
+// The changes of a PUT body for one occurrence (scope this|following). Only
+// the content, tag, times and reminders can differ on one occurrence;
+// 'following' may also change the rule and the range of the new series.
+function occurrenceChanges(body, scope, occurrence, tag) {
+    const changes = {};
+    if (body.content) changes.content = body.content;
+    if (tag) changes.tag = tag;
+    if (hasTimes(body)) Object.assign(changes, readTimes(body));
+    if (body.reminders !== undefined) changes.reminders = readReminders(body.reminders);
+    if (scope === 'following') {
+        if (body.repeat !== undefined || body.rrule !== undefined) {
+            const { repeat, rrule } = readRecurrence(body, {}, occurrence);
+            Object.assign(changes, { repeat, rrule });
+        }
+        checkRange(body, occurrence);
+        if (body.startDate !== undefined) changes.startDate = body.startDate;
+        if (body.endDate !== undefined) changes.endDate = body.endDate;
+    }
+    return changes;
+}
+
+// An exercise log from a body like POST /api/calendar/:date/exercise's
+function newExercise(body) {
+    const { weight, nonWeight, source } = body;
+    return {
+        weight: weight || [],
+        nonWeight: nonWeight || [],
+        source: source || 'monthly',
+        updatedAt: new Date().toISOString()
+    };
+}
+
+// Add a schedule on `date` from a body like POST /api/calendar/:date/schedule's.
+// Returns { schedule, conflicts, revision }.
+async function addSchedule(req, date, body) {
+    const schedule = newSchedule(body, date, await readTags(req));
+    
+    const { revision } = await updateDay(req, date, day => {
+        const record = day || { schedules: [], exercise: null };
+        if (!record.schedules) {
+            record.schedules = [];
+        }
+        record.schedules.push(schedule);
+        return record;
+    });
+    
+    const conflicts = await conflictsOf(req, schedule, date);
+    return { schedule, conflicts, revision };
+}
+
+// Validate a nutrition or body record (see src/lib/health.js), reporting
+// problems as 400
+function readHealth(read, body) {
+    try {
+        return read(body || {});
+    } catch (error) {
+        if (error instanceof health.HealthError) throw new HttpError(400, error.message);
+        throw error;
+    }
+}
+
+// Validate a schedule's reminders (see src/lib/reminders.js), reporting
+// problems as 400
+function readReminders(input) {
+    try {
+        return reminders.readReminders(input);
+    } catch (error) {
+        if (error instanceof reminders.ReminderError) throw new HttpError(400, error.message);
+        throw error;
+    }
+}
+
+// Workout routines of the logged-in user's calendar (see src/lib/routines.js)
+async function readRoutines(req) {
+    return routines.routinesOf(await req.store.getSettings());
+}
+
+// Validate a routine from a request body, reporting problems as 400
+function readRoutineInput(body, list, existing) {
+    try {
+        return routines.readRoutine(body || {}, list, existing);
+    } catch (error) {
+        if (error instanceof routines.RoutineError) throw new HttpError(400, error.message);
+        throw error;
+    }
+}
+
+async function findRoutineById(req, id) {
+    const routine = (await readRoutines(req)).find(r => r.id === id);
+    if (!routine) {
+        throw new HttpError(404, 'Routine not found');
+    }
+    return routine;
+}
+
+// Tags of the logged-in user's calendar (see src/lib/tags.js)
+async function readTags(req) {
+    return calendarTags.tagsOf(await req.store.getSettings());
+}
+
+// Validate a tag from a request body, reporting problems as 400
+function readTagInput(body, tags, existing) {
+    try {
+        return calendarTags.readTag(body || {}, tags, existing);
+    } catch (error) {
+        if (error instanceof calendarTags.TagError) throw new HttpError(400, error.message);
+        throw error;
+    }
+}
+
+// The stored spelling of a schedule's tag, or 400 for a tag the calendar lacks
+function checkTag(tags, name) {
+    const tag = calendarTags.findTag(tags, name);
+    if (!tag) {
+        throw new HttpError(400, `Unknown tag "${name}" (expected ${tags.map(t => t.name).join(', ')})`);
+    }
+    return tag.name;
+}
+
+// Move every schedule tagged `from` to `to` and change the tag list with
+// mutateSettings, all in one atomic write
+async function retagSchedules(req, from, to, mutateSettings) {
+    const allData = from === to ? {} : await getAllData(req);
+    const dates = Object.keys(allData).filter(date => calendarTags.recordUsesTag(allData[date], from));
+    const { records, revision } = await req.store.updateDays(dates, current => {
+        dates.forEach(date => {
+            if (current[date]) calendarTags.retagRecord(current[date], from, to);
+        });
+        return current;
+    }, { change: changeOf(req), settings: mutateSettings });
+    return { days: records, revision };
+}
+
+// Check the params, query and body of a request against its route's schema
+// (see src/schemas/index.js) before the route runs
+function checkRequest(req, res, next) {
+    const method = req.method === 'HEAD' ? 'GET' : req.method;
+    const errors = schemas.checkRequest(`${method} ${req.route.path}`, req);
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+    next();
+}
+
+// A 400 about one field of a request, shaped like the schema problems
+function invalidField(field, message) {
+    return new ValidationError([{ field, message }]);
+}
+
+// Forward rejected promises from async route handlers to the error handler
+function asyncRoute(handler) {
+    return (req, res, next) => {
+        Promise.resolve(handler(req, res, next)).catch(next);
+    };
+}
+
+// The account a login token (from POST /api/auth/login) belongs to, or null
+// when the account was deleted or its password changed since
+async function userOfToken(token) {
+    const claims = auth.verifyToken(token);
+    if (!claims) return null;
+    const user = (await users.list()).find(u => u.id === claims.sub);
+    return user && auth.isCurrentToken(claims, user) ? user : null;
+}
+
+// Claims of the login token sent as `Authorization: Bearer ...`, as the
+// account is now
+async function readLogin(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    const user = match && await userOfToken(match[1]);
+    if (!user) {
+        throw new HttpError(401, 'Login required');
+    }
+    return auth.tokenClaims(user);
+}
+
+function checkAdmin(claims) {
+    if (claims.role !== 'admin') {
+        throw new HttpError(403, 'Only an admin can do this');
+    }
+}
+
+// Require a login and use that user's calendar
+const requireAuth = asyncRoute(async (req, res, next) => {
+    req.user = await readLogin(req);
+    req.store = storeFor(req.user);
+    next();
+});
+
+function requireAdmin(req, res, next) {
+    checkAdmin(req.user);
+    next();
+}
+
+// Account record of the logged-in user
+async function findUser(req) {
+    const user = (await users.list()).find(u => u.id === req.user.sub);
+    if (!user) {
+        throw new HttpError(401, 'Account no longer exists');
+    }
+    return user;
+}
+
+// Calendar apps subscribe with ?token=<feedToken> instead of a login token
+const requireFeedToken = asyncRoute(async (req, res, next) => {
+    if (!req.query.token) {
+        return requireAuth(req, res, next);
+    }
+    const user = (await users.list()).find(u => auth.safeEqual(u.feedToken, req.query.token));
+    if (!user) {
+        throw new HttpError(401, 'Unknown feed token');
+    }
+    req.user = auth.tokenClaims(user);
+    req.store = storeFor(req.user);
+    next();
+});
+
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+const { MIN_PASSWORD_LENGTH } = schemas;
+
+function readCredentials(body) {
+    const username = String(body.username || '').trim().toLowerCase();
+    const password = String(body.password || '');
+    if (!USERNAME_PATTERN.test(username)) {
+        throw new HttpError(400, 'username must be 3-32 letters, digits, ".", "_" or "-"');
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        throw new HttpError(400, `password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    return { username, password };
+}
+
+// Routes
+
+// The request schemas as an OpenAPI document (see src/schemas/openapi.js)
+app.get('/api/openapi.json', checkRequest, (req, res) => {
+    res.json(openApiDocument());
+});
+
+// Debug: Check storage configuration
+app.get('/api/debug', requireAuth, requireAdmin, checkRequest, (req, res) => {
+    res.json({
+        calendar: req.store.describe(),
+        users: users.describe(),
+        reminders: reminderScheduler.describe(),
+        backups: backupScheduler.describe()
+    });
+});
+
+// The admin account AUTH_ADMIN_USERNAME / AUTH_ADMIN_PASSWORD describe, if set.
+// Logging in with them creates it when there are no accounts yet.
+function envAdmin() {
+    const username = String(process.env.AUTH_ADMIN_USERNAME || '').trim().toLowerCase();
+    const password = process.env.AUTH_ADMIN_PASSWORD || '';
+    return username && password ? { username, password } : null;
+}
+
+// Whether the first account still has to be created, and how
+app.get('/api/auth/status', checkRequest, asyncRoute(async (req, res) => {
+    const hasUsers = (await users.list()).length > 0;
+    res.json({
+        hasUsers,
+        setupCodeRequired: !hasUsers && !!process.env.AUTH_SETUP_CODE,
+        adminFromEnv: !hasUsers && !!envAdmin()
+    });
+}));
+
+// Whether an account can still be added to the list
+function checkNewAccount(list, { username, isFirst }) {
+    if (list.some(u => u.username === username)) {
+        throw new HttpError(409, `${username} is already taken`);
+    }
+    if (isFirst && list.length > 0) {
+        throw new HttpError(409, 'The first account was already created');
+    }
+}
+
+// Create an account. The first one becomes the admin and owns the calendar
+// that existed before accounts; after that only an admin can add people, each
+// with an empty calendar of their own.
+async function addAccount({ username, password, name, isFirst }) {
+    // Check before making storage for the calendar, and again under the lock
+    // in case someone else registered meanwhile
+    checkNewAccount(await users.list(), { username, isFirst });
+    
+    const id = uuidv4();
+    const calendar = isFirst ? DEFAULT_CALENDAR : id;
+    const storage = await createCalendar(undefined, calendar);
+    const user = {
+        id,
+        username,
+        name,
+        role: isFirst ? 'admin' : 'member',
+        calendar,
+        ...storage,
+        passwordHash: await auth.hashPassword(password),
+        feedToken: auth.newFeedToken(),
+        createdAt: new Date().toISOString()
+    };
+    
+    try {
+        await users.update(list => {
+            checkNewAccount(list, { username, isFirst });
+            return [...list, user];
+        });
+    } catch (error) {
+        await removeCalendar(undefined, storage).catch(cleanup => {
+            console.error(`Could not remove the calendar storage of ${username}:`, cleanup.message);
+        });
+        throw error;
+    }
+    return user;
+}
+
+// Whoever creates the first account takes over the calendar data already on
+// the server, so it needs AUTH_SETUP_CODE; without one (or an admin from
+// AUTH_ADMIN_USERNAME) nobody can claim it by registering
+app.post('/api/auth/register', checkRequest, asyncRoute(async (req, res) => {
+    const { username, password } = readCredentials(req.body);
+    const name = String(req.body.name || '').trim() || username;
+    const isFirst = (await users.list()).length === 0;
+    
+    if (isFirst) {
+        const setupCode = process.env.AUTH_SETUP_CODE;
+        if (!setupCode) {
+            throw new HttpError(403, envAdmin()
+                ? 'Log in as AUTH_ADMIN_USERNAME to create the first account'
+                : 'Set AUTH_SETUP_CODE (or AUTH_ADMIN_USERNAME and AUTH_ADMIN_PASSWORD) on the server to create the first account');
+        }
+        if (!auth.safeEqual(req.body.setupCode || '', setupCode)) {
+            throw new HttpError(403, 'Wrong setup code');
+        }
+    } else {
+        checkAdmin(await readLogin(req));
+    }
+    
+    const user = await addAccount({ username, password, name, isFirst });
+    
+    // The first user is logged in right away; added members log in themselves
+    res.status(201).json({
+        success: true,
+        user: auth.publicUser(user),
+        token: isFirst ? auth.signToken(auth.tokenClaims(user)) : undefined
+    });
+}));
+
+app.post('/api/auth/login', checkRequest, asyncRoute(async (req, res) => {
+    const username = String(req.body.username || '').trim().toLowerCase();
+    const password = String(req.body.password || '');
+    const list = await users.list();
+    let user = list.find(u => u.username === username);
+    
+    const admin = envAdmin();
+    if (!user && list.length === 0 && admin
+        && auth.safeEqual(username, admin.username) && auth.safeEqual(password, admin.password)) {
+        user = await addAccount({ ...readCredentials({ username, password }), name: username, isFirst: true });
+    }
+    if (!user || !(await auth.verifyPassword(password, user.passwordHash))) {
+        throw new HttpError(401, 'Wrong username or password');
+    }
+    res.json({
+        token: auth.signToken(auth.tokenClaims(user)),
+        expiresIn: auth.TOKEN_TTL_SECONDS,
+        user: auth.publicUser(user)
+    });
+}));
+
+// The logged-in user, with the secret calendar feed token
+app.get('/api/auth/me', requireAuth, checkRequest, asyncRoute(async (req, res) => {
+    const user = await findUser(req);
+    res.json({ user: auth.publicUser(user), feedToken: user.feedToken });
+}));
+
+app.put('/api/auth/password', requireAuth, checkRequest, asyncRoute(async (req, res) => {
+    const { password } = readCredentials({ username: req.user.username, password: req.body.newPassword });
+    const current = (await users.list()).find(u => u.id === req.user.sub);
+    if (!current || !(await auth.verifyPassword(String(req.body.currentPassword || ''), current.passwordHash))) {
+        throw new HttpError(401, 'Wrong password');
+    }
+    
+    // A new token version logs out every other device; this one gets a new token
+    const passwordHash = await auth.hashPassword(password);
+    const list = await users.update(all => all.map(u => (
+        u.id === current.id ? { ...u, passwordHash, tokenVersion: (u.tokenVersion || 0) + 1 } : u
+    )));
+    const updated = list.find(u => u.id === current.id);
+    res.json({ success: true, token: auth.signToken(auth.tokenClaims(updated)) });
+}));
+
+// Accounts on this deployment (admin only)
+app.get('/api/auth/users', requireAuth, requireAdmin, checkRequest, asyncRoute(async (req, res) => {
+    res.json((await users.list()).map(auth.publicUser));
+}));
+
+// Send the reminders that are due now, for deployments where the scheduler
+// can't run in the background (Vercel): call it from a cron job with
+// `Authorization: Bearer <REMINDER_CRON_SECRET>`. Admins can call it too.
+app.post('/api/reminders/run', checkRequest, asyncRoute(async (req, res) => {
+    const cronSecret = process.env.REMINDER_CRON_SECRET;
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    if (!cronSecret || !match || !auth.safeEqual(match[1], cronSecret)) {
+        checkAdmin(await readLogin(req));
+    }
+    res.json(await reminderScheduler.runOnce());
+}));
+
+// Everything below reads or writes a calendar, so it needs a login
+app.use(['/api/calendar', '/api/tags', '/api/routines', '/api/history', '/api/search', '/api/agenda', '/api/analytics', '/api/reminders', '/api/push', '/api/backup'], requireAuth);
+
+// Days /api/reminders looks ahead when `days` is not given
+const DEFAULT_REMINDER_DAYS = 7;
+
+// Reminders that go off in the next `days` days, soonest first
+app.get('/api/reminders', checkRequest, asyncRoute(async (req, res) => {
+    const days = req.query.days === undefined ? DEFAULT_REMINDER_DAYS : Number(req.query.days);
+    const from = Date.now();
+    const to = from + days * 24 * 60 * 60 * 1000;
+    const items = reminders.dueReminders(await getAllData(req), { from, to });
+    res.json({
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        items: items.map(item => ({ ...item, label: reminders.formatReminder(item.reminder) }))
+    });
+}));
+
+// Key calendar.html subscribes to push messages with
+app.get('/api/push/key', checkRequest, (req, res) => {
+    const channel = reminderScheduler.channel('webPush');
+    res.json({ publicKey: channel ? channel.publicKey : null });
+});
+
+// Keep this browser's PushSubscription on the account
+app.post('/api/push/subscriptions', checkRequest, asyncRoute(async (req, res) => {
+    const subscription = webPush.readSubscription(req.body);
+    if (!subscription) {
+        throw new HttpError(400, 'A PushSubscription (endpoint, keys.p256dh, keys.auth) is required');
+    }
+    
+    await findUser(req);
+    await users.update(list => list.map(u => (
+        u.id === req.user.sub ? { ...u, pushSubscriptions: webPush.addSubscription(u.pushSubscriptions, subscription) } : u
+    )));
+    res.status(201).json({ success: true });
+}));
+
+app.delete('/api/push/subscriptions', checkRequest, asyncRoute(async (req, res) => {
+    const { endpoint } = req.body || {};
+    if (!endpoint) {
+        throw new HttpError(400, 'endpoint is required');
+    }
+    
+    await users.update(list => list.map(u => (
+        u.id === req.user.sub
+            ? { ...u, pushSubscriptions: (u.pushSubscriptions || []).filter(s => s.endpoint !== endpoint) }
+            : u
+    )));
+    res.json({ success: true });
+}));
+
+// Send a test message on every channel to check notifications arrive
+app.post('/api/push/test', checkRequest, asyncRoute(async (req, res) => {
+    const user = await findUser(req);
+    const today = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Seoul' }).format(new Date());
+    const { sent, expired } = await reminderScheduler.deliver(user, {
+        title: '알림 테스트',
+        body: '캘린더 알림이 잘 도착합니다.',
+        tag: 'test',
+        date: today
+    });
+    if (expired.length > 0) {
+        await reminderScheduler.markChecked(user.id, null, expired);
+    }
+    res.json({ success: true, sent });
+}));
+
+// Get holidays for a year (computed, see src/lib/holidays.js)
+app.get('/api/holidays/:year', checkRequest, (req, res) => {
+    res.json(koreanHolidays.holidaysOf(Number(req.params.year)));
+});
+
+// Holidays as an iCalendar feed, from last year to three years ahead
+app.get('/api/holidays.ics', checkRequest, (req, res) => {
+    const year = new Date().getFullYear();
+    const allHolidays = koreanHolidays.holidaysBetween(`${year - 1}-01-01`, `${year + 3}-12-31`);
+    res.type('text/calendar; charset=utf-8')
+        .set('Content-Disposition', 'inline; filename="holidays.ics"')
+        .send(ics.holidayFeed(allHolidays));
+});
+
+// Schedules as an iCalendar feed, optionally only some tags (?tag=Work,Birthday)
+app.get('/api/calendar.ics', requireFeedToken, checkRequest, asyncRoute(async (req, res) => {
+    const tags = [].concat(req.query.tag || [])
+        .flatMap(tag => String(tag).split(','))
+        .map(tag => tag.trim())
+        .filter(Boolean);
+    const data = await getAllData(req);
+    const birthday = (await readTags(req)).find(tag => tag.id === calendarTags.BIRTHDAY_TAG);
+    const name = tags.length > 0 ? `MY Private Playground (${tags.join(', ')})` : undefined;
+    res.type('text/calendar; charset=utf-8')
+        .set('Content-Disposition', 'inline; filename="calendar.ics"')
+        .send(ics.calendarFeed(data, { tags, name, birthdayTag: birthday ? birthday.name : null }));
+}));
+
+// Import an .ics file (raw text/calendar body). Events already imported, or
+// exported from this calendar, are recognized by UID and skipped.
+app.post('/api/calendar/import', express.text({ type: ['text/calendar', 'text/plain'], limit: '5mb' }), checkRequest, asyncRoute(async (req, res) => {
+    const tags = await readTags(req);
+    const defaultTag = req.query.defaultTag ? checkTag(tags, req.query.defaultTag) : tags[0].name;
+    
+    let parsed;
+    try {
+        parsed = ics.parseCalendar(req.body);
+    } catch (error) {
+        if (error instanceof ics.IcsError) throw new HttpError(400, error.message);
+        throw error;
+    }
+    
+    const { items, warnings } = ics.toSchedules(parsed.events, {
+        tags: tags.map(tag => tag.name),
+        defaultTag,
+        newId: uuidv4,
+        now: new Date().toISOString()
+    });
+    
+    const known = new Set();
+    Object.values(await getAllData(req)).forEach(day => {
+        (day.schedules || []).forEach(s => known.add(ics.uidOf(s)));
+    });
+    
+    const fresh = items.filter(({ schedule }) => {
+        if (!schedule.uid) return true;
+        if (known.has(schedule.uid)) return false;
+        known.add(schedule.uid);
+        return true;
+    });
+    
+    let revision = await req.store.getRevision();
+    if (fresh.length > 0) {
+        const dates = [...new Set(fresh.map(item => item.date))];
+        ({ revision } = await req.store.updateDays(dates, current => {
+            fresh.forEach(({ date, schedule }) => {
+                const record = current[date] || { schedules: [], exercise: null };
+                if (!record.schedules) {
+                    record.schedules = [];
+                }
+                record.schedules.push(schedule);
+                current[date] = record;
+            });
+            return current;
+        }, { change: changeOf(req) }));
+    }
+    
+    res.json({
+        success: true,
+        imported: fresh.length,
+        skipped: items.length - fresh.length,
+        errors: [...parsed.errors, ...warnings],
+        dates: [...new Set(fresh.map(item => item.date))].sort(),
+        revision
+    });
+}));
+
+// ----- Backups (see src/backup/) -----
+
+// Run a backup archive check, reporting problems as a 400 on the field of
+// the archive (the body) at fault
+function checkBackup(read) {
+    try {
+        return read();
+    } catch (error) {
+        if (error instanceof backupArchive.BackupError) throw invalidField(`body.${error.field}`, error.problem);
+        throw error;
+    }
+}
+
+async function exportArchive(req) {
+    const revision = await req.store.getRevision();
+    return backupArchive.createArchive({
+        days: await getAllData(req),
+        settings: await req.store.getSettings(),
+        calendar: req.user.calendar,
+        revision
+    });
+}
+
+function backupFileName(extension, name = 'calendar-backup') {
+    const today = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Seoul' }).format(new Date());
+    return `${name}-${today}.${extension}`;
+}
+
+// The whole calendar as a versioned JSON archive (see src/backup/archive.js)
+app.get('/api/backup', checkRequest, asyncRoute(async (req, res) => {
+    res.set('Content-Disposition', `attachment; filename="${backupFileName('json')}"`)
+        .json(await exportArchive(req));
+}));
+
+// Write a backup of every calendar to BACKUP_DIR now (admin only)
+app.post('/api/backup/run', requireAdmin, checkRequest, asyncRoute(async (req, res) => {
+    if (!backupScheduler.enabled()) {
+        throw new HttpError(400, 'Automatic backups are off (set BACKUP_DIR)');
+    }
+    res.json(await backupScheduler.runOnce({ force: true }));
+}));
+
+// Import an archive from GET /api/backup. ?mode=merge (the default) only adds
+// what the calendar lacks; ?mode=replace makes the calendar the archive. The
+// whole import is one operation in the change history, so one undo takes it
+// back.
+app.post('/api/backup/import', checkRequest, asyncRoute(async (req, res) => {
+    const mode = req.query.mode || 'merge';
+    const data = checkBackup(() => backupArchive.readArchive(req.body));
+    const change = changeOf(req);
+    
+    if (mode === 'replace') {
+        const { revision } = await req.store.saveAll(data.days, {
+            change,
+            settings: settings => ({ ...settings, ...data.settings })
+        });
+        const imported = {
+            ...backupArchive.countsOf(data.days),
+            tags: data.settings.tags.length,
+            routines: data.settings.routines.length
+        };
+        return res.json({ success: true, mode, imported, revision });
+    }
+    
+    // Settings and days in one write; the ids already taken are read under
+    // the same lock
+    let added;
+    let addedSettings;
+    const { revision } = await req.store.updateDays(Object.keys(data.days), (current, readAll) => {
+        const knownIds = new Set();
+        Object.values(readAll()).forEach(day => {
+            (day.schedules || []).forEach(s => knownIds.add(s.id));
+        });
+        added = backupArchive.mergeDays(current, data.days, knownIds);
+        return current;
+    }, {
+        change,
+        settings: settings => {
+            const merged = checkBackup(() => backupArchive.mergeSettings(settings, data.settings, uuidv4));
+            addedSettings = merged.added;
+            return merged.settings;
+        }
+    });
+    res.json({ success: true, mode, imported: { ...added, ...addedSettings }, revision });
+}));
+
+// One kind of entry as CSV: schedules.csv, exercise.csv or memos.csv
+app.get('/api/backup/:file', checkRequest, asyncRoute(async (req, res) => {
+    const name = req.params.file.replace(/\.csv$/, '');
+    res.type('text/csv; charset=utf-8')
+        .set('Content-Disposition', `attachment; filename="${backupFileName('csv', name)}"`)
+        .send(CSV_FILES[name](await getAllData(req)));
+}));
+
+// ----- CalDAV (see src/caldav.js) -----
+
+// Calendar apps log in with the account's username and password (Basic), or
+// with a login token like the rest of the API
+const requireDavAuth = asyncRoute(async (req, res, next) => {
+    const basic = /^Basic\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    let user = null;
+    if (basic) {
+        const decoded = Buffer.from(basic[1], 'base64').toString('utf8');
+        const colon = decoded.indexOf(':');
+        const username = decoded.slice(0, colon).trim().toLowerCase();
+        const found = colon > 0 && (await users.list()).find(u => u.username === username);
+        if (found && await auth.verifyPassword(decoded.slice(colon + 1), found.passwordHash)) {
+            user = found;
+        }
+    } else {
+        user = await userOfToken((/^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '') || [])[1] || '');
+    }
+    if (!user) {
+        res.set('WWW-Authenticate', 'Basic realm="Calendar", charset="UTF-8"');
+        throw new caldav.DavError(401, 'Login required');
+    }
+    req.user = auth.tokenClaims(user);
+    req.store = storeFor(req.user);
+    next();
+});
+
+// The logged-in user's calendar as CalDAV sees it
+async function davCalendar(req) {
+    const [allData, tags, revision] = await Promise.all([getAllData(req), readTags(req), req.store.getRevision()]);
+    const birthday = tags.find(tag => tag.id === calendarTags.BIRTHDAY_TAG);
+    return {
+        allData,
+        tags,
+        birthdayTag: birthday ? birthday.name : null,
+        events: caldav.eventsOf(allData),
+        ctag: String(revision)
+    };
+}
+
+function findDavEvent(calendar, name) {
+    return calendar.events.find(event => event.name === name) || null;
+}
 
-// Helper functions for JSONBin.io
-async function getAllData() {
-    try {
-        const response = await fetch(`https://api.jsonbin.io/v3/b/${JSONBIN_BIN_ID}/latest`, {
-            headers: {
-                'X-Master-Key': JSONBIN_API_KEY
+// A resource for propResponse(): one of the collections, or `event` from davCalendar()
+function davResource(req, kind, calendar, event) {
+    const paths = caldav.pathsOf(req.user.username);
+    const hrefs = { root: `${caldav.BASE}/`, principal: paths.principal, home: paths.home, calendar: paths.calendar };
+    return {
+        kind,
+        paths,
+        href: event ? `${paths.calendar}${event.name}` : hrefs[kind],
+        displayName: kind === 'calendar' ? 'MY Private Playground' : req.user.username,
+        ctag: calendar ? calendar.ctag : null,
+        event: event && {
+            etag: event.etag,
+            schedule: event.schedule,
+            data: () => ics.calendarObject(event.schedule, event.date, { birthdayTag: calendar.birthdayTag })
+        }
+    };
+}
+
+function sendMultistatus(res, responses) {
+    res.status(207).type('application/xml; charset=utf-8').send(caldav.multistatus(responses));
+}
+
+const davHandlers = {
+    async PROPFIND(req, res, target) {
+        const requested = caldav.readPropfind(req.body);
+        const calendar = target.kind === 'root' || target.kind === 'principal' ? null : await davCalendar(req);
+        // Depth: infinity is answered like 1
+        const depth = req.get('Depth') === '0' ? 0 : 1;
+
+        let resources;
+        if (target.kind === 'event') {
+            const event = findDavEvent(calendar, target.name);
+            if (!event) {
+                throw new caldav.DavError(404, 'Calendar object not found');
+            }
+            resources = [davResource(req, 'event', calendar, event)];
+        } else {
+            resources = [davResource(req, target.kind, calendar)];
+            if (depth === 1 && target.kind === 'home') {
+                resources.push(davResource(req, 'calendar', calendar));
             }
+            if (depth === 1 && target.kind === 'calendar') {
+                calendar.events.forEach(event => resources.push(davResource(req, 'event', calendar, event)));
+            }
+        }
+        sendMultistatus(res, resources.map(resource => caldav.propResponse(resource, requested)));
+    },
+
+    async REPORT(req, res, target) {
+        if (target.kind !== 'calendar') {
+            throw new caldav.DavError(403, 'Reports are run on the calendar collection');
+        }
+        const report = caldav.readReport(req.body);
+        const calendar = await davCalendar(req);
+
+        if (report.type === 'multiget') {
+            return sendMultistatus(res, report.hrefs.map(href => {
+                const path = caldav.resolvePath(new URL(href, 'http://localhost').pathname);
+                const event = path && path.kind === 'event' && path.username === req.user.username
+                    ? findDavEvent(calendar, path.name)
+                    : null;
+                return event
+                    ? caldav.propResponse(davResource(req, 'event', calendar, event), report.props)
+                    : caldav.statusResponse(href, '404 Not Found');
+            }));
+        }
+        const events = report.empty ? [] : calendar.events.filter(event => caldav.inRange(event, report.range, calendar.birthdayTag));
+        sendMultistatus(res, events.map(event => caldav.propResponse(davResource(req, 'event', calendar, event), report.props)));
+    },
+
+    async GET(req, res, target) {
+        const calendar = await davCalendar(req);
+        if (target.kind === 'calendar') {
+            return res.type('text/calendar; charset=utf-8')
+                .set('ETag', `"${calendar.ctag}"`)
+                .send(ics.calendarFeed(calendar.allData, { birthdayTag: calendar.birthdayTag }));
+        }
+        if (target.kind !== 'event') {
+            throw new caldav.DavError(405, 'Only the calendar and its objects can be downloaded');
+        }
+        const event = findDavEvent(calendar, target.name);
+        if (!event) {
+            throw new caldav.DavError(404, 'Calendar object not found');
+        }
+        res.type('text/calendar; charset=utf-8')
+            .set('ETag', event.etag)
+            .send(ics.calendarObject(event.schedule, event.date, { birthdayTag: calendar.birthdayTag }));
+    },
+
+    // Create or replace one schedule. Occurrences moved to another date
+    // (RECURRENCE-ID with a new start) are kept as schedules of their own, as
+    // the .ics import does.
+    async PUT(req, res, target) {
+        if (target.kind !== 'event') {
+            throw new caldav.DavError(405, 'Calendar objects can only be written inside the calendar');
+        }
+        if (!caldav.isResourceName(target.name)) {
+            throw new caldav.DavError(403, 'Names are letters, digits, "@", ".", "_" or "-" ending in .ics');
+        }
+        const calendar = await davCalendar(req);
+        const existing = findDavEvent(calendar, target.name);
+        caldav.checkPreconditions(req.headers, existing ? existing.etag : null);
+
+        const now = new Date().toISOString();
+        let parsed;
+        try {
+            parsed = ics.readCalendarObject(req.body, {
+                tags: calendar.tags.map(tag => tag.name),
+                defaultTag: calendar.tags[0].name,
+                newId: uuidv4,
+                now
+            });
+        } catch (error) {
+            if (error instanceof ics.IcsError) throw new caldav.DavError(400, error.message);
+            throw error;
+        }
+
+        const uidOwner = calendar.events.find(event => ics.uidOf(event.schedule) === parsed.uid);
+        if (uidOwner && uidOwner !== existing) {
+            throw new caldav.DavError(403, `${uidOwner.name} already has UID ${parsed.uid}`);
+        }
+        if (existing && ics.uidOf(existing.schedule) !== parsed.uid) {
+            throw new caldav.DavError(403, 'The UID of a calendar object cannot change');
+        }
+
+        const schedule = existing
+            ? caldav.mergeSchedule(existing.schedule, parsed.schedule, { birthdayTag: calendar.birthdayTag, now })
+            : { ...parsed.schedule, caldavName: target.name };
+        const others = parsed.others.map(item => ({
+            ...item,
+            replaces: calendar.events.find(event => ics.uidOf(event.schedule) === item.schedule.uid) || null
+        }));
+
+        const dates = [
+            parsed.date,
+            ...(existing ? [existing.date] : []),
+            ...others.flatMap(item => [item.date, ...(item.replaces ? [item.replaces.date] : [])])
+        ];
+        // Everything was checked against what was read above
+        const expectedRevisions = {};
+        dates.forEach(date => {
+            expectedRevisions[date] = calendar.allData[date] ? calendar.allData[date].revision : 0;
         });
-        const result = await response.json();
-        return result.record || {};
-    } catch (error) {
-        console.error('Error getting data:', error);
-        return {};
+
+        await req.store.updateDays(dates, current => {
+            const remove = (date, id) => {
+                current[date].schedules = current[date].schedules.filter(s => s.id !== id);
+                current[date] = dropIfEmpty(current[date]);
+            };
+            const add = (date, added) => {
+                const record = current[date] || { schedules: [], exercise: null };
+                record.schedules = [...(record.schedules || []), added];
+                current[date] = record;
+            };
+            if (existing) remove(existing.date, existing.schedule.id);
+            add(parsed.date, schedule);
+            others.forEach(item => {
+                if (item.replaces) remove(item.replaces.date, item.replaces.schedule.id);
+                add(item.date, item.replaces ? { ...item.schedule, id: item.replaces.schedule.id, createdAt: item.replaces.schedule.createdAt, updatedAt: now } : item.schedule);
+            });
+            return current;
+        }, { expectedRevisions, change: changeOf(req) });
+
+        // No ETag: what is stored is not byte for byte what was sent, so the
+        // client fetches it again (RFC 4791 section 5.3.4)
+        res.status(existing ? 204 : 201).end();
+    },
+
+    async DELETE(req, res, target) {
+        if (target.kind !== 'event') {
+            throw new caldav.DavError(403, 'Collections cannot be deleted');
+        }
+        const calendar = await davCalendar(req);
+        const existing = findDavEvent(calendar, target.name);
+        if (!existing) {
+            throw new caldav.DavError(404, 'Calendar object not found');
+        }
+        caldav.checkPreconditions(req.headers, existing.etag);
+
+        await req.store.updateDays([existing.date], current => {
+            const day = current[existing.date];
+            day.schedules = day.schedules.filter(s => s.id !== existing.schedule.id);
+            current[existing.date] = dropIfEmpty(day);
+            return current;
+        }, { expectedRevisions: { [existing.date]: calendar.allData[existing.date].revision }, change: changeOf(req) });
+        res.status(204).end();
+    },
+
+    // Names and colors stay as they are; every property change is refused
+    async PROPPATCH(req, res) {
+        res.status(207).type('application/xml; charset=utf-8').send(caldav.proppatchResponse(req.path, req.body));
     }
-}
+};
+davHandlers.HEAD = davHandlers.GET;
+
+// Calendar apps given only the server address look here first (RFC 6764)
+app.all('/.well-known/caldav', (req, res) => {
+    res.redirect(301, `${caldav.BASE}/`);
+});
+
+// Matched without a route param: Express would decode one before the handler
+// and answer a malformed escape like %zz with a 500 instead of 404
+app.all(new RegExp(`^${caldav.BASE}(?:/.*)?$`, 'i'), express.text({ type: () => true, limit: '5mb' }), requireDavAuth, asyncRoute(async (req, res) => {
+    const target = caldav.resolvePath(req.path);
+    if (!target) {
+        throw new caldav.DavError(404, 'Not found');
+    }
+    if (target.username && target.username !== req.user.username) {
+        throw new caldav.DavError(403, 'This is another user\'s calendar');
+    }
+    // Requests without a body leave the parsers' empty object
+    if (typeof req.body !== 'string') {
+        req.body = '';
+    }
+    const handler = davHandlers[req.method];
+    if (!handler) {
+        throw new caldav.DavError(405, `${req.method} is not supported here`);
+    }
+    await handler(req, res, target);
+}));
 
-async function saveAllData(data) {
+// Quick add: one line like "내일 오후 3시 치과 #Private" (see src/lib/quickadd.js).
+// With preview: true only the parsed fields come back and nothing is saved.
+app.post('/api/calendar/quick-add', checkRequest, asyncRoute(async (req, res) => {
+    const { text, preview } = req.body;
+    const today = req.body.today || new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Seoul' }).format(new Date());
+    const tags = await readTags(req);
+    const birthday = tags.find(tag => tag.id === calendarTags.BIRTHDAY_TAG);
+    
+    let parsed;
     try {
-        const response = await fetch(`https://api.jsonbin.io/v3/b/${JSONBIN_BIN_ID}`, {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Master-Key': JSONBIN_API_KEY
-            },
-            body: JSON.stringify(data)
+        parsed = quickAdd.parseQuickAdd(text, {
+            today,
+            tags: tags.map(tag => tag.name),
+            birthdayTag: birthday ? birthday.name : null
         });
-        return response.ok;
     } catch (error) {
-        console.error('Error saving data:', error);
-        return false;
-    }
-}
-
-// Korean holidays data
-const holidays = {
-    2024: {
-        '2024-01-01': '신정',
-        '2024-02-09': '설날 연휴',
-        '2024-02-10': '설날',
-        '2024-02-11': '설날 연휴',
-        '2024-02-12': '대체공휴일',
-        '2024-03-01': '삼일절',
-        '2024-05-05': '어린이날',
-        '2024-05-06': '대체공휴일',
-        '2024-05-15': '부처님오신날',
-        '2024-06-06': '현충일',
-        '2024-08-15': '광복절',
-        '2024-09-16': '추석 연휴',
-        '2024-09-17': '추석',
-        '2024-09-18': '추석 연휴',
-        '2024-10-03': '개천절',
-        '2024-10-09': '한글날',
-        '2024-12-25': '크리스마스'
-    },
-    2025: {
-        '2025-01-01': '신정',
-        '2025-01-28': '설날 연휴',
-        '2025-01-29': '설날',
-        '2025-01-30': '설날 연휴',
-        '2025-03-01': '삼일절',
-        '2025-03-03': '대체공휴일',
-        '2025-05-05': '어린이날',
-        '2025-05-06': '부처님오신날',
-        '2025-06-06': '현충일',
-        '2025-08-15': '광복절',
-        '2025-10-03': '개천절',
-        '2025-10-05': '추석 연휴',
-        '2025-10-06': '추석',
-        '2025-10-07': '추석 연휴',
-        '2025-10-08': '대체공휴일',
-        '2025-10-09': '한글날',
-        '2025-12-25': '크리스마스'
-    },
-    2026: {
-        '2026-01-01': '신정',
-        '2026-02-16': '설날 연휴',
-        '2026-02-17': '설날',
-        '2026-02-18': '설날 연휴',
-        '2026-03-01': '삼일절',
-        '2026-03-02': '대체공휴일',
-        '2026-05-05': '어린이날',
-        '2026-05-24': '부처님오신날',
-        '2026-05-25': '대체공휴일',
-        '2026-06-06': '현충일',
-        '2026-08-15': '광복절',
-        '2026-08-17': '대체공휴일',
-        '2026-09-24': '추석 연휴',
-        '2026-09-25': '추석',
-        '2026-09-26': '추석 연휴',
-        '2026-10-03': '개천절',
-        '2026-10-05': '대체공휴일',
-        '2026-10-09': '한글날',
-        '2026-12-25': '크리스마스'
+        if (error instanceof quickAdd.QuickAddError) throw new HttpError(400, error.message);
+        throw error;
     }
-};
+    if (preview) {
+        return res.json({ parsed });
+    }
+    
+    const { date, tokens, unknownTags, ...fields } = parsed;
+    const { schedule, conflicts, revision } = await addSchedule(req, date, fields);
+    res.set('ETag', etag(revision)).json({ success: true, date, schedule, conflicts, parsed, revision });
+}));
 
-// Routes
+// Tags of the calendar, in the order the app shows them
+app.get('/api/tags', checkRequest, asyncRoute(async (req, res) => {
+    res.json({ tags: await readTags(req) });
+}));
 
-// Debug: Check env vars
-app.get('/api/debug', (req, res) => {
-    res.json({
-        hasApiKey: !!JSONBIN_API_KEY,
-        hasBinId: !!JSONBIN_BIN_ID,
-        binIdLength: JSONBIN_BIN_ID ? JSONBIN_BIN_ID.length : 0
+// Add a tag ({ name, color: '#rrggbb', icon })
+app.post('/api/tags', checkRequest, asyncRoute(async (req, res) => {
+    let tag;
+    await req.store.updateSettings(settings => {
+        const tags = calendarTags.tagsOf(settings);
+        tag = { id: uuidv4(), ...readTagInput(req.body, tags) };
+        return { ...settings, tags: [...tags, tag] };
+    }, { change: changeOf(req) });
+    res.status(201).json({ success: true, tag });
+}));
+
+// Change a tag. Renaming it re-tags its schedules in the same write.
+app.put('/api/tags/:id', checkRequest, asyncRoute(async (req, res) => {
+    const { id } = req.params;
+    const tags = await readTags(req);
+    const existing = tags.find(tag => tag.id === id);
+    if (!existing) {
+        throw new HttpError(404, 'Tag not found');
+    }
+    const changes = readTagInput(req.body, tags, existing);
+    
+    let tag;
+    const { days, revision } = await retagSchedules(req, existing.name, changes.name, settings => {
+        const tags = calendarTags.tagsOf(settings);
+        const index = tags.findIndex(t => t.id === id);
+        if (index === -1) {
+            throw new HttpError(404, 'Tag not found');
+        }
+        if (tags[index].name !== existing.name) {
+            throw new HttpError(409, 'The tag was renamed meanwhile; try again');
+        }
+        tag = { ...tags[index], ...readTagInput(req.body, tags, tags[index]) };
+        return { ...settings, tags: tags.map((t, i) => (i === index ? tag : t)) };
     });
-});
+    
+    res.set('ETag', etag(revision)).json({ success: true, tag, days, revision });
+}));
 
-// Get holidays for a year
-app.get('/api/holidays/:year', (req, res) => {
-    const year = parseInt(req.params.year);
-    res.json(holidays[year] || {});
-});
+// Remove a tag. A tag still in use needs ?reassign=<other tag>, which moves
+// its schedules there.
+app.delete('/api/tags/:id', checkRequest, asyncRoute(async (req, res) => {
+    const { id } = req.params;
+    const tags = await readTags(req);
+    const existing = tags.find(tag => tag.id === id);
+    if (!existing) {
+        throw new HttpError(404, 'Tag not found');
+    }
+    if (tags.length === 1) {
+        throw new HttpError(400, 'A calendar needs at least one tag');
+    }
+    
+    const withoutTag = settings => ({
+        ...settings,
+        tags: calendarTags.tagsOf(settings).filter(tag => tag.id !== id)
+    });
+    let result;
+    if (req.query.reassign) {
+        const target = checkTag(tags.filter(tag => tag.id !== id), req.query.reassign);
+        result = await retagSchedules(req, existing.name, target, withoutTag);
+    } else {
+        const allData = await getAllData(req);
+        if (Object.keys(allData).some(date => calendarTags.recordUsesTag(allData[date], existing.name))) {
+            throw new HttpError(409, `Tag "${existing.name}" is still used; pass ?reassign=<tag> to move its schedules`);
+        }
+        await req.store.updateSettings(withoutTag, { change: changeOf(req) });
+        result = { days: {}, revision: await req.store.getRevision() };
+    }
+    
+    res.set('ETag', etag(result.revision)).json({ success: true, ...result });
+}));
+
+// Workout routines of the calendar
+app.get('/api/routines', checkRequest, asyncRoute(async (req, res) => {
+    res.json({ routines: await readRoutines(req) });
+}));
+
+// Add a routine ({ name, weight: [{ type, kg, sets, reps }], nonWeight: [{ type, duration }], increment })
+app.post('/api/routines', checkRequest, asyncRoute(async (req, res) => {
+    let routine;
+    await req.store.updateSettings(settings => {
+        const list = routines.routinesOf(settings);
+        routine = { id: uuidv4(), ...readRoutineInput(req.body, list) };
+        return { ...settings, routines: [...list, routine] };
+    }, { change: changeOf(req) });
+    res.status(201).json({ success: true, routine });
+}));
+
+// Change a routine; fields left out keep their value
+app.put('/api/routines/:id', checkRequest, asyncRoute(async (req, res) => {
+    const { id } = req.params;
+    let routine;
+    await req.store.updateSettings(settings => {
+        const list = routines.routinesOf(settings);
+        const index = list.findIndex(r => r.id === id);
+        if (index === -1) {
+            throw new HttpError(404, 'Routine not found');
+        }
+        routine = { id, ...readRoutineInput(req.body, list, list[index]) };
+        return { ...settings, routines: list.map((r, i) => (i === index ? routine : r)) };
+    }, { change: changeOf(req) });
+    res.json({ success: true, routine });
+}));
+
+app.delete('/api/routines/:id', checkRequest, asyncRoute(async (req, res) => {
+    const { id } = req.params;
+    await findRoutineById(req, id);
+    await req.store.updateSettings(settings => ({
+        ...settings,
+        routines: routines.routinesOf(settings).filter(r => r.id !== id)
+    }), { change: changeOf(req) });
+    res.json({ success: true });
+}));
+
+// The weights to do a routine with on ?date= (default today), worked out
+// from the last session of each of its exercises
+app.get('/api/routines/:id/suggestion', checkRequest, asyncRoute(async (req, res) => {
+    const date = req.query.date || new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Seoul' }).format(new Date());
+    const routine = await findRoutineById(req, req.params.id);
+    res.json(routines.suggest(routine, await getAllData(req), date));
+}));
+
+// Change history (see src/storage/history.js)
+const DEFAULT_HISTORY_LIMIT = 50;
+const { MAX_HISTORY_LIMIT } = schemas;
+
+// Write back what history.revert() worked out, as one operation of its own
+// (so an undo can be undone too)
+async function writeRevert(req, { days, revisions, settings }) {
+    const dates = Object.keys(days);
+    let result = { days: {}, revision: await req.store.getRevision() };
+    if (dates.length > 0) {
+        const { records, revision } = await req.store.updateDays(dates, current => {
+            dates.forEach(date => {
+                current[date] = days[date];
+            });
+            return current;
+        }, { expectedRevisions: revisions, change: changeOf(req) });
+        result = { days: records, revision };
+    }
+    if (settings !== undefined) {
+        await req.store.updateSettings(() => settings, { change: changeOf(req) });
+    }
+    return { ...result, settings: settings !== undefined };
+}
+
+// Recent operations, newest first. ?date= keeps the ones that changed that date.
+app.get('/api/history', checkRequest, asyncRoute(async (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT);
+    const { date } = req.query;
+    const { entries, trimmedAt } = await req.store.getHistory();
+    const operations = history.groupOperations(entries)
+        .filter(operation => !date || operation.changes.some(change => change.date === date));
+    res.json({ operations: operations.slice(0, limit), trimmedAt });
+}));
+
+// Take back the last `count` operations ({ count: 1 } by default)
+app.post('/api/history/undo', checkRequest, asyncRoute(async (req, res) => {
+    const count = req.body.count === undefined ? 1 : req.body.count;
+    const { entries } = await req.store.getHistory();
+    const undone = history.groupOperations(entries).slice(0, count).map(operation => operation.id);
+    if (undone.length === 0) {
+        throw new HttpError(400, 'Nothing to undo');
+    }
+    const taken = entries.filter(entry => undone.includes(history.operationOf(entry)));
+    
+    const result = await writeRevert(req, history.revert(taken));
+    res.set('ETag', etag(result.revision)).json({ success: true, undone, ...result });
+}));
+
+// Put one date ({ date }) or the whole calendar back as it was at `at`
+app.post('/api/history/restore', checkRequest, asyncRoute(async (req, res) => {
+    const { date } = req.body;
+    const at = new Date(req.body.at).toISOString();
+    const { entries, trimmedAt } = await req.store.getHistory({ since: at });
+    if (trimmedAt && at < trimmedAt) {
+        throw new HttpError(400, `History before ${trimmedAt} is no longer kept`);
+    }
+    
+    const result = await writeRevert(req, history.revert(entries, { date }));
+    res.set('ETag', etag(result.revision)).json({ success: true, at, ...result });
+}));
+
+// Search schedules, memos and exercise names (see src/lib/search.js)
+app.get('/api/search', checkRequest, asyncRoute(async (req, res) => {
+    const query = calendarSearch.normalize(req.query.q || '').trim();
+    const { from, to } = req.query;
+    const tags = [].concat(req.query.tag || [])
+        .flatMap(tag => String(tag).split(','))
+        .map(tag => tag.trim())
+        .filter(Boolean);
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    
+    // Text of only spaces is left empty once normalized
+    if (!query) {
+        throw invalidField('query.q', 'must not be empty');
+    }
+    
+    const allData = await getAllData(req);
+    res.json({ query, ...calendarSearch.search(allData, { query, tags, from, to, limit }) });
+}));
+
+// Workout analytics: volume per week/month and exercise, estimated 1RM trends,
+// personal records, muscle group frequency and streaks (see src/lib/workouts.js)
+app.get('/api/analytics/workouts', checkRequest, asyncRoute(async (req, res) => {
+    const { from, to } = req.query;
+    // The calendar is kept in Korean dates; `today` decides whether a streak is still going
+    const today = req.query.today || new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Seoul' }).format(new Date());
+    
+    if (from && to && from > to) {
+        throw invalidField('query.from', 'must not be after to');
+    }
+    
+    const allData = await getAllData(req);
+    res.json(workouts.analyze(allData, { from, to, today }));
+}));
+
+// Nutrition and body-metric averages per week/month next to the workout
+// volume of the same periods (see src/lib/health.js)
+app.get('/api/analytics/health', checkRequest, asyncRoute(async (req, res) => {
+    const { from, to } = req.query;
+    const today = req.query.today || new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Seoul' }).format(new Date());
+    
+    if (from && to && from > to) {
+        throw invalidField('query.from', 'must not be after to');
+    }
+    
+    const allData = await getAllData(req);
+    res.json(health.trends(allData, { from, to, today }));
+}));
 
 // Get all calendar data
-app.get('/api/calendar/all', async (req, res) => {
-    const data = await getAllData();
+app.get('/api/calendar/all', checkRequest, asyncRoute(async (req, res) => {
+    const data = await getAllData(req);
     res.json(data);
-});
+}));
+
+// Dates changed since a sync cursor (the `cursor` of an earlier response):
+// { cursor, full, days, settings }. `days` maps each changed date to its
+// record, or null when it was deleted; `settings` says the tags changed.
+// Without `since`, or when the history no longer reaches back to it, every
+// date comes back with full: true and the client replaces its copy.
+app.get('/api/calendar/changes', checkRequest, asyncRoute(async (req, res) => {
+    const { since } = req.query;
+    
+    // History first: a write landing between the two reads is sent again
+    // next time rather than missed
+    const after = since === undefined ? Number.MAX_SAFE_INTEGER : Number(since);
+    const { entries, lastId } = await req.store.getHistory({ after });
+    const changed = since === undefined ? null : history.changesAfter(entries, after, lastId);
+    const allData = await getAllData(req);
+    
+    if (!changed) {
+        return res.json({ cursor: lastId, full: true, days: allData, settings: true });
+    }
+    const days = {};
+    changed.dates.forEach(date => {
+        days[date] = allData[date] || null;
+    });
+    res.json({ cursor: lastId, full: false, days, settings: changed.settings });
+}));
+
+// Longest span /api/calendar/range will expand in one request
+const { MAX_RANGE_DAYS } = schemas;
+
+// Get calendar data for a date range with repeating schedules expanded
+app.get('/api/calendar/range', checkRequest, asyncRoute(async (req, res) => {
+    const { from, to } = req.query;
+    
+    if (from > to) {
+        throw invalidField('query.from', 'must not be after to');
+    }
+    if (recurrence.daysBetween(from, to) >= MAX_RANGE_DAYS) {
+        throw invalidField('query.to', `must be less than ${MAX_RANGE_DAYS} days after from`);
+    }
+    
+    const allData = await getAllData(req);
+    res.json(recurrence.expandRange(allData, from, to));
+}));
+
+// Days /api/agenda lists when `days` is not given
+const DEFAULT_AGENDA_DAYS = 30;
+
+// Schedules from `from` (today by default) for `days` days as one list,
+// soonest first, with D-day counts and birthday ages (see src/lib/agenda.js)
+app.get('/api/agenda', checkRequest, asyncRoute(async (req, res) => {
+    const today = req.query.today || new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Seoul' }).format(new Date());
+    const from = req.query.from || today;
+    const days = req.query.days === undefined ? DEFAULT_AGENDA_DAYS : Number(req.query.days);
+    const to = recurrence.addDays(from, days - 1);
+    const birthday = (await readTags(req)).find(tag => tag.id === calendarTags.BIRTHDAY_TAG);
+    const items = agenda.agendaItems(await getAllData(req), {
+        from,
+        to,
+        today,
+        birthdayTag: birthday ? birthday.name : null
+    });
+    res.json({ from, to, today, items });
+}));
 
 // Get calendar data for a month
-app.get('/api/calendar/:year/:month', async (req, res) => {
+app.get('/api/calendar/:year/:month', checkRequest, asyncRoute(async (req, res) => {
     const { year, month } = req.params;
-    const allData = await getAllData();
+    const allData = await getAllData(req);
     const prefix = `${year}-${month.toString().padStart(2, '0')}`;
     
     const monthData = {};
@@ -146,171 +1529,495 @@ app.get('/api/calendar/:year/:month', async (req, res) => {
     });
     
     res.json(monthData);
-});
+}));
 
 // Get calendar data for a specific date
-app.get('/api/calendar/:date', async (req, res) => {
+app.get('/api/calendar/:date', checkRequest, asyncRoute(async (req, res) => {
     const { date } = req.params;
-    const allData = await getAllData();
-    res.json(allData[date] || {});
-});
+    const { record, revision } = await req.store.getDay(date);
+    res.set('ETag', etag(revision)).json(record || {});
+}));
 
 // Add schedule
-app.post('/api/calendar/:date/schedule', async (req, res) => {
-    const { date } = req.params;
-    const { content, tag, source, repeat, startDate, endDate } = req.body;
-    
-    if (!content || !tag) {
-        return res.status(400).json({ error: 'Content and tag are required' });
-    }
-    
-    const allData = await getAllData();
+app.post('/api/calendar/:date/schedule', checkRequest, asyncRoute(async (req, res) => {
+    const { schedule, conflicts, revision } = await addSchedule(req, req.params.date, req.body);
+    res.set('ETag', etag(revision)).json({ success: true, schedule, conflicts, revision });
+}));
+
+// Update schedule
+app.put('/api/calendar/:date/schedule/:id', checkRequest, asyncRoute(async (req, res) => {
+    const { date, id } = req.params;
+    const { scope, occurrence } = readScope(req);
+    const tag = req.body.tag ? checkTag(await readTags(req), req.body.tag) : undefined;
     
-    if (!allData[date]) {
-        allData[date] = { schedules: [], exercise: null };
+    if (scope !== 'all') {
+        const changes = occurrenceChanges(req.body, scope, occurrence, tag);
+        
+        let schedule;
+        const { days, revision } = await updateSeries(req, date, occurrence, current => {
+            findRepeatingSchedule(current[date], id);
+            schedule = applySeriesChange(() => recurrence.editOccurrence(current, {
+                date,
+                id,
+                scope,
+                occurrence,
+                changes,
+                newId: uuidv4(),
+                now: new Date().toISOString()
+            }));
+        });
+        
+        // One edited occurrence is checked on its own date, not as the series
+        const checked = scope === 'this'
+            ? { ...recurrence.occurrenceOf(schedule, date, occurrence), repeat: 'none', rrule: null }
+            : schedule;
+        const conflicts = await conflictsOf(req, checked, occurrence);
+        return res.set('ETag', etag(revision)).json({ success: true, schedule, conflicts, days, revision });
     }
     
-    if (!allData[date].schedules) {
-        allData[date].schedules = [];
-    }
+    let schedule;
+    const { revision } = await updateDay(req, date, day => {
+        const scheduleIdx = day && day.schedules ? day.schedules.findIndex(s => s.id === id) : -1;
+        if (scheduleIdx === -1) {
+            throw new HttpError(404, 'Schedule not found');
+        }
+        
+        schedule = updatedSchedule(day.schedules[scheduleIdx], req.body, date, tag);
+        day.schedules[scheduleIdx] = schedule;
+        return day;
+    });
     
-    const schedule = {
-        id: uuidv4(),
-        content,
-        tag,
-        source: source || 'monthly',
-        repeat: repeat || 'none',
-        startDate: startDate || null,
-        endDate: endDate || null,
-        createdAt: new Date().toISOString()
-    };
+    const conflicts = await conflictsOf(req, schedule, date);
+    res.set('ETag', etag(revision)).json({ success: true, schedule, conflicts, revision });
+}));
+
+// Move schedule to another date, keeping its id. `to` is the new date of the
+// schedule, or of the occurrence with ?scope=this|following (see
+// moveSchedule in src/lib/recurrence.js); ranges and repeats move along.
+app.post('/api/calendar/:date/schedule/:id/move', checkRequest, asyncRoute(async (req, res) => {
+    const { date, id } = req.params;
+    const { scope, occurrence } = readScope(req);
+    const { to } = req.body;
     
-    allData[date].schedules.push(schedule);
-    await saveAllData(allData);
+    let schedule;
+    const { days, revision } = await updateSeries(req, date, to, current => {
+        const day = current[date];
+        if (!day || !day.schedules || !day.schedules.some(s => s.id === id)) {
+            throw new HttpError(404, 'Schedule not found');
+        }
+        schedule = applySeriesChange(() => recurrence.moveSchedule(current, {
+            date,
+            id,
+            to,
+            scope,
+            occurrence,
+            newId: uuidv4(),
+            now: new Date().toISOString()
+        }));
+    });
     
-    res.json({ success: true, schedule });
-});
+    const conflicts = await conflictsOf(req, schedule, to);
+    res.set('ETag', etag(revision)).json({ success: true, schedule, conflicts, days, revision });
+}));
 
-// Update schedule
-app.put('/api/calendar/:date/schedule/:id', async (req, res) => {
+// Delete schedule
+app.delete('/api/calendar/:date/schedule/:id', checkRequest, asyncRoute(async (req, res) => {
     const { date, id } = req.params;
-    const { content, tag, repeat, startDate, endDate } = req.body;
-    
-    const allData = await getAllData();
+    const { scope, occurrence } = readScope(req);
     
-    if (!allData[date] || !allData[date].schedules) {
-        return res.status(404).json({ error: 'Schedule not found' });
+    if (scope !== 'all') {
+        const { days, revision } = await updateSeries(req, date, occurrence, current => {
+            findRepeatingSchedule(current[date], id);
+            applySeriesChange(() => recurrence.deleteOccurrence(current, {
+                date,
+                id,
+                scope,
+                occurrence,
+                now: new Date().toISOString()
+            }));
+        });
+        
+        return res.set('ETag', etag(revision)).json({ success: true, days, revision });
     }
     
-    const scheduleIdx = allData[date].schedules.findIndex(s => s.id === id);
-    if (scheduleIdx === -1) {
-        return res.status(404).json({ error: 'Schedule not found' });
-    }
+    const { revision } = await updateDay(req, date, day => {
+        if (!day || !day.schedules) {
+            throw new HttpError(404, 'Schedule not found');
+        }
+        day.schedules = day.schedules.filter(s => s.id !== id);
+        return dropIfEmpty(day);
+    });
     
-    allData[date].schedules[scheduleIdx] = {
-        ...allData[date].schedules[scheduleIdx],
-        content: content || allData[date].schedules[scheduleIdx].content,
-        tag: tag || allData[date].schedules[scheduleIdx].tag,
-        repeat: repeat !== undefined ? repeat : allData[date].schedules[scheduleIdx].repeat,
-        startDate: startDate !== undefined ? startDate : allData[date].schedules[scheduleIdx].startDate,
-        endDate: endDate !== undefined ? endDate : allData[date].schedules[scheduleIdx].endDate,
-        updatedAt: new Date().toISOString()
-    };
+    res.set('ETag', etag(revision)).json({ success: true, revision });
+}));
+
+// Add/Update exercise
+app.post('/api/calendar/:date/exercise', checkRequest, asyncRoute(async (req, res) => {
+    const { date } = req.params;
+    const exercise = newExercise(req.body);
     
-    await saveAllData(allData);
-    res.json({ success: true, schedule: allData[date].schedules[scheduleIdx] });
-});
+    const { revision } = await updateDay(req, date, day => {
+        const record = day || { schedules: [], exercise: null };
+        record.exercise = exercise;
+        return record;
+    });
+    
+    res.set('ETag', etag(revision)).json({ success: true, exercise, revision });
+}));
 
-// Delete schedule
-app.delete('/api/calendar/:date/schedule/:id', async (req, res) => {
+// Delete exercise
+app.delete('/api/calendar/:date/exercise', checkRequest, asyncRoute(async (req, res) => {
+    const { date } = req.params;
+    
+    const { revision } = await updateDay(req, date, day => {
+        if (day) {
+            day.exercise = null;
+        }
+        return dropIfEmpty(day);
+    });
+    
+    res.set('ETag', etag(revision)).json({ success: true, revision });
+}));
+
+// Apply a routine to a date: its exercises, with the suggested weights unless
+// { progression: false }, are added to the date's exercise log (replacing
+// entries of the same exercises)
+app.post('/api/calendar/:date/routine/:id', checkRequest, asyncRoute(async (req, res) => {
     const { date, id } = req.params;
+    const routine = await findRoutineById(req, id);
+    const suggestion = req.body.progression === false
+        ? routines.suggest(routine, {}, date)
+        : routines.suggest(routine, await getAllData(req), date);
     
-    const allData = await getAllData();
+    let exercise;
+    const { revision } = await updateDay(req, date, day => {
+        const record = day || { schedules: [], exercise: null };
+        exercise = {
+            ...routines.applySuggestion(record.exercise, suggestion),
+            source: req.body.source || 'monthly',
+            updatedAt: new Date().toISOString()
+        };
+        record.exercise = exercise;
+        return record;
+    });
     
-    if (!allData[date] || !allData[date].schedules) {
-        return res.status(404).json({ error: 'Schedule not found' });
-    }
+    res.set('ETag', etag(revision)).json({ success: true, exercise, suggestion, revision });
+}));
+
+// Add/Update the nutrition log: { meals: [{ name, calories, protein }] }
+app.post('/api/calendar/:date/nutrition', checkRequest, asyncRoute(async (req, res) => {
+    const { date } = req.params;
     
-    allData[date].schedules = allData[date].schedules.filter(s => s.id !== id);
-    await saveAllData(allData);
+    const nutrition = {
+        ...readHealth(health.readNutrition, req.body),
+        updatedAt: new Date().toISOString()
+    };
     
-    res.json({ success: true });
-});
+    const { revision } = await updateDay(req, date, day => {
+        const record = day || { schedules: [], exercise: null };
+        record.nutrition = nutrition;
+        return record;
+    });
+    
+    res.set('ETag', etag(revision)).json({ success: true, nutrition, revision });
+}));
 
-// Add/Update exercise
-app.post('/api/calendar/:date/exercise', async (req, res) => {
+// Delete the nutrition log
+app.delete('/api/calendar/:date/nutrition', checkRequest, asyncRoute(async (req, res) => {
     const { date } = req.params;
-    const { weight, nonWeight, source } = req.body;
     
-    const allData = await getAllData();
+    const { revision } = await updateDay(req, date, day => {
+        if (day) {
+            delete day.nutrition;
+        }
+        return dropIfEmpty(day);
+    });
     
-    if (!allData[date]) {
-        allData[date] = { schedules: [], exercise: null };
-    }
+    res.set('ETag', etag(revision)).json({ success: true, revision });
+}));
+
+// Add/Update body metrics: { weight, bodyFat, sleepHours, mood }
+app.post('/api/calendar/:date/body', checkRequest, asyncRoute(async (req, res) => {
+    const { date } = req.params;
     
-    allData[date].exercise = {
-        weight: weight || [],
-        nonWeight: nonWeight || [],
-        source: source || 'monthly',
+    const body = {
+        ...readHealth(health.readBody, req.body),
         updatedAt: new Date().toISOString()
     };
     
-    await saveAllData(allData);
+    const { revision } = await updateDay(req, date, day => {
+        const record = day || { schedules: [], exercise: null };
+        record.body = body;
+        return record;
+    });
     
-    res.json({ success: true, exercise: allData[date].exercise });
-});
+    res.set('ETag', etag(revision)).json({ success: true, body, revision });
+}));
 
-// Delete exercise
-app.delete('/api/calendar/:date/exercise', async (req, res) => {
+// Delete body metrics
+app.delete('/api/calendar/:date/body', checkRequest, asyncRoute(async (req, res) => {
     const { date } = req.params;
     
-    const allData = await getAllData();
-    
-    if (allData[date]) {
-        allData[date].exercise = null;
-        await saveAllData(allData);
-    }
+    const { revision } = await updateDay(req, date, day => {
+        if (day) {
+            delete day.body;
+        }
+        return dropIfEmpty(day);
+    });
     
-    res.json({ success: true });
-});
+    res.set('ETag', etag(revision)).json({ success: true, revision });
+}));
 
 // Save/Update memo
-app.post('/api/calendar/:date/memo', async (req, res) => {
+app.post('/api/calendar/:date/memo', checkRequest, asyncRoute(async (req, res) => {
     const { date } = req.params;
     const { memo } = req.body;
     
-    const allData = await getAllData();
+    const { record, revision } = await updateDay(req, date, day => {
+        const record = day || { schedules: [], exercise: null, memo: '' };
+        record.memo = memo || '';
+        record.memoUpdatedAt = new Date().toISOString();
+        return record;
+    });
     
-    if (!allData[date]) {
-        allData[date] = { schedules: [], exercise: null, memo: '' };
-    }
+    res.set('ETag', etag(revision)).json({ success: true, memo: record.memo, revision });
+}));
+
+// Delete memo
+app.delete('/api/calendar/:date/memo', checkRequest, asyncRoute(async (req, res) => {
+    const { date } = req.params;
     
-    allData[date].memo = memo || '';
-    allData[date].memoUpdatedAt = new Date().toISOString();
+    const { revision } = await updateDay(req, date, day => {
+        if (day) {
+            day.memo = '';
+            delete day.memoUpdatedAt;
+        }
+        return dropIfEmpty(day);
+    });
     
-    await saveAllData(allData);
+    res.set('ETag', etag(revision)).json({ success: true, revision });
+}));
+
+// Batch writes: { operations: [...], revisions: { [date]: n } } applies many
+// operations in one atomic save, so either all of them are kept or none. Each
+// operation is { type, action, date, ... }:
+//   type schedule: create { data }, update { id, data, scope, occurrence },
+//                  delete { id, scope, occurrence }, move { id, to, scope, occurrence }
+//   type exercise/memo: create or update { data }, delete, move { to }
+// `data` is the body the single-date route takes. Operations run in order, so
+// a later one sees what an earlier one did. `revisions` works like If-Match
+// for the dates it lists.
+
+// What the schema can't say about a batch operation: the fields its type and
+// action need, and whether `data` fits the body of the route it stands for.
+// Problems are added to `errors`.
+function readBatchOperation(operation, index, errors) {
+    const field = `body.operations[${index}]`;
+    const { type, action, date, id, to, data = {}, scope = 'all', occurrence } = operation;
     
-    res.json({ success: true, memo: allData[date].memo });
-});
+    if (type === 'schedule' && action !== 'create' && !id) {
+        errors.push({ field: `${field}.id`, message: 'is required' });
+    }
+    if (action === 'move' && !to) {
+        errors.push({ field: `${field}.to`, message: 'is required to move' });
+    }
+    if (type === 'schedule' && action !== 'create' && scope !== 'all' && !occurrence) {
+        errors.push({ field: `${field}.occurrence`, message: `is required for scope ${scope}` });
+    }
+    errors.push(...schemas.checkBatchData(type, action, data, `${field}.data`));
+    return { index, type, action, date, id, to, data, scope, occurrence };
+}
 
-// Delete memo
-app.delete('/api/calendar/:date/memo', async (req, res) => {
-    const { date } = req.params;
+// The dates an operation reads or writes
+function batchDatesOf(operation) {
+    return [operation.date, operation.to, operation.occurrence].filter(Boolean);
+}
+
+function findSchedule(day, id) {
+    const schedule = day && day.schedules ? day.schedules.find(s => s.id === id) : null;
+    if (!schedule) {
+        throw new HttpError(404, 'Schedule not found');
+    }
+    return schedule;
+}
+
+// Apply a schedule operation to `current` (date -> record), like the
+// single-date routes do. Returns the saved schedule, if any.
+function applyScheduleOperation(current, operation, tags) {
+    const { action, date, id, to, data, scope, occurrence } = operation;
+    const now = new Date().toISOString();
+    
+    if (action === 'create') {
+        const schedule = newSchedule(data, date, tags);
+        const record = current[date] || { schedules: [], exercise: null };
+        record.schedules = [...(record.schedules || []), schedule];
+        current[date] = record;
+        return schedule;
+    }
+    if (action === 'move') {
+        findSchedule(current[date], id);
+        return applySeriesChange(() => recurrence.moveSchedule(current, { date, id, to, scope, occurrence, newId: uuidv4(), now }));
+    }
     
-    const allData = await getAllData();
+    const tag = action === 'update' && data.tag ? checkTag(tags, data.tag) : undefined;
+    if (scope !== 'all') {
+        findRepeatingSchedule(current[date], id);
+        if (action === 'delete') {
+            applySeriesChange(() => recurrence.deleteOccurrence(current, { date, id, scope, occurrence, now }));
+            return undefined;
+        }
+        const changes = occurrenceChanges(data, scope, occurrence, tag);
+        return applySeriesChange(() => recurrence.editOccurrence(current, { date, id, scope, occurrence, changes, newId: uuidv4(), now }));
+    }
     
-    if (allData[date]) {
-        allData[date].memo = '';
-        delete allData[date].memoUpdatedAt;
-        await saveAllData(allData);
+    const day = current[date];
+    if (action === 'delete') {
+        if (!day || !day.schedules) {
+            throw new HttpError(404, 'Schedule not found');
+        }
+        day.schedules = day.schedules.filter(s => s.id !== id);
+        return undefined;
     }
+    const schedule = updatedSchedule(findSchedule(day, id), data, date, tag);
+    day.schedules = day.schedules.map(s => (s.id === id ? schedule : s));
+    return schedule;
+}
+
+// Apply an exercise or memo operation to `current`. Moving one onto a date
+// that already has its own is refused rather than overwriting it.
+function applyRecordOperation(current, operation) {
+    const { type, action, date, to, data } = operation;
+    const label = type === 'exercise' ? 'Exercise log' : 'Memo';
+    const has = record => !!record && (type === 'exercise' ? !!record.exercise : !!record.memo);
+    const clear = record => {
+        if (type === 'exercise') {
+            record.exercise = null;
+        } else {
+            record.memo = '';
+            delete record.memoUpdatedAt;
+        }
+    };
+    const set = (day, value) => {
+        const record = current[day] || { schedules: [], exercise: null, memo: '' };
+        if (type === 'exercise') {
+            record.exercise = value;
+        } else {
+            record.memo = value;
+            record.memoUpdatedAt = new Date().toISOString();
+        }
+        current[day] = record;
+        return value;
+    };
     
-    res.json({ success: true });
+    if (action === 'delete') {
+        if (current[date]) clear(current[date]);
+        return undefined;
+    }
+    if (action === 'move') {
+        if (!has(current[date])) {
+            throw new HttpError(404, `${label} not found`);
+        }
+        if (to === date) {
+            return type === 'exercise' ? current[date].exercise : current[date].memo;
+        }
+        if (has(current[to])) {
+            throw new HttpError(400, `${to} already has a ${label.toLowerCase()}`);
+        }
+        const value = type === 'exercise'
+            ? { ...current[date].exercise, updatedAt: new Date().toISOString() }
+            : current[date].memo;
+        clear(current[date]);
+        return set(to, value);
+    }
+    return set(date, type === 'exercise' ? newExercise(data) : data.memo || '');
+}
+
+app.post('/api/calendar/batch', checkRequest, asyncRoute(async (req, res) => {
+    const { operations, revisions = {} } = req.body;
+    const errors = Object.keys(revisions)
+        .filter(date => !recurrence.isDateString(date))
+        .map(date => ({ field: `body.revisions.${date}`, message: 'must be a YYYY-MM-DD date' }));
+    const list = operations.map((operation, index) => readBatchOperation(operation, index, errors));
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+    const tags = await readTags(req);
+    const dates = [...new Set(list.flatMap(batchDatesOf))];
+    
+    let results;
+    const { records, revision } = await req.store.updateDays(dates, current => {
+        results = [];
+        list.forEach(operation => {
+            try {
+                const value = operation.type === 'schedule'
+                    ? applyScheduleOperation(current, operation, tags)
+                    : applyRecordOperation(current, operation);
+                results.push(value === undefined ? {} : { [operation.type]: value });
+            } catch (error) {
+                // Field errors of the single-date body point into this operation's data
+                if (error instanceof ValidationError) {
+                    throw new ValidationError(error.errors.map(({ field, message }) => ({
+                        field: field.replace(/^body\b/, `body.operations[${operation.index}].data`),
+                        message
+                    })));
+                }
+                if (error instanceof HttpError) {
+                    throw new HttpError(error.status, `operations[${operation.index}]: ${error.message}`);
+                }
+                throw error;
+            }
+        });
+        // Dates the operations emptied (a move's source, say) are removed
+        dates.forEach(date => {
+            current[date] = dropIfEmpty(current[date]);
+        });
+        return current;
+    }, { expectedRevisions: revisions, change: changeOf(req) });
+    
+    res.json({ success: true, results, days: records, revision });
+}));
+
+// Error handler
+app.use((err, req, res, next) => {
+    if (err instanceof ConflictError) {
+        return res.status(409).json({
+            error: err.message,
+            date: err.date,
+            revision: err.revision,
+            current: err.current
+        });
+    }
+    if (err instanceof ValidationError) {
+        return res.status(400).json({ error: err.message, errors: err.errors });
+    }
+    if (err instanceof HttpError) {
+        return res.status(err.status).json({ error: err.message });
+    }
+    if (err instanceof caldav.DavError) {
+        return res.status(err.status).type('text/plain; charset=utf-8').send(err.message);
+    }
+    if (err instanceof StorageError) {
+        console.error('Storage error:', err.message, err.cause || '');
+        return res.status(err.status).json({ error: 'Storage is unavailable, nothing was changed' });
+    }
+    // Bodies express.json() refused: malformed JSON (400, reported on the
+    // body like other bad requests) or too large (413)
+    if (err.type && err.expose && err.status) {
+        if (err.status === 400) {
+            const errors = [{ field: 'body', message: `is not valid JSON (${err.message})` }];
+            return res.status(400).json({ error: `body ${errors[0].message}`, errors });
+        }
+        return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Server error:', err);
+    res.status(500).json({ error: 'Internal server error' });
 });
 
 // Start server
 app.listen(PORT, () => {
     console.log(`Calendar API server running on http://localhost:${PORT}`);
+    reminderScheduler.start();
+    backupScheduler.start();
 });
 
 // Export for Vercel
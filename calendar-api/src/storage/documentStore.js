@@ -0,0 +1,308 @@
+// Shared logic for backends that keep the calendar as one JSON document
+//
+// The document is the date map the app has always used, plus a reserved
+// `_meta` key with the revision counter:
+//   { "_meta": { "revision": 12, "revisions": { "2025-12-18": 12 } },
+//     "2025-12-18": { "schedules": [...], "exercise": {...}, "memo": "" } }
+// Documents written before revisions existed load as revision 0. Calendar
+// settings (such as the tag list) sit under another reserved key, `_settings`,
+// and the change history (see history.js) under `_history`. The history lives
+// in the same document, which every write uploads again, so besides its age
+// limit it is kept to MAX_HISTORY entries and MAX_HISTORY_BYTES of JSON; the
+// newest entry stays even when it alone is larger (a whole backup import), so
+// it can still be undone.
+//
+// Every write bumps the document revision and stamps it on the dates it
+// touched. Subclasses only implement readDocument() and writeDocument(doc).
+//
+// Writes are chained inside one process. Across processes (several Vercel
+// instances on one bin) `_meta.writes` counts every save: right before
+// writing, the document is read again, and if another instance saved in
+// between the whole read-modify-write starts over on its data (so mutate
+// callbacks may run more than once), up to MAX_ATTEMPTS times and then a
+// ConflictError. Subclasses can hold a lock across that check and the write
+// with lockDocument(task); FileStore does. JSONBin has nothing to lock with
+// and can't compare and write in one step, so two saves landing in the moment
+// between the check and the write can still lose one; README.md says so.
+
+const { ConflictError } = require('./errors');
+const { withRevision, stripRevision } = require('./records');
+const { createEntry, historyCutoff } = require('./history');
+
+const META_KEY = '_meta';
+const SETTINGS_KEY = '_settings';
+const HISTORY_KEY = '_history';
+const MAX_HISTORY = 1000;
+const MAX_HISTORY_BYTES = 256 * 1024;
+const MAX_ATTEMPTS = 3;
+
+// Another process saved the document after it was loaded
+class StaleDocument extends Error {
+    constructor(revision) {
+        super('The document was saved by another process');
+        this.revision = revision;
+    }
+}
+
+class DocumentStore {
+    constructor() {
+        // Read-modify-write cycles are chained so they never interleave
+        this.queue = Promise.resolve();
+    }
+
+    exclusive(task) {
+        const run = this.queue.then(() => this.attempt(task));
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    // Run a read-modify-write again when another process saved meanwhile
+    async attempt(task) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await task();
+            } catch (error) {
+                if (!(error instanceof StaleDocument)) throw error;
+                if (attempt === MAX_ATTEMPTS) throw new ConflictError({ revision: error.revision });
+            }
+        }
+    }
+
+    async load() {
+        const raw = (await this.readDocument()) || {};
+        const {
+            [META_KEY]: meta = {},
+            [SETTINGS_KEY]: settings = {},
+            [HISTORY_KEY]: history = {},
+            ...days
+        } = raw;
+        return {
+            writes: meta.writes || 0,
+            revision: meta.revision || 0,
+            revisions: meta.revisions || {},
+            settings,
+            history: { lastId: history.lastId || 0, trimmedAt: history.trimmedAt || null, entries: history.entries || [] },
+            days
+        };
+    }
+
+    // Run `task` while other processes can't write the document
+    async lockDocument(task) {
+        return task();
+    }
+
+    // Write `doc` back, unless another process saved since it was loaded
+    async save(doc) {
+        await this.saveDocument(doc.writes, {
+            [META_KEY]: { revision: doc.revision, revisions: doc.revisions },
+            [SETTINGS_KEY]: doc.settings,
+            [HISTORY_KEY]: doc.history,
+            ...doc.days
+        });
+    }
+
+    // Write a raw document read when `_meta.writes` was `writes`, unless
+    // another process saved since. Run it inside exclusive() so a stale read
+    // starts over.
+    async saveDocument(writes, raw) {
+        await this.lockDocument(async () => {
+            const latest = ((await this.readDocument()) || {})[META_KEY] || {};
+            if ((latest.writes || 0) !== writes) {
+                throw new StaleDocument(latest.revision || 0);
+            }
+            await this.writeDocument({ ...raw, [META_KEY]: { ...raw[META_KEY], writes: writes + 1 } });
+        });
+    }
+
+    // Append a history entry for a write (nothing when it changed nothing)
+    record(doc, details) {
+        const entry = createEntry({ id: doc.history.lastId + 1, ...details });
+        if (!entry) return;
+        doc.history.lastId = entry.id;
+        doc.history.entries.push(entry);
+        this.trimHistory(doc.history);
+    }
+
+    // Drop the oldest entries until the history fits its limits
+    trimHistory(history) {
+        const cutoff = historyCutoff();
+        const sizes = history.entries.map(entry => JSON.stringify(entry).length);
+        let bytes = sizes.reduce((sum, size) => sum + size, 0);
+        let extra = 0;
+        while (extra < history.entries.length - 1
+            && (history.entries[extra].at < cutoff
+                || history.entries.length - extra > MAX_HISTORY
+                || bytes > MAX_HISTORY_BYTES)) {
+            bytes -= sizes[extra];
+            extra++;
+        }
+        if (extra > 0) {
+            history.trimmedAt = history.entries[extra - 1].at;
+            history.entries = history.entries.slice(extra);
+        }
+    }
+
+    // Every record of `doc`, with its revision
+    allDays(doc) {
+        const data = {};
+        Object.keys(doc.days).forEach(date => {
+            data[date] = withRevision(doc.days[date], doc.revisions[date] || 0);
+        });
+        return data;
+    }
+
+    async getAll() {
+        return this.allDays(await this.load());
+    }
+
+    async getRevision() {
+        const doc = await this.load();
+        return doc.revision;
+    }
+
+    async getDay(date) {
+        const doc = await this.load();
+        const revision = doc.revisions[date] || 0;
+        const record = doc.days[date] ? withRevision(doc.days[date], revision) : null;
+        return { record, revision };
+    }
+
+    async updateDay(date, mutate, { expectedRevision, change } = {}) {
+        const { records, revisions } = await this.updateDays(
+            [date],
+            current => ({ [date]: mutate(current[date]) }),
+            { expectedRevisions: { [date]: expectedRevision }, change }
+        );
+        return { record: records[date], revision: revisions[date] };
+    }
+
+    async updateDays(dates, mutate, { expectedRevisions = {}, change, settings: mutateSettings } = {}) {
+        return this.exclusive(async () => {
+            const doc = await this.load();
+            const current = {};
+            const before = {};
+
+            [...new Set(dates)].forEach(date => {
+                const revision = doc.revisions[date] || 0;
+                const record = doc.days[date] ? withRevision(doc.days[date], revision) : null;
+                const expected = expectedRevisions[date];
+                if (expected !== undefined && expected !== revision) {
+                    throw new ConflictError({ date, revision, current: record });
+                }
+                current[date] = record;
+                before[date] = JSON.stringify(doc.days[date] || null);
+            });
+
+            const next = mutate(current, () => this.allDays(doc));
+            const changed = Object.keys(current).filter(date => {
+                const record = next[date] ? stripRevision(next[date]) : null;
+                return JSON.stringify(record) !== before[date];
+            });
+            const settings = mutateSettings ? this.settingsChange(doc, mutateSettings) : null;
+
+            if (changed.length > 0 || settings) {
+                const changes = changed.map(date => ({
+                    date,
+                    before: JSON.parse(before[date]),
+                    after: next[date] ? stripRevision(next[date]) : null
+                }));
+                if (changed.length > 0) doc.revision += 1;
+                changed.forEach(date => {
+                    doc.revisions[date] = doc.revision;
+                    if (next[date]) {
+                        doc.days[date] = stripRevision(next[date]);
+                    } else {
+                        delete doc.days[date];
+                    }
+                });
+                if (settings) doc.settings = settings.after;
+                this.record(doc, { revision: doc.revision, change, changes, settings });
+                await this.save(doc);
+            }
+
+            const records = {};
+            const revisions = {};
+            Object.keys(current).forEach(date => {
+                revisions[date] = doc.revisions[date] || 0;
+                records[date] = doc.days[date] ? withRevision(doc.days[date], revisions[date]) : null;
+            });
+            return { records, revisions, revision: doc.revision };
+        });
+    }
+
+    // { before, after } of running mutate(settings) on `doc`, or null when
+    // it changed nothing
+    settingsChange(doc, mutate) {
+        const before = doc.settings;
+        const after = mutate(doc.settings);
+        return JSON.stringify(before) !== JSON.stringify(after) ? { before, after } : null;
+    }
+
+    async getSettings() {
+        const doc = await this.load();
+        return doc.settings;
+    }
+
+    async updateSettings(mutate, { change } = {}) {
+        return this.exclusive(async () => {
+            const doc = await this.load();
+            const settings = this.settingsChange(doc, mutate);
+            if (!settings) return doc.settings;
+            doc.settings = settings.after;
+            this.record(doc, { revision: doc.revision, change, settings });
+            await this.save(doc);
+            return doc.settings;
+        });
+    }
+
+    async getHistory({ since, after } = {}) {
+        const doc = await this.load();
+        const entries = doc.history.entries
+            .filter(entry => (!since || entry.at > since) && (after === undefined || entry.id > after))
+            .reverse();
+        return { entries, trimmedAt: doc.history.trimmedAt, lastId: doc.history.lastId };
+    }
+
+    async saveAll(data, { expectedRevision, change, settings: mutateSettings } = {}) {
+        return this.exclusive(async () => {
+            const doc = await this.load();
+
+            if (expectedRevision !== undefined && expectedRevision !== doc.revision) {
+                throw new ConflictError({ revision: doc.revision });
+            }
+
+            const days = {};
+            Object.keys(data).forEach(date => {
+                days[date] = stripRevision(data[date]);
+            });
+
+            const dates = new Set([...Object.keys(doc.days), ...Object.keys(days)]);
+            const changes = [];
+            dates.forEach(date => {
+                if (JSON.stringify(doc.days[date]) !== JSON.stringify(days[date])) {
+                    changes.push({ date, before: doc.days[date] || null, after: days[date] || null });
+                }
+            });
+            const settings = mutateSettings ? this.settingsChange(doc, mutateSettings) : null;
+            // Data that is already stored keeps its revision
+            if (changes.length === 0 && !settings) {
+                return { revision: doc.revision };
+            }
+
+            if (changes.length > 0) {
+                doc.revision += 1;
+                changes.forEach(({ date }) => {
+                    doc.revisions[date] = doc.revision;
+                });
+                doc.days = days;
+            }
+            if (settings) doc.settings = settings.after;
+            this.record(doc, { revision: doc.revision, change, changes, settings });
+
+            await this.save(doc);
+            return { revision: doc.revision };
+        });
+    }
+}
+
+module.exports = { DocumentStore };
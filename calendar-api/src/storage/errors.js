@@ -0,0 +1,32 @@
+// Storage errors
+//
+// StorageError is thrown when a backend cannot be read or written. Routes turn
+// it into a 503 instead of carrying on with an empty dataset, which used to let
+// the next write overwrite everything with `{}`.
+//
+// ConflictError is thrown when a write was based on an older revision than the
+// one stored, i.e. somebody else saved in between.
+
+class StorageError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = 'StorageError';
+        this.status = 503;
+        if (options.cause) this.cause = options.cause;
+    }
+}
+
+class ConflictError extends Error {
+    constructor({ date = null, revision, current = null }) {
+        super(date
+            ? `${date} was changed by someone else (current revision ${revision})`
+            : `Calendar was changed by someone else (current revision ${revision})`);
+        this.name = 'ConflictError';
+        this.status = 409;
+        this.date = date;
+        this.revision = revision;
+        this.current = current;
+    }
+}
+
+module.exports = { StorageError, ConflictError };
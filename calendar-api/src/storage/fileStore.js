@@ -0,0 +1,111 @@
+// Local JSON file storage backend
+//
+// Stores the calendar as one JSON document on disk. On first use the file is
+// seeded from src/data/calendar.json so the app can run offline with real data.
+// Saves hold `<file>.lock` (created exclusively) so several server processes
+// on one DATA_DIR take turns; a lock older than STALE_LOCK_MS is left over
+// from a crash and gets removed.
+
+const fs = require('fs');
+const path = require('path');
+const { DocumentStore } = require('./documentStore');
+const { StorageError } = require('./errors');
+
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 10 * 1000;
+const STALE_LOCK_MS = 30 * 1000;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class FileStore extends DocumentStore {
+    constructor({ filePath, seedPath }) {
+        super();
+        this.name = 'file';
+        this.filePath = filePath;
+        this.seedPath = seedPath;
+    }
+
+    async readDocument() {
+        await this.ensureFile();
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf-8');
+            return raw.trim() ? JSON.parse(raw) : {};
+        } catch (error) {
+            throw new StorageError(`Could not read ${this.filePath}`, { cause: error });
+        }
+    }
+
+    async writeDocument(data) {
+        // Write to a temp file first so a crash never leaves half a JSON document
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        try {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+            await fs.promises.rename(tmpPath, this.filePath);
+        } catch (error) {
+            throw new StorageError(`Could not write ${this.filePath}`, { cause: error });
+        }
+    }
+
+    async lockDocument(task) {
+        const lockPath = `${this.filePath}.lock`;
+        const started = Date.now();
+        let handle;
+        while (!handle) {
+            try {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                handle = await fs.promises.open(lockPath, 'wx');
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw new StorageError(`Could not lock ${this.filePath}`, { cause: error });
+                }
+                const stat = await fs.promises.stat(lockPath).catch(() => null);
+                if (stat && Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+                    await fs.promises.rm(lockPath, { force: true });
+                } else if (Date.now() - started > LOCK_TIMEOUT_MS) {
+                    throw new StorageError(`${lockPath} is held by another process`);
+                } else {
+                    await sleep(LOCK_RETRY_MS);
+                }
+            }
+        }
+        try {
+            return await task();
+        } finally {
+            await handle.close();
+            await fs.promises.rm(lockPath, { force: true });
+        }
+    }
+
+    // Requests that arrive together share one seeding write; two writes
+    // racing on the same temp file would fail
+    async ensureFile() {
+        if (fs.existsSync(this.filePath)) return;
+
+        if (!this.seeding) {
+            this.seeding = this.seedFile().finally(() => {
+                this.seeding = null;
+            });
+        }
+        await this.seeding;
+    }
+
+    async seedFile() {
+        let seed = {};
+        if (this.seedPath && fs.existsSync(this.seedPath)) {
+            seed = JSON.parse(fs.readFileSync(this.seedPath, 'utf-8'));
+        }
+        await this.writeDocument(seed);
+    }
+
+    describe() {
+        return {
+            backend: this.name,
+            filePath: this.filePath
+        };
+    }
+}
+
+module.exports = { FileStore };
@@ -0,0 +1,123 @@
+// Change history of a calendar
+//
+// Every store write that changes something appends one entry:
+//   { id, at, operation, user, action, revision,
+//     changes: [{ date, before, after }], settings: { before, after } }
+// `before`/`after` are the stored records (null when the date did not exist);
+// `settings` is only there when the write changed the calendar settings.
+// Writes made for one API request share an `operation` id, so undo takes a
+// request back as a whole. Stores keep the entries and hand them out newest
+// first; the helpers here turn them into operations and work out what undo
+// and point-in-time restore have to write back.
+
+// Entry ids count up one by one, so they double as a sync cursor: a client
+// that has seen entry N only needs the dates changed by the entries after it.
+//
+// Entries are kept for HISTORY_DAYS days (30 unless set); stores drop older
+// ones as they write new ones. Restoring to a time before what is kept fails.
+
+const HISTORY_DAYS = Number(process.env.HISTORY_DAYS || 30);
+
+// Entries written before this time (ISO) are dropped
+function historyCutoff(now = Date.now()) {
+    return new Date(now - HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// Entry for a write, or null when it changed nothing. `change` is the
+// { operation, user, action } the caller passed to the store.
+function createEntry({ id, revision, change = {}, changes = [], settings = null }) {
+    if (changes.length === 0 && !settings) return null;
+    const entry = {
+        id,
+        at: new Date().toISOString(),
+        operation: change.operation || null,
+        user: change.user || null,
+        action: change.action || null,
+        revision,
+        changes
+    };
+    if (settings) entry.settings = settings;
+    return entry;
+}
+
+// Operation an entry belongs to. Writes made without one stand alone.
+function operationOf(entry) {
+    return entry.operation || `entry-${entry.id}`;
+}
+
+// Entries (newest first) grouped by operation. Each date, and the settings,
+// appear once with the value before the first write and after the last one.
+function groupOperations(entries) {
+    const operations = [];
+    const byId = new Map();
+    entries.forEach(entry => {
+        const key = operationOf(entry);
+        let operation = byId.get(key);
+        if (!operation) {
+            operation = {
+                id: key,
+                at: entry.at,
+                user: entry.user,
+                action: entry.action,
+                revision: entry.revision,
+                changes: []
+            };
+            byId.set(key, operation);
+            operations.push(operation);
+        }
+        // Older entries come later: they hold the earlier `before`
+        entry.changes.forEach(({ date, before, after }) => {
+            const existing = operation.changes.find(c => c.date === date);
+            if (existing) {
+                existing.before = before;
+            } else {
+                operation.changes.push({ date, before, after });
+            }
+        });
+        if (entry.settings) {
+            operation.settings = operation.settings
+                ? { ...operation.settings, before: entry.settings.before }
+                : { ...entry.settings };
+        }
+    });
+    operations.forEach(operation => operation.changes.sort((a, b) => a.date.localeCompare(b.date)));
+    return operations;
+}
+
+// What to write to take back `entries` (newest first, the latest writes of
+// the calendar): every date they touched as it was before the oldest of
+// them. `revisions` are the date revisions the write expects, so anything
+// saved in between is a conflict rather than silently lost. With `date`,
+// only that date is taken back and the settings are left alone.
+function revert(entries, { date } = {}) {
+    const days = {};
+    const revisions = {};
+    let settings;
+    entries.forEach(entry => {
+        entry.changes.forEach(change => {
+            if (date && change.date !== date) return;
+            if (!(change.date in revisions)) revisions[change.date] = entry.revision;
+            days[change.date] = change.before;
+        });
+        if (entry.settings && !date) settings = entry.settings.before;
+    });
+    return { days, revisions, settings };
+}
+
+// Dates (and whether the settings) changed by `entries`, the entries after
+// id `after` (newest first). Null when they don't all reach back to it, as
+// when the store has trimmed them or `after` is from before the store was
+// reset: the caller then needs everything.
+function changesAfter(entries, after, lastId) {
+    const first = entries.length > 0 ? entries[entries.length - 1].id : lastId + 1;
+    if (after > lastId || first !== after + 1) return null;
+    const dates = new Set();
+    let settings = false;
+    entries.forEach(entry => {
+        entry.changes.forEach(change => dates.add(change.date));
+        if (entry.settings) settings = true;
+    });
+    return { dates: [...dates].sort(), settings };
+}
+
+module.exports = { HISTORY_DAYS, historyCutoff, createEntry, operationOf, groupOperations, revert, changesAfter };
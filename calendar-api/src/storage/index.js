@@ -0,0 +1,138 @@
+// Storage adapters
+//
+// Every backend implements the same small interface:
+//   getAll()                        -> whole calendar keyed by YYYY-MM-DD
+//   getRevision()                   -> revision of the whole calendar
+//   getDay(date)                    -> { record, revision } for one date
+//   updateDay(date, mutate, opts)   -> { record, revision } after writing one date
+//   updateDays(dates, mutate, opts) -> { records, revisions, revision } after
+//                                      writing several dates in one atomic step;
+//                                      `opts.settings` works as for saveAll
+//   saveAll(data, opts)             -> { revision } after replacing everything;
+//                                      `opts.settings` (a mutate like
+//                                      updateSettings') replaces the settings
+//                                      in the same write
+//   getSettings()                   -> calendar settings ({ tags: [...] })
+//   updateSettings(mutate, opts)    -> runs mutate(settings) while locked and
+//                                      saves the settings it returns
+//   getHistory({ since, after })    -> { entries, trimmedAt, lastId }: the
+//                                      change history, newest first (see
+//                                      history.js); `since` is a time and
+//                                      `after` an entry id to start after
+//   describe()                      -> non-secret details for /api/debug
+//
+// Every write bumps a revision counter and stamps the new value on the dates it
+// changed; records read from a store carry it as `revision`. Passing
+// `{ expectedRevision }` (or `{ expectedRevisions: { [date]: n } }`) makes a
+// write fail with ConflictError when the stored revision has moved on.
+// `mutate` runs while the dates are locked and returns the new record (or a
+// map of them), using null to remove a date. updateDays' mutate also gets a
+// function reading the whole calendar under the same lock. Dates that come out unchanged
+// are not written and keep their revision. Writes take `{ change }` too, the
+// { operation, user, action } recorded with them in the change history.
+//
+// Failures are thrown as StorageError, never swallowed into an empty object.
+//
+// The backend is picked with STORAGE_BACKEND (jsonbin | file | sqlite). When it
+// is unset, JSONBin is used if a bin is configured and the local file otherwise.
+//
+// Every user has a calendar of their own. The `default` calendar is the one
+// configured above (and the data that existed before accounts); the others
+// are kept next to it, one file, database or bin each:
+//   file    -> DATA_DIR/calendars/<id>.json
+//   sqlite  -> DATA_DIR/calendars/<id>.db
+//   jsonbin -> a bin created for the user (its id is kept on the user record)
+// Accounts themselves are stored by createUserStore() (see userStore.js).
+
+const path = require('path');
+const { JsonBinStore } = require('./jsonBinStore');
+const { FileStore } = require('./fileStore');
+const { SqliteStore } = require('./sqliteStore');
+const { DocumentUserStore, SqliteUserStore } = require('./userStore');
+const { StorageError, ConflictError } = require('./errors');
+
+const DATA_DIR = process.env.DATA_DIR || path.resolve(__dirname, '../../data');
+const SEED_PATH = path.resolve(__dirname, '../data/calendar.json');
+const DEFAULT_CALENDAR = 'default';
+
+function backendName(backend = process.env.STORAGE_BACKEND) {
+    const name = (backend || (process.env.JSONBIN_BIN_ID ? 'jsonbin' : 'file')).toLowerCase();
+    if (!['jsonbin', 'file', 'sqlite'].includes(name)) {
+        throw new Error(`Unknown STORAGE_BACKEND "${name}" (expected jsonbin, file or sqlite)`);
+    }
+    return name;
+}
+
+function sqliteFile() {
+    return process.env.SQLITE_FILE || path.join(DATA_DIR, 'calendar.db');
+}
+
+// Store for one calendar. Calendars other than the default one start empty.
+function createStore(backend, { calendar = DEFAULT_CALENDAR, binId } = {}) {
+    const isDefault = calendar === DEFAULT_CALENDAR;
+
+    switch (backendName(backend)) {
+        case 'jsonbin':
+            return new JsonBinStore({
+                apiKey: process.env.JSONBIN_API_KEY,
+                binId: isDefault ? process.env.JSONBIN_BIN_ID : binId
+            });
+        case 'file':
+            return new FileStore({
+                filePath: isDefault
+                    ? process.env.STORAGE_FILE || path.join(DATA_DIR, 'calendar.json')
+                    : path.join(DATA_DIR, 'calendars', `${calendar}.json`),
+                seedPath: isDefault ? SEED_PATH : null
+            });
+        case 'sqlite':
+            return new SqliteStore({
+                filePath: isDefault ? sqliteFile() : path.join(DATA_DIR, 'calendars', `${calendar}.db`),
+                seedPath: isDefault ? SEED_PATH : null
+            });
+    }
+}
+
+// Set up storage for a new calendar. Returns what createStore() needs besides
+// the calendar id (a bin id for JSONBin).
+async function createCalendar(backend, calendar) {
+    if (backendName(backend) !== 'jsonbin' || calendar === DEFAULT_CALENDAR) return {};
+    const binId = await JsonBinStore.createBin({
+        apiKey: process.env.JSONBIN_API_KEY,
+        name: `calendar-${calendar}`
+    });
+    return { binId };
+}
+
+// Undo createCalendar() for a calendar that ended up unused. File and SQLite
+// calendars only appear on their first write, so there's nothing to remove.
+async function removeCalendar(backend, { binId } = {}) {
+    if (backendName(backend) !== 'jsonbin' || !binId) return;
+    await JsonBinStore.deleteBin({ apiKey: process.env.JSONBIN_API_KEY, binId });
+}
+
+function createUserStore(backend) {
+    switch (backendName(backend)) {
+        case 'jsonbin':
+            return new DocumentUserStore(new JsonBinStore({
+                apiKey: process.env.JSONBIN_API_KEY,
+                binId: process.env.JSONBIN_USERS_BIN_ID
+            }));
+        case 'file':
+            return new DocumentUserStore(new FileStore({
+                filePath: process.env.USERS_FILE || path.join(DATA_DIR, 'users.json'),
+                seedPath: null
+            }));
+        case 'sqlite':
+            return new SqliteUserStore({ filePath: sqliteFile() });
+    }
+}
+
+module.exports = {
+    DEFAULT_CALENDAR,
+    createStore,
+    createCalendar,
+    removeCalendar,
+    createUserStore,
+    StorageError,
+    ConflictError
+};
@@ -0,0 +1,116 @@
+// JSONBin.io storage backend
+//
+// Keeps the whole calendar in a single bin. This is the original hosted setup,
+// so it stays the default whenever JSONBIN_BIN_ID is configured. JSONBin has no
+// partial updates, so per-day writes still PUT the whole bin underneath.
+
+const { DocumentStore } = require('./documentStore');
+const { StorageError } = require('./errors');
+
+const JSONBIN_BASE_URL = 'https://api.jsonbin.io/v3/b';
+
+class JsonBinStore extends DocumentStore {
+    constructor({ apiKey, binId }) {
+        super();
+        this.name = 'jsonbin';
+        this.apiKey = apiKey;
+        this.binId = binId;
+    }
+
+    async readDocument() {
+        let response;
+        try {
+            response = await fetch(`${JSONBIN_BASE_URL}/${this.binId}/latest`, {
+                headers: {
+                    'X-Master-Key': this.apiKey
+                }
+            });
+        } catch (error) {
+            throw new StorageError('Could not reach JSONBin', { cause: error });
+        }
+
+        if (!response.ok) {
+            throw new StorageError(`JSONBin read failed with status ${response.status}`);
+        }
+
+        const result = await response.json();
+        return result.record || {};
+    }
+
+    async writeDocument(data) {
+        let response;
+        try {
+            response = await fetch(`${JSONBIN_BASE_URL}/${this.binId}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Master-Key': this.apiKey
+                },
+                body: JSON.stringify(data)
+            });
+        } catch (error) {
+            throw new StorageError('Could not reach JSONBin', { cause: error });
+        }
+
+        if (!response.ok) {
+            throw new StorageError(`JSONBin write failed with status ${response.status}`);
+        }
+    }
+
+    // Create an empty private bin and return its id
+    static async createBin({ apiKey, name }) {
+        let response;
+        try {
+            response = await fetch(JSONBIN_BASE_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Master-Key': apiKey,
+                    'X-Bin-Private': 'true',
+                    'X-Bin-Name': name
+                },
+                // JSONBin doesn't accept an empty bin
+                body: JSON.stringify({ _meta: { revision: 0, revisions: {} } })
+            });
+        } catch (error) {
+            throw new StorageError('Could not reach JSONBin', { cause: error });
+        }
+
+        if (!response.ok) {
+            throw new StorageError(`JSONBin create failed with status ${response.status}`);
+        }
+
+        const result = await response.json();
+        return result.metadata.id;
+    }
+
+    // Delete a bin made by createBin
+    static async deleteBin({ apiKey, binId }) {
+        let response;
+        try {
+            response = await fetch(`${JSONBIN_BASE_URL}/${binId}`, {
+                method: 'DELETE',
+                headers: {
+                    'X-Master-Key': apiKey
+                }
+            });
+        } catch (error) {
+            throw new StorageError('Could not reach JSONBin', { cause: error });
+        }
+
+        if (!response.ok) {
+            throw new StorageError(`JSONBin delete failed with status ${response.status}`);
+        }
+    }
+
+    describe() {
+        return {
+            backend: this.name,
+            hasApiKey: !!this.apiKey,
+            hasBinId: !!this.binId,
+            binIdLength: this.binId ? this.binId.length : 0
+        };
+    }
+}
+
+module.exports = { JsonBinStore };
@@ -0,0 +1,16 @@
+// Helpers for the revision number carried on day records
+//
+// Backends keep revisions as metadata next to the data. Records handed out by a
+// store carry a read-only `revision` field; it is stripped again before writes
+// so it never ends up stored twice.
+
+function withRevision(record, revision) {
+    return { ...record, revision };
+}
+
+function stripRevision(record) {
+    const { revision, ...rest } = record;
+    return rest;
+}
+
+module.exports = { withRevision, stripRevision };
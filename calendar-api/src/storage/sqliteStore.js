@@ -0,0 +1,351 @@
+// SQLite storage backend
+//
+// One row per date, so the database stays readable with any SQLite client and a
+// per-day write only touches its own row. Revisions live in their own table so
+// deleted dates keep theirs. The calendar revision is the highest date revision.
+// Calendar settings are one JSON value per key in calendar_settings, and the
+// change history (see history.js) one row per entry in calendar_history.
+// Rows older than the history's age limit are deleted as new ones are added.
+// better-sqlite3 is loaded lazily to keep the other backends free of the
+// native module.
+
+const fs = require('fs');
+const path = require('path');
+const { ConflictError, StorageError } = require('./errors');
+const { withRevision, stripRevision } = require('./records');
+const { createEntry, historyCutoff } = require('./history');
+
+// Errors of SQLite itself (locked, disk full, ...) as a StorageError (503).
+// Conflicts and whatever a caller's mutate threw pass through unchanged.
+function storageFailure(error, message) {
+    if (error && error.name === 'SqliteError') {
+        return new StorageError(message, { cause: error });
+    }
+    return error;
+}
+
+class SqliteStore {
+    constructor({ filePath, seedPath }) {
+        this.name = 'sqlite';
+        this.filePath = filePath;
+        this.seedPath = seedPath;
+        this.db = null;
+    }
+
+    open() {
+        if (this.db) return this.db;
+
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new StorageError('better-sqlite3 is not installed', { cause: error });
+        }
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            this.db = new Database(this.filePath);
+            this.db.pragma('journal_mode = WAL');
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS calendar_days (
+                    date TEXT PRIMARY KEY,
+                    data TEXT NOT NULL
+                );
+                CREATE TABLE IF NOT EXISTS calendar_revisions (
+                    date TEXT PRIMARY KEY,
+                    revision INTEGER NOT NULL
+                );
+                CREATE TABLE IF NOT EXISTS calendar_settings (
+                    key TEXT PRIMARY KEY,
+                    data TEXT NOT NULL
+                );
+                CREATE TABLE IF NOT EXISTS calendar_history (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    at TEXT NOT NULL,
+                    data TEXT NOT NULL
+                );
+                CREATE INDEX IF NOT EXISTS calendar_history_at ON calendar_history (at);
+            `);
+        } catch (error) {
+            this.db = null;
+            throw new StorageError(`Could not open ${this.filePath}`, { cause: error });
+        }
+
+        this.seed();
+        return this.db;
+    }
+
+    seed() {
+        const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM calendar_days').get();
+        if (count > 0 || !this.seedPath || !fs.existsSync(this.seedPath)) return;
+
+        const seed = JSON.parse(fs.readFileSync(this.seedPath, 'utf-8'));
+        this.db.transaction(() => this.replaceAll(seed))();
+    }
+
+    currentRevision() {
+        const row = this.db.prepare('SELECT MAX(revision) AS revision FROM calendar_revisions').get();
+        return row.revision || 0;
+    }
+
+    dayRevision(date) {
+        const row = this.db.prepare('SELECT revision FROM calendar_revisions WHERE date = ?').get(date);
+        return row ? row.revision : 0;
+    }
+
+    readDay(date) {
+        const row = this.db.prepare('SELECT data FROM calendar_days WHERE date = ?').get(date);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    writeDay(date, record, revision) {
+        if (record) {
+            this.db.prepare(`
+                INSERT INTO calendar_days (date, data) VALUES (?, ?)
+                ON CONFLICT(date) DO UPDATE SET data = excluded.data
+            `).run(date, JSON.stringify(stripRevision(record)));
+        } else {
+            this.db.prepare('DELETE FROM calendar_days WHERE date = ?').run(date);
+        }
+        this.db.prepare(`
+            INSERT INTO calendar_revisions (date, revision) VALUES (?, ?)
+            ON CONFLICT(date) DO UPDATE SET revision = excluded.revision
+        `).run(date, revision);
+    }
+
+    // Must run inside a transaction. Returns the revision after it (unchanged
+    // when `data` is what is stored) and the changes it made, for the history.
+    replaceAll(data) {
+        const revision = this.currentRevision() + 1;
+        const existing = this.db.prepare('SELECT date, data FROM calendar_days').all();
+        const dates = new Set([...existing.map(row => row.date), ...Object.keys(data)]);
+        const before = {};
+        existing.forEach(row => {
+            before[row.date] = row.data;
+        });
+
+        const changes = [];
+        dates.forEach(date => {
+            const next = data[date] ? JSON.stringify(stripRevision(data[date])) : undefined;
+            if (before[date] !== next) {
+                this.writeDay(date, data[date] || null, revision);
+                changes.push({
+                    date,
+                    before: before[date] ? JSON.parse(before[date]) : null,
+                    after: next ? JSON.parse(next) : null
+                });
+            }
+        });
+        return { revision: changes.length > 0 ? revision : revision - 1, changes };
+    }
+
+    // Must run inside a transaction. Saves what mutate(settings) returns.
+    // Returns the saved settings and their { before, after } for the history
+    // (null when they did not change).
+    replaceSettings(mutate) {
+        const before = this.readSettings();
+        const after = mutate(before);
+        if (JSON.stringify(before) === JSON.stringify(after)) {
+            return { settings: after, history: null };
+        }
+        this.db.prepare('DELETE FROM calendar_settings').run();
+        Object.keys(after).forEach(key => {
+            this.db.prepare('INSERT INTO calendar_settings (key, data) VALUES (?, ?)')
+                .run(key, JSON.stringify(after[key]));
+        });
+        return { settings: after, history: { before, after } };
+    }
+
+    // Must run inside a transaction
+    record(details) {
+        const entry = createEntry({ id: null, ...details });
+        if (!entry) return;
+        // The row id becomes the entry id
+        const { id, ...data } = entry;
+        this.db.prepare('INSERT INTO calendar_history (at, data) VALUES (?, ?)').run(entry.at, JSON.stringify(data));
+        this.db.prepare('DELETE FROM calendar_history WHERE at < ?').run(historyCutoff());
+    }
+
+    // Time of the oldest entry kept once older ones were deleted (ids start at
+    // 1), otherwise null. Entries deleted were all written before it.
+    trimmedAt() {
+        const oldest = this.db.prepare('SELECT id, at FROM calendar_history ORDER BY id LIMIT 1').get();
+        return oldest && oldest.id > 1 ? oldest.at : null;
+    }
+
+    // Every record, with its revision
+    readAll() {
+        const rows = this.db.prepare(`
+            SELECT d.date, d.data, COALESCE(r.revision, 0) AS revision
+            FROM calendar_days d LEFT JOIN calendar_revisions r ON r.date = d.date
+            ORDER BY d.date
+        `).all();
+        const data = {};
+        rows.forEach(row => {
+            data[row.date] = withRevision(JSON.parse(row.data), row.revision);
+        });
+        return data;
+    }
+
+    async getAll() {
+        this.open();
+        try {
+            return this.readAll();
+        } catch (error) {
+            throw new StorageError('Could not read calendar_days', { cause: error });
+        }
+    }
+
+    async getRevision() {
+        this.open();
+        return this.currentRevision();
+    }
+
+    async getDay(date) {
+        this.open();
+        const revision = this.dayRevision(date);
+        const record = this.readDay(date);
+        return { record: record && withRevision(record, revision), revision };
+    }
+
+    async updateDay(date, mutate, { expectedRevision, change } = {}) {
+        const { records, revisions } = await this.updateDays(
+            [date],
+            current => ({ [date]: mutate(current[date]) }),
+            { expectedRevisions: { [date]: expectedRevision }, change }
+        );
+        return { record: records[date], revision: revisions[date] };
+    }
+
+    async updateDays(dates, mutate, { expectedRevisions = {}, change, settings: mutateSettings } = {}) {
+        const db = this.open();
+        try {
+            return db.transaction(() => {
+                const current = {};
+                const before = {};
+
+                [...new Set(dates)].forEach(date => {
+                    const revision = this.dayRevision(date);
+                    const stored = this.readDay(date);
+                    const record = stored && withRevision(stored, revision);
+                    const expected = expectedRevisions[date];
+                    if (expected !== undefined && expected !== revision) {
+                        throw new ConflictError({ date, revision, current: record });
+                    }
+                    current[date] = record;
+                    before[date] = JSON.stringify(stored);
+                });
+
+                const next = mutate(current, () => this.readAll());
+                const changed = Object.keys(current).filter(date => {
+                    const record = next[date] ? stripRevision(next[date]) : null;
+                    return JSON.stringify(record) !== before[date];
+                });
+                const settings = mutateSettings ? this.replaceSettings(mutateSettings).history : null;
+
+                let revision = this.currentRevision();
+                if (changed.length > 0) {
+                    revision += 1;
+                    changed.forEach(date => this.writeDay(date, next[date] || null, revision));
+                }
+                this.record({
+                    revision,
+                    change,
+                    settings,
+                    changes: changed.map(date => ({
+                        date,
+                        before: JSON.parse(before[date]),
+                        after: next[date] ? stripRevision(next[date]) : null
+                    }))
+                });
+
+                const records = {};
+                const revisions = {};
+                Object.keys(current).forEach(date => {
+                    const stored = this.readDay(date);
+                    revisions[date] = this.dayRevision(date);
+                    records[date] = stored && withRevision(stored, revisions[date]);
+                });
+                return { records, revisions, revision };
+            })();
+        } catch (error) {
+            throw storageFailure(error, 'Could not write calendar_days');
+        }
+    }
+
+    readSettings() {
+        const settings = {};
+        this.db.prepare('SELECT key, data FROM calendar_settings').all().forEach(row => {
+            settings[row.key] = JSON.parse(row.data);
+        });
+        return settings;
+    }
+
+    async getSettings() {
+        this.open();
+        try {
+            return this.readSettings();
+        } catch (error) {
+            throw new StorageError('Could not read calendar_settings', { cause: error });
+        }
+    }
+
+    async updateSettings(mutate, { change } = {}) {
+        const db = this.open();
+        try {
+            return db.transaction(() => {
+                const { settings, history } = this.replaceSettings(mutate);
+                if (history) {
+                    this.record({ revision: this.currentRevision(), change, settings: history });
+                }
+                return settings;
+            })();
+        } catch (error) {
+            throw storageFailure(error, 'Could not write calendar_settings');
+        }
+    }
+
+    async getHistory({ since, after } = {}) {
+        const db = this.open();
+        try {
+            const rows = db.prepare('SELECT id, data FROM calendar_history WHERE at > ? AND id > ? ORDER BY id DESC')
+                .all(since || '', after === undefined ? 0 : after);
+            const { lastId } = db.prepare('SELECT MAX(id) AS lastId FROM calendar_history').get();
+            return {
+                entries: rows.map(row => ({ id: row.id, ...JSON.parse(row.data) })),
+                trimmedAt: this.trimmedAt(),
+                lastId: lastId || 0
+            };
+        } catch (error) {
+            throw new StorageError('Could not read calendar_history', { cause: error });
+        }
+    }
+
+    async saveAll(data, { expectedRevision, change, settings: mutateSettings } = {}) {
+        const db = this.open();
+        try {
+            return db.transaction(() => {
+                const current = this.currentRevision();
+                if (expectedRevision !== undefined && expectedRevision !== current) {
+                    throw new ConflictError({ revision: current });
+                }
+                const { revision, changes } = this.replaceAll(data);
+                const settings = mutateSettings ? this.replaceSettings(mutateSettings).history : null;
+                this.record({ revision, change, changes, settings });
+                return { revision };
+            })();
+        } catch (error) {
+            if (error instanceof ConflictError) throw error;
+            throw new StorageError('Could not write calendar_days', { cause: error });
+        }
+    }
+
+    describe() {
+        return {
+            backend: this.name,
+            filePath: this.filePath
+        };
+    }
+}
+
+module.exports = { SqliteStore };
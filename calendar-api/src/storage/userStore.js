@@ -0,0 +1,123 @@
+// User account storage
+//
+// Accounts are kept in the same backend as the calendars:
+//   file    -> DATA_DIR/users.json (USERS_FILE)
+//   sqlite  -> a `users` table in the calendar database
+//   jsonbin -> a bin of its own (JSONBIN_USERS_BIN_ID)
+//
+// The stores only keep the list; server.js and auth.js decide what a user
+// record holds. Both implement:
+//   list()          -> every user
+//   update(mutate)  -> runs mutate(users) while locked and saves the list it
+//                      returns (mutate may run again if another process
+//                      saved meanwhile)
+//   describe()      -> non-secret details for /api/debug
+
+const fs = require('fs');
+const path = require('path');
+const { StorageError } = require('./errors');
+
+// Users as one JSON document ({ users: [...] }) on a FileStore or JsonBinStore.
+// Updates go through the document's own queue and `_meta.writes` check, so
+// two processes adding accounts at once don't drop each other's.
+class DocumentUserStore {
+    constructor(document) {
+        this.document = document;
+    }
+
+    async list() {
+        const doc = (await this.document.readDocument()) || {};
+        return doc.users || [];
+    }
+
+    async update(mutate) {
+        return this.document.exclusive(async () => {
+            const doc = (await this.document.readDocument()) || {};
+            const writes = (doc._meta || {}).writes || 0;
+            const users = mutate(doc.users || []);
+            await this.document.saveDocument(writes, { users });
+            return users;
+        });
+    }
+
+    describe() {
+        return this.document.describe();
+    }
+}
+
+// One row per user, so usernames stay unique even with several processes
+class SqliteUserStore {
+    constructor({ filePath }) {
+        this.name = 'sqlite';
+        this.filePath = filePath;
+        this.db = null;
+    }
+
+    open() {
+        if (this.db) return this.db;
+
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new StorageError('better-sqlite3 is not installed', { cause: error });
+        }
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            this.db = new Database(this.filePath);
+            this.db.pragma('journal_mode = WAL');
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS users (
+                    id TEXT PRIMARY KEY,
+                    username TEXT NOT NULL UNIQUE,
+                    data TEXT NOT NULL
+                );
+            `);
+        } catch (error) {
+            this.db = null;
+            throw new StorageError(`Could not open ${this.filePath}`, { cause: error });
+        }
+        return this.db;
+    }
+
+    readAll() {
+        return this.db.prepare('SELECT data FROM users ORDER BY rowid').all().map(row => JSON.parse(row.data));
+    }
+
+    async list() {
+        this.open();
+        try {
+            return this.readAll();
+        } catch (error) {
+            throw new StorageError('Could not read users', { cause: error });
+        }
+    }
+
+    async update(mutate) {
+        const db = this.open();
+        return db.transaction(() => {
+            const users = mutate(this.readAll());
+            const ids = new Set(users.map(user => user.id));
+            db.prepare('SELECT id FROM users').all().forEach(row => {
+                if (!ids.has(row.id)) db.prepare('DELETE FROM users WHERE id = ?').run(row.id);
+            });
+            users.forEach(user => {
+                db.prepare(`
+                    INSERT INTO users (id, username, data) VALUES (?, ?, ?)
+                    ON CONFLICT(id) DO UPDATE SET username = excluded.username, data = excluded.data
+                `).run(user.id, user.username, JSON.stringify(user));
+            });
+            return users;
+        })();
+    }
+
+    describe() {
+        return {
+            backend: this.name,
+            filePath: this.filePath
+        };
+    }
+}
+
+module.exports = { DocumentUserStore, SqliteUserStore };
@@ -0,0 +1,47 @@
+// 캘린더 알림 서비스 워커
+//
+// calendar-api가 보낸 Web Push 메시지({ title, body, tag, date })를 알림으로
+// 보여주고, 알림을 누르면 calendar.html의 그 날짜를 연다.
+// calendar.html이 알림을 켤 때 등록함 (calendar-api/src/reminders/webPush.js 참고)
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('push', (event) => {
+    let message = {};
+    try {
+        message = event.data ? event.data.json() : {};
+    } catch (error) {
+        message = { body: event.data.text() };
+    }
+
+    event.waitUntil(self.registration.showNotification(message.title || '일정 알림', {
+        body: message.body || '',
+        tag: message.tag,
+        data: { date: message.date || null },
+        renotify: !!message.tag
+    }));
+});
+
+// 열려 있는 캘린더 창이 있으면 그 창에서 날짜로 이동, 없으면 새 창
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const date = event.notification.data && event.notification.data.date;
+    const url = new URL(date ? `calendar.html#${date}` : 'calendar.html', self.registration.scope).href;
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const open = windows.find(client => new URL(client.url).pathname.endsWith('/calendar.html'));
+        if (open) {
+            await open.focus();
+            if (date) open.postMessage({ type: 'open-date', date });
+            return;
+        }
+        await self.clients.openWindow(url);
+    })());
+});